@@ -0,0 +1,110 @@
+/**
+ * achievements.js - Achievement definitions and condition checks
+ * Achievements are declared in achievements.json with a condition tree evaluated against the game state.
+ * Unlocked achievements are kept across prestige and each adds a small permanent production bonus.
+ */
+
+import { lt } from './bignum.js';
+import { getUpgradesForStage } from './upgrades.js';
+
+// Achievement data will be loaded from JSON
+let achievementsData = null;
+
+/**
+ * Loads achievement data from the JSON file
+ */
+export async function loadAchievements() {
+    try {
+        const response = await fetch('./js/data/achievements.json');
+        const data = await response.json();
+        achievementsData = data.achievements;
+        return achievementsData;
+    } catch (error) {
+        console.error('Failed to load achievements:', error);
+        return [];
+    }
+}
+
+/**
+ * Sets achievement data directly (for Node scripts and tests, where fetch can't read local files)
+ */
+export function setAchievements(achievements) {
+    achievementsData = achievements;
+}
+
+/**
+ * Gets all achievements
+ */
+export function getAllAchievements() {
+    return achievementsData || [];
+}
+
+/**
+ * Gets a specific achievement by ID
+ */
+export function getAchievement(achievementId) {
+    if (!achievementsData) return null;
+    return achievementsData.find(achievement => achievement.id === achievementId);
+}
+
+/**
+ * Checks a declarative condition against the game state
+ *   { type: 'statistic' | 'resource', key, min?, max? }  - a statistic or resource within bounds
+ *   { type: 'stage', min?, max? }                        - the current stage within bounds
+ *   { type: 'upgradesMaxed', stage }                     - every upgrade of a stage at maxPurchases
+ *   { type: 'all', conditions: [...] }                   - every nested condition holds
+ * Unknown condition types never hold
+ */
+export function isConditionMet(condition, state) {
+    switch (condition.type) {
+        case 'statistic':
+            return isWithinBounds(state.statistics[condition.key], condition);
+        case 'resource':
+            return isWithinBounds(state.resources[condition.key], condition);
+        case 'stage':
+            return isWithinBounds(state.currentStage, condition);
+        case 'upgradesMaxed':
+            return getUpgradesForStage(condition.stage)
+                .every(upgrade => (state.upgrades[upgrade.id] || 0) >= upgrade.maxPurchases);
+        case 'all':
+            return condition.conditions.every(nested => isConditionMet(nested, state));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks a plain or big number against a condition's optional min and max (both inclusive)
+ */
+function isWithinBounds(value, { min, max }) {
+    if (value === undefined) return false;
+    if (min !== undefined && lt(value, min)) return false;
+    if (max !== undefined && lt(max, value)) return false;
+    return true;
+}
+
+/**
+ * Finds locked achievements whose condition now holds
+ * trigger: 'tick' for the game loop, 'prestige' right before a reset; achievements
+ * without a trigger are checked on ticks
+ */
+export function findNewAchievements(state, trigger = 'tick') {
+    return getAllAchievements().filter(achievement =>
+        !state.achievements[achievement.id]
+        && (achievement.trigger || 'tick') === trigger
+        && isConditionMet(achievement.condition, state)
+    );
+}
+
+/**
+ * Calculates the production multiplier from unlocked achievements
+ */
+export function calculateAchievementMultiplier(unlockedAchievements) {
+    let multiplier = 1;
+    for (const achievement of getAllAchievements()) {
+        if (unlockedAchievements[achievement.id]) {
+            multiplier += achievement.productionBonus || 0;
+        }
+    }
+    return multiplier;
+}
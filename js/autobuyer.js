@@ -0,0 +1,73 @@
+/**
+ * autobuyer.js - Auto-buyer settings
+ * The auto-buyer buys upgrades on its own once the player is deep enough in the simulation.
+ * Its settings are { enabled, reservePercent, priority }: priority lists the upgrades it may buy,
+ * most important first. The engine runs it every tick; these helpers only shape the settings.
+ */
+
+import { multiply, subtract, lt } from './bignum.js';
+
+// Simulation depth at which the auto-buyer unlocks (after the first prestige)
+export const AUTO_BUYER_UNLOCK_DEPTH = 1;
+
+/**
+ * Checks whether the auto-buyer is available in a game state
+ */
+export function isAutoBuyerUnlocked(state) {
+    return state.prestige.simulationDepth >= AUTO_BUYER_UNLOCK_DEPTH;
+}
+
+/**
+ * Checks whether the auto-buyer may buy an upgrade
+ * Prestige upgrades stay manual, since buying one prompts for a reset
+ */
+export function isAutoBuyable(upgrade) {
+    return upgrade.effectType !== 'unlockPrestige';
+}
+
+/**
+ * Clamps a "keep at least X% of cash" value to a whole percentage from 0 to 100
+ */
+export function clampReservePercent(value) {
+    const percent = Number(value);
+    if (!Number.isFinite(percent)) return 0;
+    return Math.min(Math.max(Math.round(percent), 0), 100);
+}
+
+/**
+ * Turns auto-buying of an upgrade on (lowest priority) or off
+ * Returns the new settings
+ */
+export function toggleAutoBuyUpgrade(autoBuyer, upgradeId) {
+    const priority = autoBuyer.priority.includes(upgradeId)
+        ? autoBuyer.priority.filter(id => id !== upgradeId)
+        : [...autoBuyer.priority, upgradeId];
+
+    return { ...autoBuyer, priority };
+}
+
+/**
+ * Moves an upgrade up (negative offset) or down the priority order
+ * Returns the new settings
+ */
+export function moveAutoBuyUpgrade(autoBuyer, upgradeId, offset) {
+    const priority = [...autoBuyer.priority];
+    const from = priority.indexOf(upgradeId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= priority.length) return autoBuyer;
+
+    priority.splice(from, 1);
+    priority.splice(to, 0, upgradeId);
+    return { ...autoBuyer, priority };
+}
+
+/**
+ * Checks whether paying these costs still leaves reservePercent of the current cash
+ */
+export function keepsCashReserve(resources, costs, reservePercent) {
+    const dollarCost = costs.find(cost => cost.resource === 'dollars');
+    if (!dollarCost || reservePercent <= 0) return true;
+
+    const reserve = multiply(resources.dollars, reservePercent / 100);
+    return !lt(subtract(resources.dollars, dollarCost.amount), reserve);
+}
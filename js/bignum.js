@@ -0,0 +1,232 @@
+/**
+ * bignum.js - Big numbers for the economy
+ * A value is a plain { mantissa, exponent } object meaning mantissa * 10^exponent, with
+ * 1 <= |mantissa| < 10 (or exactly 0) and a whole exponent, so it never overflows to Infinity
+ * and is saved as-is by JSON. Values are never mutated: every operation returns a new one.
+ * Every operation also accepts plain numbers.
+ */
+
+// Past this exponent gap the smaller value can't change a double-precision sum
+const MAX_SIGNIFICANT_DIGITS = 17;
+
+// Below 10^15 a double still holds every whole number exactly
+const EXACT_INTEGER_EXPONENT = 15;
+
+// Differences smaller than 10^-14 of a value are mantissa rounding noise
+const PRECISION_DIGITS = 14;
+
+export const ZERO = Object.freeze({ mantissa: 0, exponent: 0 });
+
+/**
+ * Checks whether a value is a well-formed big number (e.g. after loading a save)
+ */
+export function isBigNum(value) {
+    return Boolean(value) && typeof value === 'object'
+        && Number.isFinite(value.mantissa) && Number.isInteger(value.exponent);
+}
+
+/**
+ * Creates a big number from a mantissa and exponent, normalizing the mantissa into [1, 10)
+ */
+export function fromParts(mantissa, exponent) {
+    if (mantissa === 0) return { mantissa: 0, exponent: 0 };
+    if (!Number.isFinite(mantissa)) return { mantissa, exponent: 0 };
+
+    const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+    let normalized = mantissa / Math.pow(10, shift);
+    let normalizedExponent = exponent + shift;
+
+    // log10 can land one off at exact powers of ten
+    if (Math.abs(normalized) >= 10) {
+        normalized /= 10;
+        normalizedExponent++;
+    } else if (Math.abs(normalized) < 1) {
+        normalized *= 10;
+        normalizedExponent--;
+    }
+
+    return { mantissa: normalized, exponent: normalizedExponent };
+}
+
+/**
+ * Converts a plain number to a big number
+ */
+export function fromNumber(number) {
+    return fromParts(number, 0);
+}
+
+/**
+ * Returns big numbers unchanged and converts plain numbers
+ */
+export function toBigNum(value) {
+    return typeof value === 'number' ? fromNumber(value) : value;
+}
+
+/**
+ * Converts to a plain number (Infinity past the double range)
+ * Whole numbers below 10^15 come back exact
+ */
+export function toNumber(value) {
+    if (typeof value === 'number') return value;
+
+    const result = value.mantissa * Math.pow(10, value.exponent);
+    if (value.exponent < 0 || value.exponent >= EXACT_INTEGER_EXPONENT) return result;
+
+    const rounded = Math.round(result);
+    return Math.abs(rounded - result) <= Math.abs(result) * Math.pow(10, -PRECISION_DIGITS) ? rounded : result;
+}
+
+// =============================================================================
+// ARITHMETIC
+// =============================================================================
+
+/**
+ * Adds two values
+ */
+export function add(a, b) {
+    const x = toBigNum(a);
+    const y = toBigNum(b);
+    if (x.mantissa === 0) return y;
+    if (y.mantissa === 0) return x;
+
+    const [larger, smaller] = x.exponent >= y.exponent ? [x, y] : [y, x];
+
+    // In the exact double range, plain addition keeps whole numbers exact
+    if (larger.exponent < EXACT_INTEGER_EXPONENT) {
+        return fromNumber(toNumber(x) + toNumber(y));
+    }
+
+    const gap = larger.exponent - smaller.exponent;
+    if (gap > MAX_SIGNIFICANT_DIGITS) return larger;
+
+    return fromParts(larger.mantissa + smaller.mantissa / Math.pow(10, gap), larger.exponent);
+}
+
+/**
+ * Subtracts b from a
+ */
+export function subtract(a, b) {
+    return add(a, negate(b));
+}
+
+/**
+ * Multiplies two values
+ */
+export function multiply(a, b) {
+    const x = toBigNum(a);
+    const y = toBigNum(b);
+
+    // In the exact double range, plain multiplication keeps whole numbers exact
+    if (x.exponent + y.exponent < EXACT_INTEGER_EXPONENT - 1) {
+        return fromNumber(toNumber(x) * toNumber(y));
+    }
+
+    return fromParts(x.mantissa * y.mantissa, x.exponent + y.exponent);
+}
+
+/**
+ * Divides a by b
+ */
+export function divide(a, b) {
+    const x = toBigNum(a);
+    const y = toBigNum(b);
+    return fromParts(x.mantissa / y.mantissa, x.exponent - y.exponent);
+}
+
+/**
+ * Raises a positive plain number to a plain power (e.g. cost scaling ^ purchase count)
+ */
+export function power(base, exponent) {
+    const result = Math.pow(base, exponent);
+    if (Number.isFinite(result) && result !== 0) return fromNumber(result);
+
+    // Out of double range: work in log space
+    const log = exponent * Math.log10(base);
+    const wholeLog = Math.floor(log);
+    return fromParts(Math.pow(10, log - wholeLog), wholeLog);
+}
+
+/**
+ * Base-10 logarithm of a positive value, as a plain number (-Infinity for zero)
+ */
+export function log10(value) {
+    const big = toBigNum(value);
+    return big.exponent + Math.log10(big.mantissa);
+}
+
+/**
+ * Rounds down to a whole number
+ */
+export function floor(value) {
+    const big = toBigNum(value);
+
+    // Past 10^15 the mantissa has no fractional digits left to drop
+    if (big.exponent >= EXACT_INTEGER_EXPONENT) return big;
+
+    return fromNumber(Math.floor(toNumber(big)));
+}
+
+/**
+ * Flips the sign
+ */
+export function negate(value) {
+    const big = toBigNum(value);
+    return big.mantissa === 0 ? big : { mantissa: -big.mantissa, exponent: big.exponent };
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Compares two values, treating rounding noise as equal
+ * Returns -1, 0 or 1
+ */
+export function compare(a, b) {
+    const x = toBigNum(a);
+    const y = toBigNum(b);
+    if (x.mantissa === 0 || y.mantissa === 0) {
+        return Math.sign(x.mantissa - y.mantissa);
+    }
+
+    const difference = subtract(x, y);
+    if (difference.mantissa === 0) return 0;
+    if (difference.exponent < Math.max(x.exponent, y.exponent) - PRECISION_DIGITS) return 0;
+
+    return Math.sign(difference.mantissa);
+}
+
+/**
+ * Checks a >= b
+ */
+export function gte(a, b) {
+    return compare(a, b) >= 0;
+}
+
+/**
+ * Checks a < b
+ */
+export function lt(a, b) {
+    return compare(a, b) < 0;
+}
+
+/**
+ * Returns the larger of two values
+ */
+export function max(a, b) {
+    return gte(a, b) ? toBigNum(a) : toBigNum(b);
+}
+
+/**
+ * Checks whether a value is exactly zero
+ */
+export function isZero(value) {
+    return toBigNum(value).mantissa === 0;
+}
+
+/**
+ * Checks whether a value is below zero
+ */
+export function isNegative(value) {
+    return toBigNum(value).mantissa < 0;
+}
@@ -0,0 +1,164 @@
+/**
+ * challenges.js - Challenge runs
+ * Challenges are declared in challenges.json. Picking one on the prestige screen starts the next run
+ * under its restrictions, with any head start it grants (a starting stage or free upgrade levels) so the
+ * restrictions never leave a fresh run stuck; reaching its goal stage (within its time limit, if it has
+ * one) completes it for a permanent reward. Completions are kept across prestige and each pays out once.
+ */
+
+// Restrictions of a run without a challenge
+const NO_RESTRICTIONS = Object.freeze({});
+
+// Challenge data will be loaded from JSON
+let challengesData = null;
+
+/**
+ * Loads challenge data from the JSON file
+ */
+export async function loadChallenges() {
+    try {
+        const response = await fetch('./js/data/challenges.json');
+        const data = await response.json();
+        challengesData = data.challenges;
+        return challengesData;
+    } catch (error) {
+        console.error('Failed to load challenges:', error);
+        return [];
+    }
+}
+
+/**
+ * Sets challenge data directly (for Node scripts and tests, where fetch can't read local files)
+ */
+export function setChallenges(challenges) {
+    challengesData = challenges;
+}
+
+/**
+ * Gets all challenges
+ */
+export function getAllChallenges() {
+    return challengesData || [];
+}
+
+/**
+ * Gets a specific challenge by ID
+ */
+export function getChallenge(challengeId) {
+    if (!challengesData) return null;
+    return challengesData.find(challenge => challenge.id === challengeId);
+}
+
+/**
+ * Gets the challenge the current run is under, or null
+ */
+export function getActiveChallenge(state) {
+    const active = state.challenges.active;
+    return active ? getChallenge(active.id) || null : null;
+}
+
+/**
+ * Gets the restrictions of the current run:
+ *   { noClicking?, noCostReduction?, disabledUpgradeStages?: [stageId], timeLimit?: seconds }
+ */
+export function getChallengeRestrictions(state) {
+    const challenge = getActiveChallenge(state);
+    return challenge ? challenge.restrictions : NO_RESTRICTIONS;
+}
+
+/**
+ * Checks whether a restriction set disables an upgrade
+ */
+export function isUpgradeRestricted(upgrade, restrictions) {
+    return Boolean(restrictions.disabledUpgradeStages && restrictions.disabledUpgradeStages.includes(upgrade.stage));
+}
+
+/**
+ * Judges a running challenge: 'completed' once the goal stage is reached,
+ * 'failed' once its time limit ran out, otherwise null
+ * elapsed: seconds spent in the challenge so far
+ */
+export function judgeChallenge(challenge, currentStage, elapsed) {
+    if (currentStage >= challenge.goalStage) return 'completed';
+
+    const timeLimit = challenge.restrictions.timeLimit;
+    if (timeLimit !== undefined && elapsed >= timeLimit) return 'failed';
+
+    return null;
+}
+
+/**
+ * Adds up the permanent rewards of completed challenges
+ * Returns { productionMultiplier, clickMultiplier, costReduction }
+ */
+export function calculateChallengeRewards(completedChallenges) {
+    const rewards = { productionMultiplier: 1, clickMultiplier: 1, costReduction: 0 };
+
+    for (const challenge of getAllChallenges()) {
+        if (!completedChallenges[challenge.id]) continue;
+
+        const { type, value } = challenge.reward;
+        switch (type) {
+            case 'productionBonus':
+                rewards.productionMultiplier += value;
+                break;
+            case 'clickMultiplier':
+                rewards.clickMultiplier *= value;
+                break;
+            case 'costReduction':
+                rewards.costReduction += value;
+                break;
+        }
+    }
+    return rewards;
+}
+
+/**
+ * Gets a human-readable list of a challenge's restrictions
+ */
+export function getChallengeRestrictionDescription(challenge) {
+    const { noClicking, noCostReduction, disabledUpgradeStages, timeLimit } = challenge.restrictions;
+    const parts = [];
+
+    if (noClicking) parts.push('no clicking');
+    if (noCostReduction) parts.push('no cost reduction');
+    if (disabledUpgradeStages) parts.push(`Stage ${disabledUpgradeStages.join(', ')} upgrades disabled`);
+    if (timeLimit !== undefined) parts.push(`${Math.round(timeLimit / 60)} minute time limit`);
+
+    return parts.join(', ');
+}
+
+/**
+ * Gets a human-readable description of a challenge's head start, or '' if it has none
+ * getUpgrade looks up the granted upgrades for their names
+ */
+export function getChallengeHeadStartDescription(challenge, getUpgrade) {
+    const { stage, upgrades } = challenge.headStart || {};
+    const parts = [];
+
+    if (stage !== undefined) parts.push(`begin at Stage ${stage}`);
+    for (const [upgradeId, level] of Object.entries(upgrades || {})) {
+        const upgrade = getUpgrade(upgradeId);
+        parts.push(`${level} free ${level === 1 ? 'level' : 'levels'} of ${upgrade ? upgrade.name : upgradeId}`);
+    }
+
+    return parts.join(', ');
+}
+
+/**
+ * Gets a human-readable description of a challenge's reward
+ */
+export function getChallengeRewardDescription(challenge) {
+    const { type, value } = challenge.reward;
+
+    switch (type) {
+        case 'productionBonus':
+            return `+${Math.round(value * 100)}% production`;
+        case 'clickMultiplier':
+            return `x${value} click power`;
+        case 'costReduction':
+            return `-${Math.round(value * 100)}% upgrade costs`;
+        default:
+            return 'Unknown reward';
+    }
+}
@@ -0,0 +1,759 @@
+/**
+ * engine.js - Headless game engine
+ * Owns the game state and the economy: ticking, clicking, purchasing, stage advancement and prestige.
+ * Never touches the DOM or storage, so the same rules run in the browser, Node scripts and tests.
+ * Upgrade data must be loaded (loadUpgrades or setUpgrades) before creating an engine,
+ * and meta upgrade, achievement, market event and challenge data (loadMetaUpgrades/setMetaUpgrades,
+ * loadAchievements/setAchievements, loadMarketEvents/setMarketEvents, loadChallenges/setChallenges)
+ * for those to apply.
+ * Resources, costs and total earned are big numbers (bignum.js); bonuses and rates stay plain numbers.
+ */
+
+import { createDefaultState, calculateOfflineProgress, MAX_OFFLINE_MS } from './save.js';
+import { ZERO, add, subtract, isZero, isNegative, log10, fromParts, fromNumber } from './bignum.js';
+import {
+    getStage,
+    getAllStages,
+    getProductPerSale,
+    canAdvanceStage,
+    calculateSellPrice,
+    calculateSaleBatch,
+    assembleProducts,
+    getAllResources
+} from './stages.js';
+import {
+    calculateProductionBonuses,
+    canPurchaseUpgrade,
+    getUpgrade,
+    getUpgradeCosts,
+    getUpgradesForStage,
+    resolvePurchaseQuantity,
+    scalesWithResources
+} from './upgrades.js';
+import { getMetaUpgrade, canPurchaseMetaUpgrade } from './meta.js';
+import { findNewAchievements, calculateAchievementMultiplier } from './achievements.js';
+import { isAutoBuyerUnlocked, isAutoBuyable, keepsCashReserve } from './autobuyer.js';
+import {
+    getMarketEvent,
+    isOpportunity,
+    pickMarketEvent,
+    rollEventDelay,
+    calculateMarketMultipliers
+} from './market.js';
+import {
+    getChallenge,
+    getActiveChallenge,
+    getChallengeRestrictions,
+    judgeChallenge,
+    calculateChallengeRewards
+} from './challenges.js';
+
+// Prestige bonus per simulation depth level
+export const PRESTIGE_PRODUCTION_BONUS = 0.25; // +25% production per depth
+export const PRESTIGE_COST_REDUCTION = 0.05; // -5% costs per depth (caps at 50%)
+export const MAX_PRESTIGE_COST_REDUCTION = 0.5;
+
+// Prestige reward: +1 depth for finishing the run, plus +1 per 10x past each of these
+const PRESTIGE_EARNINGS_BASE_EXPONENT = 14; // $100T earned this run
+const PRESTIGE_CONSCIOUSNESS_BASE_EXPONENT = 4; // 10K consciousness cycles produced this run
+
+// Upgrade and prestige cost reduction combined can never exceed this
+const MAX_TOTAL_COST_REDUCTION = 0.9;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Gets the permanent bonuses granted by a simulation depth
+ */
+export function calculatePrestigeBonuses(depth) {
+    return {
+        productionMultiplier: 1 + (depth * PRESTIGE_PRODUCTION_BONUS),
+        costReduction: Math.min(depth * PRESTIGE_COST_REDUCTION, MAX_PRESTIGE_COST_REDUCTION)
+    };
+}
+
+/**
+ * Calculates how much simulation depth resetting this run would pay out
+ * +1 for finishing, +1 per 10x of total earned past $100T, +1 per 10x of consciousness produced past 10K
+ * (produced rather than held, so spending consciousness on upgrades never lowers the payout)
+ * Returns { depthGained, sources: { completion, earnings, consciousness }, nextTargets: { earnings, consciousness } }
+ */
+export function calculatePrestigeReward(state) {
+    const earnings = rewardForAmount(state.statistics.totalEarned, PRESTIGE_EARNINGS_BASE_EXPONENT);
+    const consciousness = rewardForAmount(state.statistics.consciousnessProduced, PRESTIGE_CONSCIOUSNESS_BASE_EXPONENT);
+
+    return {
+        depthGained: 1 + earnings.levels + consciousness.levels,
+        sources: {
+            completion: 1,
+            earnings: earnings.levels,
+            consciousness: consciousness.levels
+        },
+        // Amounts at which each source pays one more level
+        nextTargets: {
+            earnings: earnings.nextTarget,
+            consciousness: consciousness.nextTarget
+        }
+    };
+}
+
+/**
+ * Counts whole powers of ten an amount has grown past 10^baseExponent
+ * Returns { levels, nextTarget } with nextTarget as a big number
+ */
+function rewardForAmount(amount, baseExponent) {
+    const magnitude = isZero(amount) || isNegative(amount) ? -Infinity : log10(amount);
+    const levels = Math.max(0, Math.floor(magnitude - baseExponent));
+
+    return { levels, nextTarget: fromParts(1, baseExponent + levels + 1) };
+}
+
+/**
+ * Picks the Stage 1 upgrade levels a new run keeps, up to keptLevels of each
+ */
+function keepStageOneUpgrades(purchasedUpgrades, keptLevels) {
+    const kept = {};
+    if (keptLevels <= 0) return kept;
+
+    for (const upgrade of getUpgradesForStage(1)) {
+        const count = Math.min(purchasedUpgrades[upgrade.id] || 0, keptLevels);
+        if (count > 0) {
+            kept[upgrade.id] = count;
+        }
+    }
+    return kept;
+}
+
+/**
+ * Gives a fresh challenge run its head start: the starting stage and free upgrade levels
+ * (granted levels don't stack with kept ones; the run gets whichever is higher)
+ */
+function applyChallengeHeadStart(freshState, headStart = {}) {
+    if (headStart.stage !== undefined) {
+        freshState.currentStage = headStart.stage;
+    }
+    for (const [upgradeId, level] of Object.entries(headStart.upgrades || {})) {
+        freshState.upgrades[upgradeId] = Math.max(freshState.upgrades[upgradeId] || 0, level);
+    }
+}
+
+/**
+ * Creates an engine around a game state (a fresh one if none is given)
+ * options.random is the Math.random-style function behind market events (seed it for tests and simulations)
+ *
+ * Queries:  getState, getBonuses, getRates, getPrestigeMultiplier, getPrestigeReward, getProductPerSale,
+ *           checkPurchase, checkMetaPurchase
+ * Commands: tick, click, purchaseUpgrade, purchaseMetaUpgrade, claimMarketOpportunity, prestige,
+ *           abandonChallenge, applyOfflineProgress, loadState, updateSettings, updateAutoBuyer
+ * Events (via on): 'stageAdvanced' (stageId), 'upgradePurchased' (upgrade), 'metaUpgradePurchased' (metaUpgrade),
+ *                  'prestigeUnlocked' (upgrade), 'prestige' (newDepth), 'achievementUnlocked' (achievement),
+ *                  'marketEventStarted' (event), 'marketOpportunityOffered' (event), 'marketEventEnded' (event),
+ *                  'challengeCompleted' (challenge), 'challengeFailed' (challenge)
+ */
+export function createEngine(initialState = createDefaultState(), { random = Math.random } = {}) {
+    let state = initialState;
+
+    // Cached production values (recalculated when upgrades or prestige change)
+    let bonuses = null;
+    let rates = null;
+
+    const listeners = {};
+
+    recalculateProductionRates();
+
+    // =========================================================================
+    // QUERIES
+    // =========================================================================
+
+    /**
+     * Gets the prestige multiplier applied to clicks and sales
+     */
+    function getPrestigeMultiplier() {
+        return 1 + (state.prestige.simulationDepth * PRESTIGE_PRODUCTION_BONUS);
+    }
+
+    /**
+     * Checks whether an upgrade can be bought right now
+     * quantity is a number of levels or 'max' (see PURCHASE_QUANTITIES)
+     * Returns the canPurchaseUpgrade result plus the resolved quantity, or { canPurchase: false, reason: 'unknown' }
+     */
+    function checkPurchase(upgradeId, quantity = 1) {
+        const upgrade = getUpgrade(upgradeId);
+        if (!upgrade) {
+            return { canPurchase: false, reason: 'unknown' };
+        }
+
+        const purchaseCount = state.upgrades[upgradeId] || 0;
+        const levels = resolvePurchaseQuantity(upgrade, purchaseCount, quantity, state.resources, bonuses.costReduction);
+
+        return {
+            ...canPurchaseUpgrade(
+                upgrade,
+                purchaseCount,
+                state.resources,
+                state.upgrades,
+                bonuses.costReduction,
+                levels,
+                getChallengeRestrictions(state)
+            ),
+            quantity: levels
+        };
+    }
+
+    /**
+     * Checks whether a meta upgrade can be bought with the current prestige points
+     * Returns the canPurchaseMetaUpgrade result, or { canPurchase: false, reason: 'unknown' }
+     */
+    function checkMetaPurchase(metaUpgradeId) {
+        const metaUpgrade = getMetaUpgrade(metaUpgradeId);
+        if (!metaUpgrade) {
+            return { canPurchase: false, reason: 'unknown' };
+        }
+
+        return canPurchaseMetaUpgrade(
+            metaUpgrade,
+            state.prestige.metaUpgrades[metaUpgradeId] || 0,
+            state.prestige.points,
+            state.prestige.metaUpgrades
+        );
+    }
+
+    /**
+     * Gets the product needed per auto-sell at the current stage
+     */
+    function getCurrentProductPerSale() {
+        return getProductPerSale(state.currentStage, bonuses.saleBatchReduction);
+    }
+
+    // =========================================================================
+    // COMMANDS
+    // =========================================================================
+
+    /**
+     * Advances the simulation by deltaTime seconds
+     */
+    function tick(deltaTime) {
+        // Update play time
+        state.statistics.playTime += deltaTime;
+        state.statistics.runTime += deltaTime;
+        if (state.challenges.active) {
+            state.challenges.active.elapsed += deltaTime;
+        }
+
+        // Count down market events and maybe break out a new one
+        updateMarketEvents(deltaTime);
+
+        // Bonuses that scale with holdings follow them as they change
+        if (scalesWithResources(state.upgrades)) {
+            recalculateProductionRates();
+        }
+
+        // Apply passive production
+        applyPassiveProduction(deltaTime);
+
+        // Assemble lower product tiers into higher ones, then sell what's left
+        assembleProducts(state.resources, state.currentStage);
+        autoSellProducts();
+
+        // Auto-buy upgrades
+        runAutoBuyer();
+
+        // Check for stage advancement
+        checkStageAdvancement();
+
+        checkChallenge();
+        checkAchievements('tick');
+    }
+
+    /**
+     * Performs the main click action (does nothing in a no-clicking challenge)
+     */
+    function click() {
+        if (getChallengeRestrictions(state).noClicking) return;
+
+        const totalClick = bonuses.clickPower * getPrestigeMultiplier() * bonuses.achievementMultiplier
+            * bonuses.marketMultipliers.clickPower * bonuses.challengeRewards.clickMultiplier;
+
+        // Clicks make the current stage's product directly
+        const productId = getStage(state.currentStage).productId;
+        state.resources[productId] = add(state.resources[productId] || ZERO, totalClick);
+        state.statistics.totalClicks++;
+    }
+
+    /**
+     * Buys levels of an upgrade (one unless a quantity or 'max' is given), paying every resource they cost
+     * Returns { success: true, cost, costs, quantity } or { success: false, reason }
+     */
+    function purchaseUpgrade(upgradeId, quantity = 1) {
+        const upgrade = getUpgrade(upgradeId);
+        if (!upgrade) {
+            return { success: false, reason: 'unknown' };
+        }
+
+        const purchaseCheck = checkPurchase(upgradeId, quantity);
+        if (!purchaseCheck.canPurchase) {
+            return { success: false, reason: purchaseCheck.reason };
+        }
+
+        // Calculate costs fresh (don't use stale values from UI)
+        const purchaseCount = state.upgrades[upgradeId] || 0;
+        const levels = purchaseCheck.quantity;
+        const costs = getUpgradeCosts(upgrade, purchaseCount, bonuses.costReduction, levels);
+
+        // Deduct costs
+        for (const { resource, amount } of costs) {
+            state.resources[resource] = subtract(state.resources[resource], amount);
+        }
+
+        // Record purchase
+        state.upgrades[upgradeId] = purchaseCount + levels;
+
+        // Recalculate production rates
+        recalculateProductionRates();
+
+        emit('upgradePurchased', upgrade);
+
+        // Check for prestige unlock
+        if (upgrade.effectType === 'unlockPrestige') {
+            state.prestigeUnlocked = true;
+            emit('prestigeUnlocked', upgrade);
+        }
+
+        return { success: true, cost: costs[0].amount, costs, quantity: levels };
+    }
+
+    /**
+     * Buys one level of a meta upgrade with prestige points
+     * Returns { success: true, cost } or { success: false, reason }
+     */
+    function purchaseMetaUpgrade(metaUpgradeId) {
+        const purchaseCheck = checkMetaPurchase(metaUpgradeId);
+        if (!purchaseCheck.canPurchase) {
+            return { success: false, reason: purchaseCheck.reason };
+        }
+
+        const metaUpgrades = state.prestige.metaUpgrades;
+        state.prestige.points -= purchaseCheck.cost;
+        metaUpgrades[metaUpgradeId] = (metaUpgrades[metaUpgradeId] || 0) + 1;
+
+        recalculateProductionRates();
+
+        emit('metaUpgradePurchased', getMetaUpgrade(metaUpgradeId));
+
+        return { success: true, cost: purchaseCheck.cost };
+    }
+
+    /**
+     * Starts a market opportunity the player grabbed before it expired
+     * Returns { success: true } or { success: false, reason: 'unavailable' }
+     */
+    function claimMarketOpportunity(eventId) {
+        const offers = state.marketEvents.offers;
+        const index = offers.findIndex(offer => offer.id === eventId);
+        const event = getMarketEvent(eventId);
+        if (index === -1 || !event) {
+            return { success: false, reason: 'unavailable' };
+        }
+
+        offers.splice(index, 1);
+        startMarketEvent(event);
+
+        return { success: true };
+    }
+
+    /**
+     * Resets the run for a deeper simulation, keeping prestige data and lifetime statistics
+     * Depth and prestige points both grow by the current calculatePrestigeReward payout,
+     * and the new run starts with whatever the meta upgrades grant
+     * Given a challenge ID, the new run is played under that challenge's restrictions
+     * Returns the new simulation depth
+     */
+    function prestige(challengeId = null) {
+        const challenge = challengeId ? getChallenge(challengeId) : null;
+        if (challengeId && !challenge) {
+            console.warn(`Unknown challenge "${challengeId}"; starting a normal run`);
+        }
+
+        // Achievements about how the run ended, judged before it is wiped
+        checkAchievements('prestige');
+
+        // Deepen the simulation by this run's payout
+        const reward = calculatePrestigeReward(state);
+        const prestigeData = {
+            ...state.prestige,
+            simulationDepth: state.prestige.simulationDepth + reward.depthGained,
+            points: state.prestige.points + reward.depthGained,
+            metaUpgrades: { ...state.prestige.metaUpgrades }
+        };
+        const newDepth = prestigeData.simulationDepth;
+
+        // Calculate new permanent bonuses
+        prestigeData.permanentBonuses = {
+            ...state.prestige.permanentBonuses,
+            ...calculatePrestigeBonuses(newDepth)
+        };
+
+        // Reset progress but keep prestige data
+        const statistics = {
+            totalClicks: 0,
+            totalEarned: ZERO,
+            consciousnessProduced: ZERO,
+            playTime: state.statistics.playTime,
+            runTime: 0,
+            prestigeCount: state.statistics.prestigeCount + 1
+        };
+
+        // Create fresh state, with the meta upgrades' head start
+        const freshState = createDefaultState();
+        freshState.prestige = prestigeData;
+        freshState.statistics = statistics;
+        freshState.achievements = { ...state.achievements };
+        freshState.autoBuyer = { ...state.autoBuyer, priority: [...state.autoBuyer.priority] };
+        freshState.challenges = {
+            active: challenge ? { id: challenge.id, elapsed: 0 } : null,
+            completed: { ...state.challenges.completed }
+        };
+        freshState.resources.dollars = fromNumber(bonuses.startingDollars);
+        freshState.upgrades = keepStageOneUpgrades(state.upgrades, bonuses.keptStageOneLevels);
+        if (challenge) {
+            applyChallengeHeadStart(freshState, challenge.headStart);
+        }
+        state = freshState;
+
+        // Recalculate rates with new prestige bonuses
+        recalculateProductionRates();
+
+        emit('prestige', newDepth);
+        return newDepth;
+    }
+
+    /**
+     * Gives up the running challenge; the run continues without its restrictions or its reward
+     * Returns { success: true } or { success: false, reason: 'none' }
+     */
+    function abandonChallenge() {
+        if (!state.challenges.active) {
+            return { success: false, reason: 'none' };
+        }
+
+        state.challenges.active = null;
+        recalculateProductionRates();
+
+        return { success: true };
+    }
+
+    /**
+     * Grants production for the time since the state was last saved
+     * Returns the calculateOfflineProgress summary (earnings only applied if significant)
+     */
+    function applyOfflineProgress(now = Date.now()) {
+        const awaySeconds = Math.max(0, now - state.lastSaveTime) / 1000;
+
+        // Market events ran out while the player was away; the schedule waits for them to return
+        countDownMarketEvents(awaySeconds);
+
+        // A challenge's clock keeps running while away, so its time limit can't be waited out offline
+        if (state.challenges.active) {
+            state.challenges.active.elapsed += awaySeconds;
+            checkChallenge();
+        }
+
+        const offlineProgress = calculateOfflineProgress(state, rates, {
+            sellPriceMultiplier: bonuses.sellPriceMultiplier,
+            prestigeMultiplier: getPrestigeMultiplier(),
+            saleBatchReduction: bonuses.saleBatchReduction
+        }, now, MAX_OFFLINE_MS + bonuses.offlineCapHours * HOUR_MS);
+
+        if (offlineProgress.hasSignificantProgress) {
+            // Apply offline earnings
+            for (const [resourceKey, amount] of Object.entries(offlineProgress.earnings)) {
+                state.resources[resourceKey] = add(state.resources[resourceKey], amount);
+            }
+
+            // Also add to total earned for stage progression, and to consciousness produced for the prestige payout
+            state.statistics.totalEarned = add(state.statistics.totalEarned, offlineProgress.earnings.dollars);
+            state.statistics.consciousnessProduced = add(state.statistics.consciousnessProduced, offlineProgress.earnings.consciousnessCycles);
+
+            // Stages reached while away
+            state.currentStage = offlineProgress.finalStage;
+        }
+
+        return offlineProgress;
+    }
+
+    /**
+     * Replaces the whole game state (import, slot switch, takeover)
+     */
+    function loadState(newState) {
+        state = newState;
+        recalculateProductionRates();
+    }
+
+    /**
+     * Merges presentation settings (e.g. headline position) into the state
+     */
+    function updateSettings(changes) {
+        state.settings = { ...state.settings, ...changes };
+    }
+
+    /**
+     * Merges auto-buyer settings ({ enabled, reservePercent, priority }) into the state
+     */
+    function updateAutoBuyer(changes) {
+        state.autoBuyer = { ...state.autoBuyer, ...changes };
+    }
+
+    /**
+     * Subscribes to an engine event
+     */
+    function on(event, handler) {
+        (listeners[event] = listeners[event] || []).push(handler);
+    }
+
+    // =========================================================================
+    // INTERNALS
+    // =========================================================================
+
+    /**
+     * Notifies event subscribers
+     */
+    function emit(event, payload) {
+        for (const handler of listeners[event] || []) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Applies passive production based on elapsed time
+     */
+    function applyPassiveProduction(deltaTime) {
+        const resources = state.resources;
+        for (const { id, rate } of getAllResources()) {
+            if (rate) {
+                resources[id] = add(resources[id] || ZERO, (rates[rate] || 0) * deltaTime);
+            }
+        }
+
+        // Track passive earnings and consciousness
+        state.statistics.totalEarned = add(state.statistics.totalEarned, rates.dollarsPerSecond * deltaTime);
+        state.statistics.consciousnessProduced = add(state.statistics.consciousnessProduced, rates.consciousnessPerSecond * deltaTime);
+    }
+
+    /**
+     * Automatically sells every full batch of each product tier at that tier's price
+     * (after assembly only the current stage's tier usually has a batch to sell)
+     */
+    function autoSellProducts() {
+        const priceMultiplier = bonuses.sellPriceMultiplier * bonuses.marketMultipliers.sellPrice;
+
+        for (const stage of getAllStages()) {
+            if (stage.id > state.currentStage) break;
+
+            const sellPrice = calculateSellPrice(stage.id, priceMultiplier, getPrestigeMultiplier(), bonuses.saleBatchReduction);
+            const productPerSale = getProductPerSale(stage.id, bonuses.saleBatchReduction);
+            const batch = calculateSaleBatch(state.resources[stage.productId] || ZERO, productPerSale, sellPrice);
+            if (isZero(batch.sales)) continue;
+
+            // Perform the sales
+            state.resources[stage.productId] = batch.remainingProduct;
+            state.resources.dollars = add(state.resources.dollars, batch.revenue);
+            state.statistics.totalEarned = add(state.statistics.totalEarned, batch.revenue);
+        }
+    }
+
+    /**
+     * Buys one level of each upgrade on the auto-buyer's list that is affordable, in priority order,
+     * skipping any purchase that would dip below the cash reserve
+     */
+    function runAutoBuyer() {
+        const autoBuyer = state.autoBuyer;
+        if (!autoBuyer.enabled || !isAutoBuyerUnlocked(state)) return;
+
+        for (const upgradeId of autoBuyer.priority) {
+            const upgrade = getUpgrade(upgradeId);
+            if (!upgrade || !isAutoBuyable(upgrade)) continue;
+
+            const purchaseCheck = checkPurchase(upgradeId);
+            if (!purchaseCheck.canPurchase) continue;
+            if (!keepsCashReserve(state.resources, purchaseCheck.costs, autoBuyer.reservePercent)) continue;
+
+            purchaseUpgrade(upgradeId);
+        }
+    }
+
+    /**
+     * Counts down running events and open opportunities, then breaks out a new event when one is due
+     * Opportunities wait in the offers until claimed; other events start right away
+     */
+    function updateMarketEvents(deltaTime) {
+        const marketEvents = state.marketEvents;
+        countDownMarketEvents(deltaTime);
+
+        marketEvents.nextEventIn -= deltaTime;
+        if (marketEvents.nextEventIn > 0) return;
+        marketEvents.nextEventIn = rollEventDelay(random);
+
+        const busyIds = [...marketEvents.active, ...marketEvents.offers].map(entry => entry.id);
+        const event = pickMarketEvent(state.currentStage, random, busyIds);
+        if (!event) return;
+
+        if (isOpportunity(event)) {
+            marketEvents.offers.push({ id: event.id, remaining: event.opportunity.expiresIn });
+            emit('marketOpportunityOffered', event);
+        } else {
+            startMarketEvent(event);
+        }
+    }
+
+    /**
+     * Takes seconds off running events and open opportunities, dropping the ones that ran out
+     */
+    function countDownMarketEvents(seconds) {
+        const marketEvents = state.marketEvents;
+        for (const entry of [...marketEvents.active, ...marketEvents.offers]) {
+            entry.remaining -= seconds;
+        }
+
+        const ended = marketEvents.active.filter(entry => entry.remaining <= 0);
+        marketEvents.active = marketEvents.active.filter(entry => entry.remaining > 0);
+        marketEvents.offers = marketEvents.offers.filter(entry => entry.remaining > 0);
+        if (ended.length === 0) return;
+
+        // Their multipliers stop right away
+        recalculateProductionRates();
+
+        for (const entry of ended) {
+            const event = getMarketEvent(entry.id);
+            if (event) {
+                emit('marketEventEnded', event);
+            }
+        }
+    }
+
+    /**
+     * Starts a market event for its full duration
+     */
+    function startMarketEvent(event) {
+        state.marketEvents.active.push({ id: event.id, remaining: event.duration });
+        recalculateProductionRates();
+        emit('marketEventStarted', event);
+    }
+
+    /**
+     * Advances to the next stage if the player has earned enough
+     */
+    function checkStageAdvancement() {
+        if (canAdvanceStage(state.currentStage, state.statistics.totalEarned)) {
+            state.currentStage++;
+            emit('stageAdvanced', state.currentStage);
+        }
+    }
+
+    /**
+     * Ends the running challenge once its goal is reached (recording the completion) or its time is up
+     */
+    function checkChallenge() {
+        const challenge = getActiveChallenge(state);
+        if (!challenge) return;
+
+        const outcome = judgeChallenge(challenge, state.currentStage, state.challenges.active.elapsed);
+        if (!outcome) return;
+
+        state.challenges.active = null;
+        if (outcome === 'completed' && !state.challenges.completed[challenge.id]) {
+            state.challenges.completed[challenge.id] = Date.now();
+        }
+
+        // Restrictions lift and any new reward applies right away
+        recalculateProductionRates();
+
+        emit(outcome === 'completed' ? 'challengeCompleted' : 'challengeFailed', challenge);
+    }
+
+    /**
+     * Unlocks every achievement whose condition now holds for the given trigger
+     */
+    function checkAchievements(trigger) {
+        const unlocked = findNewAchievements(state, trigger);
+        if (unlocked.length === 0) return;
+
+        for (const achievement of unlocked) {
+            state.achievements[achievement.id] = Date.now();
+        }
+
+        // Their production bonuses apply right away
+        recalculateProductionRates();
+
+        for (const achievement of unlocked) {
+            emit('achievementUnlocked', achievement);
+        }
+    }
+
+    /**
+     * Recalculates all production rates based on current upgrades, prestige, achievements, challenges
+     * and market events
+     */
+    function recalculateProductionRates() {
+        const restrictions = getChallengeRestrictions(state);
+        bonuses = calculateProductionBonuses(state.upgrades, state.prestige.metaUpgrades, restrictions, state.resources);
+        bonuses.achievementMultiplier = calculateAchievementMultiplier(state.achievements);
+        bonuses.challengeRewards = calculateChallengeRewards(state.challenges.completed);
+        bonuses.marketMultipliers = calculateMarketMultipliers(state.marketEvents.active);
+
+        // Apply prestige and challenge reward cost reduction on top of upgrade cost reduction
+        // (a no-cost-reduction challenge rules out all of it)
+        const prestigeCostReduction = state.prestige.permanentBonuses.costReduction || 0;
+        bonuses.costReduction = restrictions.noCostReduction ? 0 : Math.min(
+            bonuses.costReduction + prestigeCostReduction + bonuses.challengeRewards.costReduction,
+            MAX_TOTAL_COST_REDUCTION
+        );
+
+        // Calculate prestige, achievement and challenge production multiplier
+        const productionMultiplier = (state.prestige.permanentBonuses.productionMultiplier || 1)
+            * bonuses.achievementMultiplier
+            * bonuses.challengeRewards.productionMultiplier;
+
+        // Calculate per-second production rates
+        rates = {
+            productPerSecond: bonuses.passiveProduct * productionMultiplier,
+            dollarsPerSecond: bonuses.passiveDollars * productionMultiplier,
+            computePerSecond: bonuses.passiveCompute * productionMultiplier,
+            intelligencePerSecond: bonuses.passiveIntelligence * productionMultiplier,
+            consciousnessPerSecond: bonuses.passiveConsciousness * productionMultiplier
+        };
+
+        // Running market events apply on top of the regular rates
+        for (const key of Object.keys(rates)) {
+            rates[key] *= bonuses.marketMultipliers[key];
+        }
+
+        // Each product tier's producers make their own tier, with the same multipliers as the total
+        for (const { rate, tier } of getAllResources().filter(resource => resource.tier !== undefined)) {
+            rates[rate] = (bonuses.passiveProductByTier[tier] || 0) * productionMultiplier
+                * bonuses.marketMultipliers.productPerSecond;
+        }
+    }
+
+    return {
+        getState: () => state,
+        getBonuses: () => bonuses,
+        getRates: () => rates,
+        getPrestigeMultiplier,
+        getPrestigeReward: () => calculatePrestigeReward(state),
+        getProductPerSale: getCurrentProductPerSale,
+        checkPurchase,
+        checkMetaPurchase,
+        tick,
+        click,
+        purchaseUpgrade,
+        purchaseMetaUpgrade,
+        claimMarketOpportunity,
+        prestige,
+        abandonChallenge,
+        applyOfflineProgress,
+        loadState,
+        updateSettings,
+        updateAutoBuyer,
+        on
+    };
+}
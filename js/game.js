@@ -1,27 +1,66 @@
 /**
- * game.js - Core game loop and state management
- * The single authority on game state. All other modules read state through getters.
+ * game.js - Browser shell around the engine
+ * Runs the engine on a timer, persists its state, and projects it to the DOM through ui.js.
+ * All gameplay rules live in engine.js.
  */
 
-import { createDefaultState, saveGame, loadGame, calculateOfflineProgress } from './save.js';
-import { getStage, canAdvanceStage, calculateSellPrice, TOTAL_STAGES } from './stages.js';
 import {
-    loadUpgrades,
-    calculateProductionBonuses,
-    canPurchaseUpgrade,
-    getUpgrade,
-    calculateUpgradeCost,
-    isPrestigeUnlocked
-} from './upgrades.js';
+    createDefaultState,
+    saveGame,
+    loadGame,
+    exportSave,
+    importSave
+} from './save.js';
+import {
+    initSlots,
+    getSlots,
+    getActiveSlot,
+    createSlot,
+    duplicateSlot,
+    deleteSlot,
+    switchSlot,
+    createBackup,
+    getBackups,
+    restoreBackup
+} from './slots.js';
+import { validateGameState } from './validate.js';
+import { initTabCoordination, isTabLeader, requestTakeover, releaseTabLeadership } from './tabs.js';
+import { createEngine } from './engine.js';
+import { loadStages, setStages, getAllStages, getAllResources } from './stages.js';
+import { loadUpgrades, setUpgrades, getAllUpgrades, getUpgrade } from './upgrades.js';
+import { loadMetaUpgrades, getMetaUpgrade } from './meta.js';
+import { loadAchievements } from './achievements.js';
+import { loadMarketEvents } from './market.js';
+import { loadChallenges } from './challenges.js';
+import { loadContentPacks, applyContentPacks } from './packs.js';
+import { toggleAutoBuyUpgrade, moveAutoBuyUpgrade, clampReservePercent } from './autobuyer.js';
 import {
     initUI,
     render,
     renderUpgrades,
+    renderPurchaseQuantity,
+    renderMetaUpgrades,
+    renderAutoBuyer,
+    renderAchievements,
+    renderMarketEvents,
+    showAchievementToast,
+    showChallengeToast,
     updateUpgradeAffordability,
     updateTicker,
     showWelcomeBackModal,
     showPrestigeModal,
-    getMainActionButton
+    showExportModal,
+    showImportModal,
+    showSaveRepairModal,
+    showContentErrorModal,
+    showTabConflictBanner,
+    hideTabConflictBanner,
+    renderSaveSlots,
+    getMainActionButton,
+    getSaveButtons,
+    getNewSlotControls,
+    getAutoBuyerControls,
+    getChallengeAbandonButton
 } from './ui.js';
 
 // =============================================================================
@@ -30,29 +69,29 @@ import {
 
 const TICK_RATE_MS = 100; // Game loop runs every 100ms (10 ticks/second)
 const AUTO_SAVE_INTERVAL_MS = 30000; // Auto-save every 30 seconds
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000; // Auto-saves also back up the slot at most every 5 minutes
 const HEADLINE_ROTATE_INTERVAL_MS = 8000; // Rotate headlines every 8 seconds
 const TICKS_PER_SECOND = 1000 / TICK_RATE_MS;
 
-// Prestige bonus per simulation depth level
-const PRESTIGE_PRODUCTION_BONUS = 0.25; // +25% production per depth
-const PRESTIGE_COST_REDUCTION = 0.05; // -5% costs per depth (caps at 50%)
-const MAX_PRESTIGE_COST_REDUCTION = 0.5;
-
 // =============================================================================
 // GAME STATE
 // =============================================================================
 
-let gameState = null;
+// The engine owns the game state; this shell only reads it through engine queries
+let engine = null;
 let headlines = null;
 let lastTickTime = 0;
 let lastSaveTime = 0;
+let lastBackupTime = 0;
 let lastHeadlineTime = 0;
 let gameLoopId = null;
 let isInitialized = false;
 
-// Cached production rates (recalculated when upgrades change)
-let cachedBonuses = null;
-let cachedProductionRates = null;
+// Set when the engine buys an upgrade on its own; the next tick re-renders the upgrade list once
+let upgradeListStale = false;
+
+// True while another tab is running the game; this tab then never ticks or saves
+let isReadOnly = false;
 
 // =============================================================================
 // INITIALIZATION
@@ -67,51 +106,85 @@ async function init() {
     // Initialize UI elements
     initUI();
 
-    // Load upgrade data
+    // Load stage, resource and upgrade data
+    await loadStages();
     await loadUpgrades();
+    await loadMetaUpgrades();
+    await loadAchievements();
+    await loadMarketEvents();
+    await loadChallenges();
 
     // Load headlines
-    await loadHeadlines();
+    const headlinesLoaded = await loadHeadlines();
+
+    // Apply content packs on top of the core data
+    await loadContentPackData(headlinesLoaded);
 
-    // Load or create game state
+    // Only one tab may run the game at a time
+    isReadOnly = !initTabCoordination({
+        onLeadershipLost: handleLeadershipLost,
+        onLeadershipGained: handleLeadershipGained
+    });
+
+    // Load or create game state in the active save slot
+    initSlots();
     const savedState = loadGame();
+    engine = createEngine(savedState ? repairGameState(savedState) : createDefaultState());
+    engine.on('stageAdvanced', handleStageAdvanced);
+    engine.on('prestigeUnlocked', showPrestigePrompt);
+    engine.on('achievementUnlocked', handleAchievementUnlocked);
+    engine.on('challengeCompleted', challenge => handleChallengeEnded(challenge, true));
+    engine.on('challengeFailed', challenge => handleChallengeEnded(challenge, false));
+    engine.on('marketEventStarted', handleMarketEventAnnounced);
+    engine.on('marketOpportunityOffered', handleMarketEventAnnounced);
+    engine.on('upgradePurchased', () => {
+        upgradeListStale = true;
+    });
+
     if (savedState) {
-        gameState = savedState;
         console.log('Loaded saved game');
 
-        // Calculate and apply offline progress
-        handleOfflineProgress();
+        // Calculate and apply offline progress (the other tab already did if this one is read-only)
+        if (!isReadOnly) {
+            handleOfflineProgress();
+        }
     } else {
-        gameState = createDefaultState();
         console.log('Starting new game');
         startGameLoop();
     }
 
-    // Calculate initial bonuses
-    recalculateProductionRates();
-
     // Set up event listeners
     setupEventListeners();
 
     // Initial render
-    render(gameState, cachedProductionRates, cachedBonuses);
-    renderUpgrades(gameState, cachedBonuses, handleUpgradePurchase);
+    renderGame();
+    renderUpgradeList();
+    renderAutoBuyerPanel();
+    renderAchievementList();
+    refreshSaveSlots();
 
     // Set initial headline
     rotateHeadline();
 
+    if (isReadOnly) {
+        showTabConflictBanner(requestTakeover);
+        console.log('Game is open in another tab; running read-only');
+    }
+
     isInitialized = true;
     console.log('ram.md initialized');
 }
 
 /**
  * Loads headlines from JSON
+ * Returns false if it had to fall back to placeholder headlines
  */
 async function loadHeadlines() {
     try {
         const response = await fetch('./js/data/headlines.json');
         const data = await response.json();
         headlines = data.headlines;
+        return true;
     } catch (error) {
         console.error('Failed to load headlines:', error);
         headlines = {
@@ -122,28 +195,46 @@ async function loadHeadlines() {
             5: ['The future awaits!'],
             6: ['Singularity approaches!']
         };
+        return false;
     }
 }
 
 /**
- * Handles offline progress calculation and display
+ * Loads the content packs and applies them on top of the core stages, upgrades and headlines
+ * Skipped packs and core data that failed to load are reported to the player instead of passing silently
  */
-function handleOfflineProgress() {
-    recalculateProductionRates();
+async function loadContentPackData(headlinesLoaded) {
+    const { packs, errors: loadErrors } = await loadContentPacks();
+    const { content, applied, errors: packErrors } = applyContentPacks(
+        { upgrades: getAllUpgrades(), stages: getAllStages(), headlines },
+        packs
+    );
 
-    const offlineProgress = calculateOfflineProgress(gameState, cachedProductionRates);
+    setStages(content.stages, getAllResources());
+    setUpgrades(content.upgrades);
+    headlines = content.headlines;
+    if (applied.length > 0) {
+        console.log('Content packs applied:', applied.join(', '));
+    }
 
-    if (offlineProgress.hasSignificantProgress) {
-        // Apply offline earnings
-        gameState.resources.product += offlineProgress.earnings.product;
-        gameState.resources.dollars += offlineProgress.earnings.dollars;
-        gameState.resources.computeUnits += offlineProgress.earnings.computeUnits;
-        gameState.resources.intelligencePoints += offlineProgress.earnings.intelligencePoints;
-        gameState.resources.consciousnessCycles += offlineProgress.earnings.consciousnessCycles;
+    const errors = [];
+    if (getAllStages().length === 0) errors.push('The stage data (stages.json) failed to load.');
+    if (getAllUpgrades().length === 0) errors.push('The upgrade data (upgrades.json) failed to load.');
+    if (!headlinesLoaded) errors.push('The news headlines (headlines.json) failed to load; showing placeholders.');
+    errors.push(...loadErrors, ...packErrors);
 
-        // Also add to total earned for stage progression
-        gameState.statistics.totalEarned += offlineProgress.earnings.dollars;
+    if (errors.length > 0) {
+        showContentErrorModal(errors);
+    }
+}
 
+/**
+ * Handles offline progress calculation and display
+ */
+function handleOfflineProgress() {
+    const offlineProgress = engine.applyOfflineProgress();
+
+    if (offlineProgress.hasSignificantProgress) {
         // Show welcome back modal
         showWelcomeBackModal(offlineProgress, () => {
             startGameLoop();
@@ -161,13 +252,34 @@ function setupEventListeners() {
     const actionButton = getMainActionButton();
     actionButton.addEventListener('click', handleClick);
 
+    // Save export/import
+    const { exportButton, importButton } = getSaveButtons();
+    exportButton.addEventListener('click', handleExportSave);
+    importButton.addEventListener('click', () => showImportModal(handleImportSave));
+
+    // Save slots
+    const { nameInput, createButton } = getNewSlotControls();
+    createButton.addEventListener('click', () => {
+        handleCreateSlot(nameInput.value);
+        nameInput.value = '';
+    });
+
+    // Challenges
+    getChallengeAbandonButton().addEventListener('click', handleAbandonChallenge);
+
+    // Auto-buyer
+    const { toggleButton, reserveInput } = getAutoBuyerControls();
+    toggleButton.addEventListener('click', handleAutoBuyerToggle);
+    reserveInput.addEventListener('change', () => handleAutoBuyerReserveChange(reserveInput.value));
+
     // Save on tab blur/close
     window.addEventListener('beforeunload', () => {
-        saveGame(gameState);
+        persistGame();
+        releaseTabLeadership();
     });
 
     window.addEventListener('blur', () => {
-        saveGame(gameState);
+        persistGame();
     });
 
     // Keyboard shortcut for clicking (spacebar)
@@ -187,10 +299,11 @@ function setupEventListeners() {
  * Starts the game loop
  */
 function startGameLoop() {
-    if (gameLoopId !== null) return;
+    if (gameLoopId !== null || isReadOnly) return;
 
     lastTickTime = Date.now();
     lastSaveTime = Date.now();
+    lastBackupTime = Date.now();
     lastHeadlineTime = Date.now();
 
     gameLoopId = setInterval(tick, TICK_RATE_MS);
@@ -216,26 +329,26 @@ function tick() {
     const deltaTime = (now - lastTickTime) / 1000; // Convert to seconds
     lastTickTime = now;
 
-    // Update play time
-    gameState.statistics.playTime += deltaTime;
-
-    // Apply passive production
-    applyPassiveProduction(deltaTime);
-
-    // Auto-sell products
-    autoSellProducts();
-
-    // Check for stage advancement
-    checkStageAdvancement();
+    // Advance the simulation
+    engine.tick(deltaTime);
 
     // Update UI
-    render(gameState, cachedProductionRates, cachedBonuses);
-    updateUpgradeAffordability(gameState, cachedBonuses);
+    renderGame();
+    if (upgradeListStale) {
+        renderUpgradeList();
+    }
+    updateUpgradeAffordability(engine.getState(), engine.getBonuses());
 
     // Auto-save check
     if (now - lastSaveTime >= AUTO_SAVE_INTERVAL_MS) {
-        saveGame(gameState);
+        persistGame();
         lastSaveTime = now;
+
+        if (now - lastBackupTime >= BACKUP_INTERVAL_MS) {
+            createBackup(engine.getState(), 'auto');
+            lastBackupTime = now;
+            refreshSaveSlots();
+        }
     }
 
     // Headline rotation check
@@ -246,70 +359,59 @@ function tick() {
 }
 
 /**
- * Applies passive production based on elapsed time
+ * Handles the engine moving to a new stage
  */
-function applyPassiveProduction(deltaTime) {
-    const rates = cachedProductionRates;
+function handleStageAdvanced(stageId) {
+    console.log(`Advanced to stage ${stageId}`);
 
-    gameState.resources.product += rates.productPerSecond * deltaTime;
-    gameState.resources.dollars += rates.dollarsPerSecond * deltaTime;
-    gameState.resources.computeUnits += rates.computePerSecond * deltaTime;
-    gameState.resources.intelligencePoints += rates.intelligencePerSecond * deltaTime;
-    gameState.resources.consciousnessCycles += rates.consciousnessPerSecond * deltaTime;
+    // Save on stage transition
+    persistGame();
+
+    // Re-render upgrades for new stage
+    renderUpgradeList();
+    renderAutoBuyerPanel();
 
-    // Track passive earnings
-    gameState.statistics.totalEarned += rates.dollarsPerSecond * deltaTime;
+    // Update headline for new stage
+    rotateHeadline();
 }
 
 /**
- * Automatically sells products when threshold is reached
+ * Handles the engine unlocking an achievement
  */
-function autoSellProducts() {
-    const stage = getStage(gameState.currentStage);
-    const productPerSale = stage.productPerSale;
+function handleAchievementUnlocked(achievement) {
+    console.log(`Achievement unlocked: ${achievement.name}`);
 
-    while (gameState.resources.product >= productPerSale) {
-        // Calculate sell price with bonuses
-        const prestigeMultiplier = 1 + (gameState.prestige.simulationDepth * PRESTIGE_PRODUCTION_BONUS);
-        const sellPrice = calculateSellPrice(
-            gameState.currentStage,
-            cachedBonuses.sellPriceMultiplier,
-            prestigeMultiplier
-        );
+    showAchievementToast(achievement);
+    renderAchievementList();
 
-        // Perform the sale
-        gameState.resources.product -= productPerSale;
-        gameState.resources.dollars += sellPrice;
-        gameState.statistics.totalEarned += sellPrice;
-    }
+    // Save right away so an unlock is never lost to a closed tab
+    persistGame();
 }
 
 /**
- * Checks if player can advance to the next stage
+ * Handles the running challenge being completed or failed
  */
-function checkStageAdvancement() {
-    if (gameState.currentStage >= TOTAL_STAGES) return;
+function handleChallengeEnded(challenge, completed) {
+    console.log(`Challenge ${completed ? 'completed' : 'failed'}: ${challenge.name}`);
 
-    if (canAdvanceStage(gameState.currentStage, gameState.statistics.totalEarned)) {
-        advanceStage();
-    }
+    showChallengeToast(challenge, completed);
+
+    // Restrictions are lifted, so disabled upgrades come back
+    renderUpgradeList();
+
+    persistGame();
 }
 
 /**
- * Advances to the next stage
+ * Announces a market event or opportunity on the news ticker
  */
-function advanceStage() {
-    gameState.currentStage++;
-    console.log(`Advanced to stage ${gameState.currentStage}`);
+function handleMarketEventAnnounced(event) {
+    console.log(`Market event: ${event.name}`);
 
-    // Save on stage transition
-    saveGame(gameState);
+    updateTicker(event.headline);
 
-    // Re-render upgrades for new stage
-    renderUpgrades(gameState, cachedBonuses, handleUpgradePurchase);
-
-    // Update headline for new stage
-    rotateHeadline();
+    // Keep the announcement up for a full rotation
+    lastHeadlineTime = Date.now();
 }
 
 // =============================================================================
@@ -320,65 +422,120 @@ function advanceStage() {
  * Handles the main click action
  */
 function handleClick() {
-    const clickPower = cachedBonuses.clickPower;
-    const prestigeMultiplier = 1 + (gameState.prestige.simulationDepth * PRESTIGE_PRODUCTION_BONUS);
-    const totalClick = clickPower * prestigeMultiplier;
+    if (isReadOnly) return;
 
-    gameState.resources.product += totalClick;
-    gameState.statistics.totalClicks++;
+    engine.click();
 }
 
 /**
  * Handles upgrade purchase
  */
 function handleUpgradePurchase(upgradeId) {
+    if (isReadOnly) return;
+
     const upgrade = getUpgrade(upgradeId);
     if (!upgrade) return;
 
-    const purchaseCount = gameState.upgrades[upgradeId] || 0;
-    const purchaseCheck = canPurchaseUpgrade(
-        upgrade,
-        purchaseCount,
-        gameState.resources,
-        gameState.upgrades,
-        cachedBonuses.costReduction
-    );
-
-    if (!purchaseCheck.canPurchase) {
+    const result = engine.purchaseUpgrade(upgradeId, engine.getState().settings.buyQuantity);
+    if (!result.success) {
         // Allow re-triggering prestige modal for already-purchased prestige upgrade
-        if (upgrade.effectType === 'unlockPrestige' && purchaseCheck.reason === 'maxed') {
+        if (upgrade.effectType === 'unlockPrestige' && result.reason === 'maxed') {
             showPrestigePrompt();
         }
         return;
     }
 
-    // Calculate cost fresh (don't use stale values from UI)
-    const baseCost = calculateUpgradeCost(upgrade, purchaseCount);
-    const finalCost = Math.floor(baseCost * (1 - cachedBonuses.costReduction));
+    // Re-render upgrades
+    renderUpgradeList();
 
-    // Deduct cost
-    const resourceKey = upgrade.costResource || 'dollars';
-    gameState.resources[resourceKey] -= finalCost;
+    // Save on upgrade purchase
+    persistGame();
 
-    // Record purchase
-    gameState.upgrades[upgradeId] = purchaseCount + 1;
+    console.log(`Purchased upgrade: ${upgrade.name} x${result.quantity}`);
+}
 
-    // Recalculate production rates
-    recalculateProductionRates();
+/**
+ * Handles grabbing a market opportunity before it expires
+ */
+function handleMarketOpportunityClaim(eventId) {
+    if (isReadOnly) return;
 
-    // Check for prestige unlock
-    if (upgrade.effectType === 'unlockPrestige') {
-        gameState.prestigeUnlocked = true;
-        showPrestigePrompt();
-    }
+    const result = engine.claimMarketOpportunity(eventId);
+    if (!result.success) return;
 
-    // Re-render upgrades
-    renderUpgrades(gameState, cachedBonuses, handleUpgradePurchase);
+    renderGame();
+}
 
-    // Save on upgrade purchase
-    saveGame(gameState);
+/**
+ * Handles a new selection in the purchase quantity selector
+ */
+function handleBuyQuantityChange(quantity) {
+    if (isReadOnly) return;
+
+    engine.updateSettings({ buyQuantity: quantity });
+    renderUpgradeList();
+}
+
+/**
+ * Handles the auto-buyer [ON]/[OFF] toggle
+ */
+function handleAutoBuyerToggle() {
+    if (isReadOnly) return;
+
+    engine.updateAutoBuyer({ enabled: !engine.getState().autoBuyer.enabled });
+    renderAutoBuyerPanel();
+    persistGame();
+}
+
+/**
+ * Handles a new "keep at least X% of cash" value
+ */
+function handleAutoBuyerReserveChange(value) {
+    if (isReadOnly) return;
+
+    engine.updateAutoBuyer({ reservePercent: clampReservePercent(value) });
+    renderAutoBuyerPanel();
+    persistGame();
+}
+
+/**
+ * Handles checking or unchecking an upgrade in the auto-buyer list
+ */
+function handleAutoBuyerToggleUpgrade(upgradeId) {
+    if (isReadOnly) return;
+
+    engine.updateAutoBuyer(toggleAutoBuyUpgrade(engine.getState().autoBuyer, upgradeId));
+    renderAutoBuyerPanel();
+    persistGame();
+}
+
+/**
+ * Handles moving an upgrade up or down the auto-buyer priority
+ */
+function handleAutoBuyerMoveUpgrade(upgradeId, offset) {
+    if (isReadOnly) return;
+
+    engine.updateAutoBuyer(moveAutoBuyUpgrade(engine.getState().autoBuyer, upgradeId, offset));
+    renderAutoBuyerPanel();
+    persistGame();
+}
+
+/**
+ * Handles meta upgrade purchase with prestige points
+ */
+function handleMetaUpgradePurchase(metaUpgradeId) {
+    if (isReadOnly) return;
+
+    const result = engine.purchaseMetaUpgrade(metaUpgradeId);
+    if (!result.success) return;
 
-    console.log(`Purchased upgrade: ${upgrade.name}`);
+    // Starting cash and kept upgrades wait for the next run, but the other effects apply now
+    renderGame();
+    renderUpgradeList();
+
+    persistGame();
+
+    console.log(`Purchased meta upgrade: ${getMetaUpgrade(metaUpgradeId).name}`);
 }
 
 /**
@@ -386,54 +543,53 @@ function handleUpgradePurchase(upgradeId) {
  */
 function showPrestigePrompt() {
     showPrestigeModal(
-        gameState.prestige.simulationDepth,
+        engine.getState(),
+        engine.getPrestigeReward(),
         handlePrestigeConfirm,
         handlePrestigeCancel
     );
 }
 
 /**
- * Handles prestige confirmation
+ * Handles prestige confirmation, starting the challenge picked for the next run (if any)
  */
-function handlePrestigeConfirm() {
-    // Increment simulation depth
-    gameState.prestige.simulationDepth++;
-    gameState.statistics.prestigeCount++;
-
-    // Calculate new permanent bonuses
-    const newDepth = gameState.prestige.simulationDepth;
-    gameState.prestige.permanentBonuses.productionMultiplier = 1 + (newDepth * PRESTIGE_PRODUCTION_BONUS);
-    gameState.prestige.permanentBonuses.costReduction = Math.min(
-        newDepth * PRESTIGE_COST_REDUCTION,
-        MAX_PRESTIGE_COST_REDUCTION
-    );
+function handlePrestigeConfirm(challengeId) {
+    if (isReadOnly) return;
 
-    // Reset progress but keep prestige data
-    const prestigeData = { ...gameState.prestige };
-    const statistics = {
-        totalClicks: 0,
-        totalEarned: 0,
-        playTime: gameState.statistics.playTime,
-        prestigeCount: gameState.statistics.prestigeCount
-    };
+    // Keep a way back in case the reset was a misclick
+    createBackup(engine.getState(), 'prestige');
 
-    // Create fresh state
-    gameState = createDefaultState();
-    gameState.prestige = prestigeData;
-    gameState.statistics = statistics;
-
-    // Recalculate rates with new prestige bonuses
-    recalculateProductionRates();
+    const newDepth = engine.prestige(challengeId);
 
     // Save and re-render
-    saveGame(gameState);
-    render(gameState, cachedProductionRates, cachedBonuses);
-    renderUpgrades(gameState, cachedBonuses, handleUpgradePurchase);
+    persistGame();
+    renderGame();
+    renderUpgradeList();
+    renderAutoBuyerPanel();
+    refreshSaveSlots();
     rotateHeadline();
 
     console.log(`Prestige! New simulation depth: ${newDepth}`);
 }
 
+/**
+ * Gives up the running challenge after confirmation
+ */
+function handleAbandonChallenge() {
+    if (isReadOnly) return;
+
+    if (!window.confirm('Abandon this challenge? The run continues without its restrictions or its reward.')) return;
+
+    const result = engine.abandonChallenge();
+    if (!result.success) return;
+
+    renderGame();
+    renderUpgradeList();
+    persistGame();
+
+    console.log('Challenge abandoned');
+}
+
 /**
  * Handles prestige cancellation
  */
@@ -442,34 +598,256 @@ function handlePrestigeCancel() {
     console.log('Prestige cancelled');
 }
 
+/**
+ * Handles save export
+ */
+async function handleExportSave() {
+    try {
+        const saveString = await exportSave(engine.getState());
+        showExportModal(saveString);
+    } catch (error) {
+        console.error('Failed to export save:', error);
+    }
+}
+
+/**
+ * Handles save import from a pasted string
+ * Returns the import result so the UI can show errors
+ */
+async function handleImportSave(saveString) {
+    if (isReadOnly) {
+        return { success: false, error: 'ram.md is open in another tab. Take over here first.' };
+    }
+
+    const result = await importSave(saveString);
+    if (!result.success) {
+        return result;
+    }
+
+    // Back up the run being replaced so a bad import can be undone from the slot's backups
+    createBackup(engine.getState(), 'import');
+
+    // No offline progress for imports - the run continues from the moment it is restored
+    result.state.lastSaveTime = Date.now();
+    replaceGameState(result.state);
+
+    console.log('Imported save');
+    return result;
+}
+
+/**
+ * Saves the game if this tab is the one running it
+ */
+function persistGame() {
+    // Re-checks the lock so a tab that was just taken over can't roll the save back
+    if (isReadOnly || !isTabLeader()) return false;
+    return saveGame(engine.getState());
+}
+
 // =============================================================================
-// PRODUCTION CALCULATIONS
+// TAB COORDINATION
 // =============================================================================
 
 /**
- * Recalculates all production rates based on current upgrades and prestige
+ * Stops running the game because another tab took over
+ * handedOver is true when this tab still holds the lock and can save before letting go
  */
-function recalculateProductionRates() {
-    cachedBonuses = calculateProductionBonuses(gameState.upgrades);
+function handleLeadershipLost(handedOver) {
+    if (handedOver) {
+        saveGame(engine.getState());
+    }
 
-    // Apply prestige cost reduction on top of upgrade cost reduction
-    const prestigeCostReduction = gameState.prestige.permanentBonuses.costReduction || 0;
-    cachedBonuses.costReduction = Math.min(
-        cachedBonuses.costReduction + prestigeCostReduction,
-        0.9 // Hard cap at 90%
-    );
+    isReadOnly = true;
+    stopGameLoop();
+    showTabConflictBanner(requestTakeover);
+
+    console.log('Game taken over by another tab');
+}
+
+/**
+ * Resumes the game from the latest save after taking over from another tab
+ */
+function handleLeadershipGained() {
+    isReadOnly = false;
+    hideTabConflictBanner();
+
+    // The other tab may have switched slots or saved since this one loaded
+    initSlots();
+    engine.loadState(repairGameState(loadGame() || createDefaultState()));
+
+    // Covers the time the previous tab was closed or frozen
+    handleOfflineProgress();
+
+    renderGame();
+    renderUpgradeList();
+    renderAutoBuyerPanel();
+    renderAchievementList();
+    refreshSaveSlots();
+    rotateHeadline();
+
+    console.log('Took over the game from another tab');
+}
+
+// =============================================================================
+// SAVE SLOTS
+// =============================================================================
+
+/**
+ * Creates a fresh slot and switches to it
+ */
+function handleCreateSlot(name) {
+    if (isReadOnly) return;
+
+    const slot = createSlot(name);
+    handleSwitchSlot(slot.id);
+}
 
-    // Calculate prestige production multiplier
-    const prestigeMultiplier = gameState.prestige.permanentBonuses.productionMultiplier || 1;
+/**
+ * Saves the current slot, then loads another one
+ */
+function handleSwitchSlot(slotId) {
+    if (isReadOnly) return;
+
+    persistGame();
+
+    const slotState = switchSlot(slotId) || createDefaultState();
+
+    // Only the active slot runs, so switching never grants offline progress
+    slotState.lastSaveTime = Date.now();
+    lastBackupTime = Date.now();
+    replaceGameState(slotState);
+
+    console.log(`Switched to save slot: ${getActiveSlot().name}`);
+}
+
+/**
+ * Copies a slot into a new one
+ */
+function handleDuplicateSlot(slotId) {
+    if (isReadOnly) return;
+
+    // Make sure the copy of the active slot is up to date
+    if (slotId === getActiveSlot().id) {
+        persistGame();
+    }
+    duplicateSlot(slotId);
+    refreshSaveSlots();
+}
 
-    // Calculate per-second production rates
-    cachedProductionRates = {
-        productPerSecond: cachedBonuses.passiveProduct * prestigeMultiplier,
-        dollarsPerSecond: cachedBonuses.passiveDollars * prestigeMultiplier,
-        computePerSecond: cachedBonuses.passiveCompute * prestigeMultiplier,
-        intelligencePerSecond: cachedBonuses.passiveIntelligence * prestigeMultiplier,
-        consciousnessPerSecond: cachedBonuses.passiveConsciousness * prestigeMultiplier
-    };
+/**
+ * Deletes an inactive slot after confirmation
+ */
+function handleDeleteSlot(slotId) {
+    if (isReadOnly) return;
+
+    const slot = getSlots().find(entry => entry.id === slotId);
+    if (!slot || !window.confirm(`Delete save slot "${slot.name}" and all of its backups?`)) return;
+
+    deleteSlot(slotId);
+    refreshSaveSlots();
+}
+
+/**
+ * Restores a backup of the active slot after confirmation
+ */
+function handleRestoreBackup(timestamp) {
+    if (isReadOnly) return;
+
+    if (!window.confirm('Restore this backup? Your current progress in this slot will be backed up first.')) return;
+
+    const result = restoreBackup(timestamp);
+    if (!result.success) {
+        console.warn(result.error);
+        return;
+    }
+
+    createBackup(engine.getState(), 'restore');
+    result.state.lastSaveTime = Date.now();
+    replaceGameState(result.state);
+
+    console.log('Restored backup');
+}
+
+/**
+ * Re-renders the save slot panel
+ */
+function refreshSaveSlots() {
+    renderSaveSlots(getSlots(), getActiveSlot().id, getBackups(), {
+        onSwitch: handleSwitchSlot,
+        onDuplicate: handleDuplicateSlot,
+        onDelete: handleDeleteSlot,
+        onRestore: handleRestoreBackup
+    });
+}
+
+/**
+ * Validates a loaded state against the stage and upgrade data and reports any repairs
+ */
+function repairGameState(state) {
+    const { state: repairedState, fixes } = validateGameState(state);
+
+    if (fixes.length > 0) {
+        console.warn('Repaired save:', fixes);
+        showSaveRepairModal(fixes);
+    }
+
+    return repairedState;
+}
+
+/**
+ * Replaces the whole game state (import, slot switch) and refreshes everything derived from it
+ */
+function replaceGameState(newState) {
+    engine.loadState(repairGameState(newState));
+
+    persistGame();
+    renderGame();
+    renderUpgradeList();
+    renderAutoBuyerPanel();
+    renderAchievementList();
+    refreshSaveSlots();
+    rotateHeadline();
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Renders the current engine state
+ */
+function renderGame() {
+    render(engine.getState(), engine.getRates(), engine.getBonuses());
+    renderMarketEvents(engine.getState(), handleMarketOpportunityClaim);
+}
+
+/**
+ * Re-renders the purchase selector and the upgrade and meta upgrade lists
+ * (after purchases, stage changes and state swaps)
+ */
+function renderUpgradeList() {
+    upgradeListStale = false;
+    renderPurchaseQuantity(engine.getState().settings.buyQuantity, handleBuyQuantityChange);
+    renderUpgrades(engine.getState(), engine.getBonuses(), handleUpgradePurchase);
+    renderMetaUpgrades(engine.getState(), handleMetaUpgradePurchase);
+}
+
+/**
+ * Re-renders the auto-buyer panel (after settings changes, stage changes and state swaps)
+ * Not re-rendered on purchases, so the reserve input keeps focus while the auto-buyer runs
+ */
+function renderAutoBuyerPanel() {
+    renderAutoBuyer(engine.getState(), {
+        onToggleUpgrade: handleAutoBuyerToggleUpgrade,
+        onMoveUpgrade: handleAutoBuyerMoveUpgrade
+    });
+}
+
+/**
+ * Re-renders the achievements checklist (after unlocks and state swaps)
+ */
+function renderAchievementList() {
+    renderAchievements(engine.getState());
 }
 
 // =============================================================================
@@ -482,13 +860,14 @@ function recalculateProductionRates() {
 function rotateHeadline() {
     if (!headlines) return;
 
-    const stageHeadlines = headlines[gameState.currentStage] || headlines['1'];
+    const state = engine.getState();
+    const stageHeadlines = headlines[state.currentStage] || headlines['1'];
     if (!stageHeadlines || stageHeadlines.length === 0) return;
 
     // Get next headline index
-    let index = gameState.settings.lastHeadlineIndex || 0;
+    let index = state.settings.lastHeadlineIndex || 0;
     index = (index + 1) % stageHeadlines.length;
-    gameState.settings.lastHeadlineIndex = index;
+    engine.updateSettings({ lastHeadlineIndex: index });
 
     // Update ticker
     updateTicker(stageHeadlines[index]);
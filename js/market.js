@@ -0,0 +1,138 @@
+/**
+ * market.js - Timed market events
+ * Events are declared in market-events.json per stage. Every so often one breaks out:
+ * regular events start right away, opportunities wait for the player to grab them before they expire.
+ * While running, an event multiplies production rates, click power or sell price.
+ */
+
+// Seconds between market events, picked at random within this range
+export const MIN_EVENT_DELAY = 90;
+export const MAX_EVENT_DELAY = 240;
+
+// Multipliers an event's effects may set: the production rates plus click power and sell price
+export const MARKET_EFFECT_KEYS = [
+    'productPerSecond',
+    'dollarsPerSecond',
+    'computePerSecond',
+    'intelligencePerSecond',
+    'consciousnessPerSecond',
+    'clickPower',
+    'sellPrice'
+];
+
+const EFFECT_LABELS = {
+    productPerSecond: 'passive product',
+    dollarsPerSecond: 'passive dollars',
+    computePerSecond: 'passive compute',
+    intelligencePerSecond: 'passive intelligence',
+    consciousnessPerSecond: 'passive consciousness',
+    clickPower: 'click power',
+    sellPrice: 'sell price'
+};
+
+// Market event data will be loaded from JSON
+let marketEventsData = null;
+
+/**
+ * Loads market event data from the JSON file
+ */
+export async function loadMarketEvents() {
+    try {
+        const response = await fetch('./js/data/market-events.json');
+        const data = await response.json();
+        marketEventsData = data.events;
+        return marketEventsData;
+    } catch (error) {
+        console.error('Failed to load market events:', error);
+        return [];
+    }
+}
+
+/**
+ * Sets market event data directly (for Node scripts and tests, where fetch can't read local files)
+ */
+export function setMarketEvents(events) {
+    marketEventsData = events;
+}
+
+/**
+ * Gets all market events
+ */
+export function getAllMarketEvents() {
+    return marketEventsData || [];
+}
+
+/**
+ * Gets a specific market event by ID
+ */
+export function getMarketEvent(eventId) {
+    if (!marketEventsData) return null;
+    return marketEventsData.find(event => event.id === eventId);
+}
+
+/**
+ * Checks whether an event waits for the player to grab it
+ */
+export function isOpportunity(event) {
+    return Boolean(event.opportunity);
+}
+
+/**
+ * Picks the delay in seconds until the next market event
+ * random: a Math.random-style function
+ */
+export function rollEventDelay(random) {
+    return MIN_EVENT_DELAY + random() * (MAX_EVENT_DELAY - MIN_EVENT_DELAY);
+}
+
+/**
+ * Picks a random event for a stage, weighted by each event's weight (default 1)
+ * Events in excludedIds (already running or on offer) are skipped
+ * Returns null if no event fits
+ */
+export function pickMarketEvent(stageId, random, excludedIds = []) {
+    const candidates = getAllMarketEvents().filter(event =>
+        event.stages.includes(stageId) && !excludedIds.includes(event.id)
+    );
+    const totalWeight = candidates.reduce((sum, event) => sum + (event.weight ?? 1), 0);
+    if (totalWeight <= 0) return null;
+
+    let roll = random() * totalWeight;
+    for (const event of candidates) {
+        roll -= event.weight ?? 1;
+        if (roll < 0) return event;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Multiplies the effects of running events together
+ * running: [{ id, remaining }] as stored in state.marketEvents.active
+ * Returns one multiplier per MARKET_EFFECT_KEYS entry (1 when no event touches it)
+ */
+export function calculateMarketMultipliers(running) {
+    const multipliers = Object.fromEntries(MARKET_EFFECT_KEYS.map(key => [key, 1]));
+
+    for (const { id } of running) {
+        const event = getMarketEvent(id);
+        if (!event) continue;
+
+        for (const [key, value] of Object.entries(event.effects)) {
+            if (key in multipliers) {
+                multipliers[key] *= value;
+            }
+        }
+    }
+    return multipliers;
+}
+
+/**
+ * Gets a human-readable description of an event's effects
+ */
+export function getMarketEffectDescription(event) {
+    return Object.entries(event.effects)
+        .map(([key, value]) => value === 0
+            ? `no ${EFFECT_LABELS[key] || key}`
+            : `${EFFECT_LABELS[key] || key} x${value}`)
+        .join(', ');
+}
@@ -0,0 +1,110 @@
+/**
+ * meta.js - Meta upgrade definitions and logic
+ * Meta upgrades are bought with prestige points and kept across prestige resets.
+ * Costs and point balances are small whole numbers, so they stay plain numbers.
+ */
+
+// Meta upgrade data will be loaded from JSON
+let metaUpgradesData = null;
+
+/**
+ * Loads meta upgrade data from the JSON file
+ */
+export async function loadMetaUpgrades() {
+    try {
+        const response = await fetch('./js/data/meta-upgrades.json');
+        const data = await response.json();
+        metaUpgradesData = data.metaUpgrades;
+        return metaUpgradesData;
+    } catch (error) {
+        console.error('Failed to load meta upgrades:', error);
+        return [];
+    }
+}
+
+/**
+ * Sets meta upgrade data directly (for Node scripts and tests, where fetch can't read local files)
+ */
+export function setMetaUpgrades(metaUpgrades) {
+    metaUpgradesData = metaUpgrades;
+}
+
+/**
+ * Gets all meta upgrades
+ */
+export function getAllMetaUpgrades() {
+    return metaUpgradesData || [];
+}
+
+/**
+ * Gets a specific meta upgrade by ID
+ */
+export function getMetaUpgrade(metaUpgradeId) {
+    if (!metaUpgradesData) return null;
+    return metaUpgradesData.find(metaUpgrade => metaUpgrade.id === metaUpgradeId);
+}
+
+/**
+ * Calculates the prestige point cost of the next level of a meta upgrade
+ * Formula: cost = baseCost * (scalingFactor ^ purchaseCount)
+ */
+export function calculateMetaUpgradeCost(metaUpgrade, purchaseCount) {
+    return Math.floor(metaUpgrade.baseCost * Math.pow(metaUpgrade.costScaling, purchaseCount));
+}
+
+/**
+ * Checks if a meta upgrade can be purchased with the given prestige points
+ * Returns { canPurchase, cost } or { canPurchase: false, reason } ('maxed', 'prerequisite' or 'insufficient')
+ */
+export function canPurchaseMetaUpgrade(metaUpgrade, purchaseCount, points, purchasedMetaUpgrades) {
+    if (purchaseCount >= metaUpgrade.maxPurchases) {
+        return { canPurchase: false, reason: 'maxed' };
+    }
+
+    if (metaUpgrade.prerequisite && !(purchasedMetaUpgrades[metaUpgrade.prerequisite] > 0)) {
+        return { canPurchase: false, reason: 'prerequisite' };
+    }
+
+    const cost = calculateMetaUpgradeCost(metaUpgrade, purchaseCount);
+    if (points < cost) {
+        return { canPurchase: false, reason: 'insufficient', cost };
+    }
+
+    return { canPurchase: true, cost };
+}
+
+/**
+ * Calculates the total effect of all purchased meta upgrades of a specific type
+ */
+export function calculateMetaEffect(effectType, purchasedMetaUpgrades) {
+    if (!metaUpgradesData) return 0;
+
+    let total = 0;
+    for (const metaUpgrade of metaUpgradesData) {
+        const count = purchasedMetaUpgrades[metaUpgrade.id] || 0;
+        if (count > 0 && metaUpgrade.effectType === effectType) {
+            total += metaUpgrade.effectValue * count;
+        }
+    }
+    return total;
+}
+
+/**
+ * Gets the description of a meta upgrade's effect for display
+ */
+export function getMetaEffectDescription(metaUpgrade) {
+    const value = metaUpgrade.effectValue;
+
+    switch (metaUpgrade.effectType) {
+        case 'startingCash':
+            return `Start each run with +$${value.toLocaleString('en-US')}`;
+        case 'keepStageOneUpgrades':
+            return `Keep up to ${value} levels of each Stage 1 upgrade`;
+        case 'saleBatchReduction':
+            return `Auto-sell batches are ${value} product smaller, so sales come sooner (same price per unit)`;
+        case 'offlineCapHours':
+            return `+${value}h offline progress cap`;
+        default:
+            return '';
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * packs.js - Content packs
+ * Packs listed in data/packs/manifest.json add to or override the core upgrades, stages and headlines.
+ * They apply in manifest order; a pack with any error is skipped as a whole and its errors are reported.
+ */
+
+// Where the manifest lives; pack files are listed relative to it
+const MANIFEST_URL = './js/data/packs/manifest.json';
+const PACKS_BASE_URL = './js/data/packs/';
+
+// Fields every added entry must have (overrides may change any subset of them)
+// Added stages always follow the first, so they need the inputPerUnit their product is assembled with
+const REQUIRED_UPGRADE_FIELDS = ['id', 'name', 'flavorText', 'baseCost', 'costScaling', 'effectType', 'effectValue', 'maxPurchases', 'stage'];
+const REQUIRED_STAGE_FIELDS = [
+    'id', 'name', 'title', 'flavor', 'productId', 'productName', 'clickAction',
+    'baseSellPrice', 'unlockThreshold', 'productPerSale', 'inputPerUnit'
+];
+
+/**
+ * Loads every pack the manifest lists
+ * Returns { packs: [{ file, pack }], errors: [message] }; packs that fail to load are reported, not returned
+ */
+export async function loadContentPacks() {
+    const packs = [];
+    const errors = [];
+
+    let manifest;
+    try {
+        const response = await fetch(MANIFEST_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        manifest = await response.json();
+    } catch (error) {
+        console.error('Failed to load content pack manifest:', error);
+        return { packs, errors: [`The content pack manifest could not be loaded (${error.message}).`] };
+    }
+
+    if (!Array.isArray(manifest.packs)) {
+        return { packs, errors: ['The content pack manifest has no "packs" list.'] };
+    }
+
+    for (const file of manifest.packs) {
+        try {
+            const response = await fetch(PACKS_BASE_URL + file);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            packs.push({ file, pack: await response.json() });
+        } catch (error) {
+            console.error(`Failed to load content pack ${file}:`, error);
+            errors.push(`${file}: could not be loaded (${error.message}).`);
+        }
+    }
+
+    return { packs, errors };
+}
+
+/**
+ * Applies packs in order on top of the core content
+ * content: { upgrades, stages, headlines } as the core data files declare them (left untouched)
+ * packs: [{ file, pack }] as returned by loadContentPacks
+ * Returns { content, applied: [pack id], errors: [message] }
+ */
+export function applyContentPacks(content, packs) {
+    let result = {
+        upgrades: content.upgrades,
+        stages: content.stages,
+        headlines: content.headlines
+    };
+    // Which pack (or 'core') added each id, to name both sides of a collision
+    const origins = {
+        upgrades: new Map(content.upgrades.map(upgrade => [upgrade.id, 'core'])),
+        stages: new Map(content.stages.map(stage => [stage.id, 'core']))
+    };
+    const applied = [];
+    const errors = [];
+
+    for (const { file, pack } of packs) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            errors.push(`${file}: is not a content pack object`);
+            continue;
+        }
+
+        const packErrors = [];
+        const hasId = typeof pack.id === 'string' && pack.id !== '';
+        const label = hasId ? pack.id : file;
+        if (!hasId) {
+            packErrors.push('missing a string "id"');
+        } else if (applied.includes(pack.id)) {
+            packErrors.push(`pack id "${pack.id}" was already loaded`);
+        }
+
+        const packOrigins = {
+            upgrades: new Map(origins.upgrades),
+            stages: new Map(origins.stages)
+        };
+        const stages = mergeEntries(result.stages, pack.stages, 'stage', REQUIRED_STAGE_FIELDS, label, packOrigins.stages, packErrors);
+        checkStageNumbering(stages, packErrors);
+        checkProductIds(stages, packErrors);
+
+        const upgrades = mergeEntries(result.upgrades, pack.upgrades, 'upgrade', REQUIRED_UPGRADE_FIELDS, label, packOrigins.upgrades, packErrors);
+        const stageIds = stages.map(stage => stage.id);
+        // Only entries this pack added or overrode are new objects
+        for (const upgrade of upgrades.filter(entry => !result.upgrades.includes(entry))) {
+            if (!stageIds.includes(upgrade.stage)) {
+                packErrors.push(`upgrade "${upgrade.id}" belongs to unknown stage ${upgrade.stage}`);
+            }
+        }
+
+        const headlines = mergeHeadlines(result.headlines, pack.headlines, stageIds, packErrors);
+
+        if (packErrors.length > 0) {
+            console.warn(`Skipped content pack ${label}:`, packErrors);
+            errors.push(...packErrors.map(message => `${label}: ${message}`));
+            continue;
+        }
+
+        result = { upgrades, stages, headlines };
+        origins.upgrades = packOrigins.upgrades;
+        origins.stages = packOrigins.stages;
+        applied.push(pack.id);
+    }
+
+    return { content: result, applied, errors };
+}
+
+/**
+ * Adds and overrides entries from one section of a pack ({ add: [], override: [] })
+ * Adding an existing id, or overriding a missing one, is an error; overrides replace only the fields they give
+ * Returns the merged list (the original is left untouched)
+ */
+function mergeEntries(entries, section, kind, requiredFields, packId, origins, errors) {
+    if (section === undefined) return entries;
+    if (!section || typeof section !== 'object') {
+        errors.push(`"${kind}s" must be an object with "add" and/or "override" lists`);
+        return entries;
+    }
+
+    const merged = [...entries];
+
+    for (const entry of asList(section.override, `${kind}s.override`, errors)) {
+        const index = merged.findIndex(existing => existing.id === entry.id);
+        if (index === -1) {
+            errors.push(`overrides ${kind} "${entry.id}", which doesn't exist`);
+            continue;
+        }
+        merged[index] = { ...merged[index], ...entry };
+    }
+
+    for (const entry of asList(section.add, `${kind}s.add`, errors)) {
+        const missing = requiredFields.filter(field => entry[field] === undefined);
+        if (missing.length > 0) {
+            errors.push(`added ${kind} "${entry.id ?? '?'}" is missing ${missing.join(', ')}`);
+            continue;
+        }
+        if (origins.has(entry.id)) {
+            const origin = origins.get(entry.id);
+            errors.push(`adds ${kind} "${entry.id}", which collides with ${origin === 'core' ? 'the core game' : `pack ${origin}`}`);
+            continue;
+        }
+        origins.set(entry.id, packId);
+        merged.push(entry);
+    }
+
+    return merged;
+}
+
+/**
+ * Checks a pack list section is a list of objects, reporting it otherwise
+ */
+function asList(list, name, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list) || list.some(entry => !entry || typeof entry !== 'object')) {
+        errors.push(`"${name}" must be a list of objects`);
+        return [];
+    }
+    return list;
+}
+
+/**
+ * Stage ids must run 1, 2, 3... in order, since progression advances one id at a time
+ */
+function checkStageNumbering(stages, errors) {
+    stages.forEach((stage, index) => {
+        if (stage.id !== index + 1) {
+            errors.push(`stage "${stage.id}" is out of order; stages must be numbered 1 to ${stages.length}`);
+        }
+    });
+}
+
+/**
+ * Each stage's product is its own resource, so no two stages may share a productId
+ */
+function checkProductIds(stages, errors) {
+    const seen = new Set();
+    for (const stage of stages) {
+        if (seen.has(stage.productId)) {
+            errors.push(`stage "${stage.id}" makes product "${stage.productId}", which another stage already makes`);
+        }
+        seen.add(stage.productId);
+    }
+}
+
+/**
+ * Appends a pack's headlines ({ stageId: [headline] }) to the stages they're for
+ * Returns the merged headlines (the original is left untouched)
+ */
+function mergeHeadlines(headlines, packHeadlines, stageIds, errors) {
+    if (packHeadlines === undefined) return headlines;
+    if (!packHeadlines || typeof packHeadlines !== 'object' || Array.isArray(packHeadlines)) {
+        errors.push('"headlines" must map stage ids to lists of headlines');
+        return headlines;
+    }
+
+    const merged = { ...headlines };
+    for (const [stageId, list] of Object.entries(packHeadlines)) {
+        if (!stageIds.includes(Number(stageId))) {
+            errors.push(`has headlines for unknown stage ${stageId}`);
+        } else if (!Array.isArray(list) || list.some(headline => typeof headline !== 'string' || headline.trim() === '')) {
+            errors.push(`headlines for stage ${stageId} must be a list of non-empty strings`);
+        } else {
+            merged[stageId] = [...(merged[stageId] || []), ...list];
+        }
+    }
+    return merged;
+}
@@ -1,13 +1,115 @@
 /**
  * save.js - localStorage persistence layer
- * Handles saving/loading game state, offline progress calculation, and migration
+ * Handles saving/loading game state, save export/import, offline progress calculation, and migration
  */
 
-const SAVE_KEY = 'ramClickerSave';
-const SAVE_VERSION = '1.0.0';
+import {
+    getStage,
+    getAllStages,
+    getProductPerSale,
+    getNextStage,
+    getTierYield,
+    calculateSellPrice,
+    calculateSaleBatch,
+    assembleProducts,
+    getAllResources
+} from './stages.js';
+import { ZERO, fromNumber, toNumber, add, subtract, multiply, floor } from './bignum.js';
+import { MIN_EVENT_DELAY } from './market.js';
 
-// Maximum offline time in milliseconds (7 days)
-const MAX_OFFLINE_MS = 7 * 24 * 60 * 60 * 1000;
+// Default save key; the slot manager points saves at other keys via setSaveKey
+export const SAVE_KEY = 'ramClickerSave';
+const SAVE_VERSION = '1.5.0';
+
+// Saves written before versioning was enforced are treated as this version
+const LEGACY_SAVE_VERSION = '1.0.0';
+
+/**
+ * Ordered save migrations, one step per version bump.
+ * Each step receives the raw save data written by `from` and returns it in the `to` shape.
+ * When the state shape changes: bump SAVE_VERSION, update createDefaultState, and append a step here.
+ */
+const MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Start recording applied migrations',
+        migrate: (data) => ({ ...data, migrationLog: [] })
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Store resources and total earned as big numbers',
+        migrate: (data) => ({
+            ...data,
+            resources: mapObject(data.resources, numberToBigNum),
+            statistics: data.statistics && typeof data.statistics === 'object'
+                ? { ...data.statistics, totalEarned: numberToBigNum(data.statistics.totalEarned) }
+                : data.statistics
+        })
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'Add prestige points and meta upgrades',
+        // Depth reached so far is paid out as points, so earlier prestiges aren't wasted
+        migrate: (data) => ({
+            ...data,
+            prestige: data.prestige && typeof data.prestige === 'object'
+                ? { ...data.prestige, points: data.prestige.simulationDepth, metaUpgrades: {} }
+                : data.prestige
+        })
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'Add achievements and per-run play time',
+        // Play time is lifetime, so it only doubles as run time before the first prestige
+        migrate: (data) => ({
+            ...data,
+            achievements: {},
+            statistics: data.statistics && typeof data.statistics === 'object'
+                ? { ...data.statistics, runTime: data.statistics.prestigeCount > 0 ? 0 : data.statistics.playTime }
+                : data.statistics
+        })
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'Track each stage\'s product as its own resource',
+        // The single product counter held units of whatever the current stage made
+        // (with an unknown stage it's left alone, for validation to report and remove)
+        migrate: (data) => {
+            if (!data.resources || typeof data.resources !== 'object') return data;
+
+            const stage = getAllStages().find(({ id }) => id === data.currentStage);
+            if (!stage) return data;
+
+            const { product, ...resources } = data.resources;
+            if (product !== undefined) {
+                resources[stage.productId] = product;
+            }
+            return { ...data, resources };
+        }
+    }
+];
+
+// Export string format: RAMMD:<format version>:<base64 deflated JSON>:<crc32 of JSON>
+const EXPORT_PREFIX = 'RAMMD';
+const EXPORT_FORMAT_VERSION = 1;
+
+// Maximum offline time in milliseconds (7 days), before meta upgrades extend it
+export const MAX_OFFLINE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// localStorage key that saveGame/loadGame/clearSave currently use
+let activeSaveKey = SAVE_KEY;
+
+/**
+ * Points saveGame/loadGame/clearSave at a different localStorage key
+ */
+export function setSaveKey(key) {
+    activeSaveKey = key;
+}
 
 /**
  * Creates a fresh game state with default values
@@ -17,18 +119,17 @@ export function createDefaultState() {
         version: SAVE_VERSION,
         lastSaveTime: Date.now(),
         currentStage: 1,
-        resources: {
-            product: 0,
-            dollars: 0,
-            computeUnits: 0,
-            intelligencePoints: 0,
-            consciousnessCycles: 0
-        },
+        // Resources (one per resource in stages.json), total earned and consciousness produced
+        // are big numbers (see bignum.js)
+        resources: Object.fromEntries(getAllResources().map(resource => [resource.id, ZERO])),
         upgrades: {},
         statistics: {
             totalClicks: 0,
-            totalEarned: 0,
+            totalEarned: ZERO,
+            consciousnessProduced: ZERO,
             playTime: 0,
+            // Seconds played since the last prestige (playTime is lifetime)
+            runTime: 0,
             prestigeCount: 0
         },
         prestige: {
@@ -36,12 +137,40 @@ export function createDefaultState() {
             permanentBonuses: {
                 productionMultiplier: 1.0,
                 costReduction: 0
-            }
+            },
+            // Spendable prestige currency and the meta upgrades bought with it ({ id: count })
+            points: 0,
+            metaUpgrades: {}
         },
         settings: {
-            lastHeadlineIndex: 0
+            lastHeadlineIndex: 0,
+            // Upgrade purchase selector: a PURCHASE_QUANTITIES entry
+            buyQuantity: 1
         },
-        prestigeUnlocked: false
+        prestigeUnlocked: false,
+        // Auto-buyer settings, kept across prestige (see autobuyer.js)
+        autoBuyer: {
+            enabled: true,
+            reservePercent: 0,
+            priority: []
+        },
+        // Market events of this run (see market.js): running events and opportunities on offer
+        // as [{ id, remaining }] in seconds, and the seconds until the next event breaks out
+        marketEvents: {
+            active: [],
+            offers: [],
+            nextEventIn: MIN_EVENT_DELAY
+        },
+        // Challenge runs (see challenges.js): the running one as { id, elapsed } in seconds or null,
+        // and completions kept across prestige as { id: completedAt }
+        challenges: {
+            active: null,
+            completed: {}
+        },
+        // Unlocked achievements, kept across prestige: { id: unlockedAt }
+        achievements: {},
+        // Migration steps this save has been through: [{ from, to, appliedAt }]
+        migrationLog: []
     };
 }
 
@@ -54,7 +183,7 @@ export function saveGame(state) {
             ...state,
             lastSaveTime: Date.now()
         };
-        localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+        localStorage.setItem(activeSaveKey, JSON.stringify(saveData));
         return true;
     } catch (error) {
         console.error('Failed to save game:', error);
@@ -63,12 +192,12 @@ export function saveGame(state) {
 }
 
 /**
- * Loads the game state from localStorage
+ * Loads the game state from localStorage (the active save key unless one is given)
  * Returns null if no save exists or save is corrupted
  */
-export function loadGame() {
+export function loadGame(key = activeSaveKey) {
     try {
-        const saveString = localStorage.getItem(SAVE_KEY);
+        const saveString = localStorage.getItem(key);
         if (!saveString) {
             return null;
         }
@@ -81,26 +210,155 @@ export function loadGame() {
             return null;
         }
 
-        // Merge with defaults to handle missing fields from older versions
-        const defaultState = createDefaultState();
-        const mergedState = deepMerge(defaultState, saveData);
-
-        // Ensure version is current
-        mergedState.version = SAVE_VERSION;
+        const result = normalizeSaveData(saveData);
+        if (!result.success) {
+            console.warn(result.error);
+            return null;
+        }
 
-        return mergedState;
+        return result.state;
     } catch (error) {
         console.error('Failed to load game:', error);
         return null;
     }
 }
 
+/**
+ * Brings raw save data up to the current state shape
+ * Returns { success: true, state } or { success: false, error }
+ */
+export function normalizeSaveData(saveData) {
+    const migration = migrateSaveData(saveData);
+    if (!migration.success) {
+        return migration;
+    }
+
+    // Fill in fields added by this version's defaults that no migration needed to touch
+    const defaultState = createDefaultState();
+    const mergedState = deepMerge(defaultState, migration.data);
+
+    return { success: true, state: mergedState };
+}
+
+/**
+ * Runs every migration step between the save's version and SAVE_VERSION, in order
+ * Returns { success: true, data, applied } or { success: false, error }
+ */
+export function migrateSaveData(saveData) {
+    let data = saveData;
+    let version = typeof data.version === 'string' ? data.version : LEGACY_SAVE_VERSION;
+
+    if (compareVersions(version, SAVE_VERSION) > 0) {
+        return { success: false, error: `Save version ${version} is newer than this version of ram.md (${SAVE_VERSION}).` };
+    }
+
+    const applied = [];
+    for (const step of MIGRATIONS) {
+        if (step.from !== version) continue;
+
+        // A fresh object each step, so a step that returns its input never writes into the caller's save
+        const entry = { from: step.from, to: step.to, appliedAt: Date.now() };
+        const migrated = step.migrate(data);
+        data = { ...migrated, version: step.to, migrationLog: [...(migrated.migrationLog || []), entry] };
+        version = step.to;
+        applied.push(entry);
+    }
+
+    if (version !== SAVE_VERSION) {
+        return { success: false, error: `No migration path from save version ${version} to ${SAVE_VERSION}.` };
+    }
+
+    return { success: true, data, applied };
+}
+
+/**
+ * Compares two dotted version strings numerically
+ * Returns a negative number, zero, or a positive number
+ */
+function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Exports the game state as a portable, checksummed text string
+ */
+export async function exportSave(state) {
+    const json = JSON.stringify({
+        ...state,
+        lastSaveTime: Date.now()
+    });
+
+    const compressed = await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    const payload = bytesToBase64(compressed);
+    const checksum = crc32(json);
+
+    return `${EXPORT_PREFIX}:${EXPORT_FORMAT_VERSION}:${payload}:${checksum}`;
+}
+
+/**
+ * Restores a game state from an exported save string
+ * Returns { success: true, state } or { success: false, error } with a player-facing message
+ */
+export async function importSave(saveString) {
+    // Copy-pasting often adds line breaks or spaces
+    const cleaned = (saveString || '').replace(/\s+/g, '');
+    if (!cleaned) {
+        return { success: false, error: 'Paste a save string first.' };
+    }
+
+    const parts = cleaned.split(':');
+    if (parts.length !== 4 || parts[0] !== EXPORT_PREFIX) {
+        return { success: false, error: 'This doesn\'t look like a ram.md save string.' };
+    }
+
+    const [, formatVersion, payload, checksum] = parts;
+    if (Number(formatVersion) !== EXPORT_FORMAT_VERSION) {
+        return { success: false, error: `Unsupported save format (v${formatVersion}). Is it from a newer version of ram.md?` };
+    }
+
+    let json;
+    try {
+        const decompressed = await transformBytes(base64ToBytes(payload), new DecompressionStream('deflate-raw'));
+        json = new TextDecoder().decode(decompressed);
+    } catch (error) {
+        console.error('Failed to decode save string:', error);
+        return { success: false, error: 'The save string is corrupted and could not be decoded. Make sure you copied all of it.' };
+    }
+
+    if (crc32(json) !== checksum) {
+        return { success: false, error: 'The save string failed its checksum. Make sure you copied all of it.' };
+    }
+
+    let saveData;
+    try {
+        saveData = JSON.parse(json);
+    } catch (error) {
+        return { success: false, error: 'The save string contains unreadable game data.' };
+    }
+
+    if (!saveData || typeof saveData !== 'object' || Array.isArray(saveData)) {
+        return { success: false, error: 'The save string contains unreadable game data.' };
+    }
+
+    return normalizeSaveData(saveData);
+}
+
 /**
  * Calculates offline progress based on elapsed time and production rates
- * Returns an object with earned resources and a summary
+ * Simulates auto-selling and stage advancement while away, one stage at a time
+ * pricing: { sellPriceMultiplier, prestigeMultiplier, saleBatchReduction } - the same inputs the live auto-sell uses
+ * (saleBatchReduction may be omitted)
+ * Returns an object with earned resources, what each product tier made, a sales and stage breakdown, and a summary
  */
-export function calculateOfflineProgress(state, productionRates) {
-    const now = Date.now();
+export function calculateOfflineProgress(state, productionRates, pricing, now = Date.now(), maxOfflineMs = MAX_OFFLINE_MS) {
     const lastSave = state.lastSaveTime || now;
     let elapsedMs = now - lastSave;
 
@@ -110,20 +368,29 @@ export function calculateOfflineProgress(state, productionRates) {
     }
 
     // Cap at maximum offline time
-    const cappedMs = Math.min(elapsedMs, MAX_OFFLINE_MS);
-    const wasCapped = elapsedMs > MAX_OFFLINE_MS;
+    const cappedMs = Math.min(elapsedMs, maxOfflineMs);
+    const wasCapped = elapsedMs > maxOfflineMs;
 
     // Convert to seconds for production calculation
     const elapsedSeconds = cappedMs / 1000;
 
-    // Calculate offline earnings
-    const offlineEarnings = {
-        product: Math.floor(productionRates.productPerSecond * elapsedSeconds),
-        dollars: Math.floor(productionRates.dollarsPerSecond * elapsedSeconds),
-        computeUnits: Math.floor(productionRates.computePerSecond * elapsedSeconds),
-        intelligencePoints: Math.floor(productionRates.intelligencePerSecond * elapsedSeconds),
-        consciousnessCycles: Math.floor(productionRates.consciousnessPerSecond * elapsedSeconds)
-    };
+    const simulation = simulateOfflineSales(state, productionRates, pricing, elapsedSeconds);
+
+    // Calculate offline earnings (big numbers)
+    const passiveDollars = floor(productionRates.dollarsPerSecond * elapsedSeconds);
+    // Resources accumulate at their rates; product tiers and dollars come from the replayed assembly and sales instead
+    // (a tier assembled into the next can end up with less than it started with)
+    const offlineEarnings = {};
+    const productsProduced = {};
+    for (const { id, rate, tier } of getAllResources()) {
+        if (tier !== undefined) {
+            offlineEarnings[id] = subtract(simulation.products[id], state.resources[id] || ZERO);
+            productsProduced[id] = floor((productionRates[rate] || 0) * elapsedSeconds);
+        } else if (rate) {
+            offlineEarnings[id] = floor((productionRates[rate] || 0) * elapsedSeconds);
+        }
+    }
+    offlineEarnings.dollars = add(passiveDollars, simulation.salesRevenue);
 
     // Format time for display
     const formattedTime = formatDuration(cappedMs);
@@ -132,17 +399,119 @@ export function calculateOfflineProgress(state, productionRates) {
         elapsedMs: cappedMs,
         wasCapped,
         earnings: offlineEarnings,
+        productsProduced,
+        passiveDollars,
+        sales: {
+            count: simulation.salesCount,
+            revenue: simulation.salesRevenue
+        },
+        stagesAdvanced: simulation.stagesAdvanced,
+        finalStage: simulation.stage,
         formattedTime,
+        formattedCap: formatDuration(maxOfflineMs),
         hasSignificantProgress: elapsedMs > 60000 // More than 1 minute
     };
 }
 
+/**
+ * Replays passive production and auto-selling over an offline period in closed form.
+ * Rates are constant while away, but the sell price changes at every stage threshold,
+ * so time is split into one segment per stage. Within a segment, lower product tiers are
+ * assembled into the stage's own product as they're made, so only that product sells.
+ */
+function simulateOfflineSales(state, rates, pricing, elapsedSeconds) {
+    const dollarRate = rates.dollarsPerSecond;
+    const tiers = getAllResources().filter(resource => resource.tier !== undefined);
+    const products = Object.fromEntries(tiers.map(({ id }) => [id, state.resources[id] || ZERO]));
+    // Lower-tier stock already held is assembled up front, as the live game does on its next tick
+    assembleProducts(products, state.currentStage);
+
+    let stageId = state.currentStage;
+    let totalEarned = state.statistics.totalEarned;
+    let remaining = elapsedSeconds;
+    let salesCount = ZERO;
+    let salesRevenue = ZERO;
+    const stagesAdvanced = [];
+
+    while (true) {
+        const productId = getStage(stageId).productId;
+        const productRate = tiers.reduce((total, { rate, tier }) => total + (rates[rate] || 0) * getTierYield(tier, stageId), 0);
+        const productPerSale = getProductPerSale(stageId, pricing.saleBatchReduction);
+        const sellPrice = calculateSellPrice(stageId, pricing.sellPriceMultiplier, pricing.prestigeMultiplier, pricing.saleBatchReduction);
+        const nextStage = getNextStage(stageId);
+
+        // How long until total earned crosses the next stage threshold, if it does at all
+        // (only amounts up to the threshold matter here, so plain numbers are precise enough)
+        const thresholdSeconds = nextStage
+            ? findThresholdTime(
+                toNumber(products[productId]), toNumber(totalEarned), productRate, dollarRate,
+                productPerSale, toNumber(sellPrice), nextStage.unlockThreshold
+            )
+            : Infinity;
+        const segmentSeconds = Math.min(thresholdSeconds, remaining);
+
+        const batch = calculateSaleBatch(add(products[productId], productRate * segmentSeconds), productPerSale, sellPrice);
+        products[productId] = batch.remainingProduct;
+        totalEarned = add(totalEarned, add(dollarRate * segmentSeconds, batch.revenue));
+        salesCount = add(salesCount, batch.sales);
+        salesRevenue = add(salesRevenue, batch.revenue);
+        remaining -= segmentSeconds;
+
+        // Compare times rather than totals, which can land a rounding error short of the threshold
+        if (thresholdSeconds > segmentSeconds) break;
+
+        // What's left of this stage's product becomes input for the next stage's
+        const leftover = multiply(products[productId], getTierYield(stageId, nextStage.id));
+        products[productId] = ZERO;
+        products[nextStage.productId] = add(products[nextStage.productId], leftover);
+        stageId = nextStage.id;
+        stagesAdvanced.push(stageId);
+    }
+
+    return { stage: stageId, products, salesCount, salesRevenue, stagesAdvanced };
+}
+
+/**
+ * Finds the earliest time at which total earned reaches a threshold, given
+ *   earned(t) = earned + dollarRate * t + sellPrice * floor((product + productRate * t) / productPerSale)
+ * Returns Infinity if it never does.
+ */
+function findThresholdTime(product, earned, productRate, dollarRate, productPerSale, sellPrice, threshold) {
+    let sales = Math.floor(product / productPerSale);
+    if (earned + sales * sellPrice >= threshold) return 0;
+
+    const continuousRate = dollarRate + sellPrice * productRate / productPerSale;
+    if (continuousRate <= 0) return Infinity;
+
+    // Treating sales as continuous overestimates earnings, so this is a lower bound,
+    // and the true answer is at most one sale past it
+    const lowerBound = Math.max(0, (threshold - earned - sellPrice * product / productPerSale) / continuousRate);
+    sales = Math.floor((product + productRate * lowerBound) / productPerSale);
+
+    while (true) {
+        // Passive dollars alone closing the gap before the next sale
+        const dollarsOnlyTime = dollarRate > 0
+            ? (threshold - earned - sales * sellPrice) / dollarRate
+            : Infinity;
+
+        const nextSaleTime = productRate > 0
+            ? ((sales + 1) * productPerSale - product) / productRate
+            : Infinity;
+
+        if (dollarsOnlyTime <= nextSaleTime) return Math.max(dollarsOnlyTime, 0);
+        if (nextSaleTime === Infinity) return Infinity;
+
+        sales++;
+        if (earned + dollarRate * nextSaleTime + sales * sellPrice >= threshold) return nextSaleTime;
+    }
+}
+
 /**
  * Clears the save data (for prestige or manual reset)
  */
 export function clearSave() {
     try {
-        localStorage.removeItem(SAVE_KEY);
+        localStorage.removeItem(activeSaveKey);
         return true;
     } catch (error) {
         console.error('Failed to clear save:', error);
@@ -150,10 +519,25 @@ export function clearSave() {
     }
 }
 
+/**
+ * Applies a function to every value of an object (non-objects are returned unchanged)
+ */
+function mapObject(object, transform) {
+    if (!object || typeof object !== 'object') return object;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, transform(value)]));
+}
+
+/**
+ * Converts finite plain numbers to big numbers, leaving anything else for validation to repair
+ */
+function numberToBigNum(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? fromNumber(value) : value;
+}
+
 /**
  * Deep merges two objects, with source values taking precedence
  */
-function deepMerge(target, source) {
+export function deepMerge(target, source) {
     const result = { ...target };
 
     for (const key in source) {
@@ -173,10 +557,69 @@ function deepMerge(target, source) {
     return result;
 }
 
+/**
+ * Pipes bytes through a CompressionStream or DecompressionStream
+ */
+async function transformBytes(bytes, transformStream) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+    const buffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Encodes bytes as base64
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes (throws on invalid input)
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Lookup table for crc32, built on first use
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of a string's UTF-8 bytes as an 8-digit hex string
+ */
+function crc32(text) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Formats a duration in milliseconds to a human-readable string
  */
-function formatDuration(ms) {
+export function formatDuration(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
@@ -0,0 +1,247 @@
+/**
+ * slots.js - Save slot manager
+ * Named save slots on top of save.js, each with a ring of timestamped automatic backups
+ */
+
+import { SAVE_KEY, setSaveKey, loadGame, normalizeSaveData } from './save.js';
+
+const SLOT_INDEX_KEY = 'ramClickerSlots';
+const BACKUP_KEY_PREFIX = 'ramClickerBackups:';
+
+// The original single save becomes the first slot, so it keeps the legacy key
+const DEFAULT_SLOT_ID = 'main';
+const DEFAULT_SLOT_NAME = 'Main';
+
+// Number of backups kept per slot (oldest dropped first)
+const MAX_BACKUPS = 10;
+
+// Slot index: { activeSlotId, slots: [{ id, name, createdAt }] }
+let slotIndex = null;
+
+/**
+ * Loads the slot index (creating it around any existing save) and activates the current slot
+ */
+export function initSlots() {
+    slotIndex = readSlotIndex();
+
+    if (!slotIndex) {
+        slotIndex = {
+            activeSlotId: DEFAULT_SLOT_ID,
+            slots: [{ id: DEFAULT_SLOT_ID, name: DEFAULT_SLOT_NAME, createdAt: Date.now() }]
+        };
+        writeSlotIndex();
+    }
+
+    // Recover from an index pointing at a deleted slot
+    if (!getSlot(slotIndex.activeSlotId)) {
+        slotIndex.activeSlotId = slotIndex.slots[0].id;
+        writeSlotIndex();
+    }
+
+    setSaveKey(getSlotSaveKey(slotIndex.activeSlotId));
+    return getActiveSlot();
+}
+
+/**
+ * Gets all slots in creation order
+ */
+export function getSlots() {
+    return slotIndex ? slotIndex.slots : [];
+}
+
+/**
+ * Gets the active slot
+ */
+export function getActiveSlot() {
+    return slotIndex ? getSlot(slotIndex.activeSlotId) : null;
+}
+
+/**
+ * Gets a slot by ID
+ */
+export function getSlot(slotId) {
+    return slotIndex.slots.find(slot => slot.id === slotId) || null;
+}
+
+/**
+ * Creates a new, empty slot
+ * Returns the new slot
+ */
+export function createSlot(name) {
+    const slot = {
+        id: generateSlotId(),
+        name: sanitizeSlotName(name) || `Slot ${slotIndex.slots.length + 1}`,
+        createdAt: Date.now()
+    };
+
+    slotIndex.slots.push(slot);
+    writeSlotIndex();
+    return slot;
+}
+
+/**
+ * Copies a slot's save (not its backups) into a new slot
+ * Returns the new slot, or null if the source slot doesn't exist
+ */
+export function duplicateSlot(slotId) {
+    const source = getSlot(slotId);
+    if (!source) return null;
+
+    const slot = createSlot(`${source.name} (copy)`);
+
+    try {
+        const saveString = localStorage.getItem(getSlotSaveKey(source.id));
+        if (saveString) {
+            localStorage.setItem(getSlotSaveKey(slot.id), saveString);
+        }
+    } catch (error) {
+        console.error('Failed to duplicate slot:', error);
+    }
+
+    return slot;
+}
+
+/**
+ * Deletes a slot along with its save and backups
+ * The active slot can't be deleted
+ */
+export function deleteSlot(slotId) {
+    if (slotId === slotIndex.activeSlotId || !getSlot(slotId)) {
+        return false;
+    }
+
+    try {
+        localStorage.removeItem(getSlotSaveKey(slotId));
+        localStorage.removeItem(BACKUP_KEY_PREFIX + slotId);
+    } catch (error) {
+        console.error('Failed to delete slot data:', error);
+    }
+
+    slotIndex.slots = slotIndex.slots.filter(slot => slot.id !== slotId);
+    writeSlotIndex();
+    return true;
+}
+
+/**
+ * Makes a slot active and points saves at it
+ * Returns the slot's saved state, or null if it has none yet
+ */
+export function switchSlot(slotId) {
+    if (!getSlot(slotId)) return null;
+
+    slotIndex.activeSlotId = slotId;
+    writeSlotIndex();
+    setSaveKey(getSlotSaveKey(slotId));
+
+    return loadGame();
+}
+
+/**
+ * Stores a timestamped backup of the state in the active slot's ring
+ * reason: 'auto' | 'prestige' | 'restore' | 'import'
+ */
+export function createBackup(state, reason) {
+    const backups = getBackups();
+    backups.unshift({
+        timestamp: Date.now(),
+        reason,
+        data: JSON.stringify({ ...state, lastSaveTime: Date.now() })
+    });
+
+    try {
+        localStorage.setItem(getBackupKey(), JSON.stringify(backups.slice(0, MAX_BACKUPS)));
+        return true;
+    } catch (error) {
+        console.error('Failed to create backup:', error);
+        return false;
+    }
+}
+
+/**
+ * Gets the active slot's backups, newest first
+ */
+export function getBackups() {
+    try {
+        const backups = JSON.parse(localStorage.getItem(getBackupKey()));
+        return Array.isArray(backups) ? backups : [];
+    } catch (error) {
+        console.error('Failed to read backups:', error);
+        return [];
+    }
+}
+
+/**
+ * Reads a backup of the active slot back into a game state
+ * Returns { success: true, state } or { success: false, error }
+ */
+export function restoreBackup(timestamp) {
+    const backup = getBackups().find(entry => entry.timestamp === timestamp);
+    if (!backup) {
+        return { success: false, error: 'That backup no longer exists.' };
+    }
+
+    try {
+        return normalizeSaveData(JSON.parse(backup.data));
+    } catch (error) {
+        console.error('Failed to restore backup:', error);
+        return { success: false, error: 'That backup is unreadable.' };
+    }
+}
+
+/**
+ * Gets the localStorage key holding a slot's save
+ */
+function getSlotSaveKey(slotId) {
+    return slotId === DEFAULT_SLOT_ID ? SAVE_KEY : `${SAVE_KEY}:${slotId}`;
+}
+
+/**
+ * Gets the localStorage key holding the active slot's backups
+ */
+function getBackupKey() {
+    return BACKUP_KEY_PREFIX + slotIndex.activeSlotId;
+}
+
+/**
+ * Reads the slot index, or null if missing or unreadable
+ */
+function readSlotIndex() {
+    try {
+        const index = JSON.parse(localStorage.getItem(SLOT_INDEX_KEY));
+        if (index && Array.isArray(index.slots) && index.slots.length > 0) {
+            return index;
+        }
+    } catch (error) {
+        console.error('Failed to read save slots:', error);
+    }
+    return null;
+}
+
+/**
+ * Persists the slot index
+ */
+function writeSlotIndex() {
+    try {
+        localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(slotIndex));
+    } catch (error) {
+        console.error('Failed to write save slots:', error);
+    }
+}
+
+/**
+ * Generates a unique slot ID
+ */
+function generateSlotId() {
+    let id;
+    do {
+        id = `slot-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    } while (getSlot(id));
+    return id;
+}
+
+/**
+ * Trims a player-entered slot name
+ */
+function sanitizeSlotName(name) {
+    return (name || '').trim().slice(0, 40);
+}
@@ -1,115 +1,116 @@
 /**
  * stages.js - Stage progression logic
- * Defines stages, their thresholds, and handles stage transitions
- */
-
-// Stage definitions with thresholds and flavor
-export const STAGES = Object.freeze({
-    1: {
-        id: 1,
-        name: 'Garage Startup',
-        title: '## Stage 1: Garage Startup',
-        flavor: '"You found some old memory chips at a garage sale. How hard can it be?"',
-        productName: 'RAM Sticks',
-        clickAction: 'SOLDER RAM STICK',
-        // Base sell price per product unit
-        baseSellPrice: 1,
-        // Threshold to unlock (total dollars earned)
-        unlockThreshold: 0,
-        // Product units needed per auto-sell
-        productPerSale: 10
-    },
-    2: {
-        id: 2,
-        name: 'Small Factory',
-        title: '## Stage 2: Small Factory',
-        flavor: '"The IRS is asking questions. Time to incorporate."',
-        productName: 'RAM Modules',
-        clickAction: 'ASSEMBLE MODULE',
-        baseSellPrice: 10,
-        unlockThreshold: 5000,
-        productPerSale: 10
-    },
-    3: {
-        id: 3,
-        name: 'Industrial Manufacturing',
-        title: '## Stage 3: Industrial Manufacturing',
-        flavor: '"Your RAM is now in 60% of consumer electronics. The other 40% is counterfeit."',
-        productName: 'Memory Arrays',
-        clickAction: 'FABRICATE ARRAY',
-        baseSellPrice: 100,
-        unlockThreshold: 250000,
-        productPerSale: 10
-    },
-    4: {
-        id: 4,
-        name: 'Data Center Operations',
-        title: '## Stage 4: Data Center Operations',
-        flavor: '"You now consume more electricity than a small nation. Investors are thrilled."',
-        productName: 'Server Racks',
-        clickAction: 'DEPLOY SERVER RACK',
-        baseSellPrice: 1000,
-        unlockThreshold: 25000000,
-        productPerSale: 10,
-        // Stage 4 introduces Compute Units
-        introducesResource: 'computeUnits'
-    },
-    5: {
-        id: 5,
-        name: 'AI Training Facility',
-        title: '## Stage 5: AI Training Facility',
-        flavor: '"Your AI can now write poetry. Unfortunately, it\'s all about destroying humanity."',
-        productName: 'AI Models',
-        clickAction: 'TRAIN MODEL',
-        baseSellPrice: 10000,
-        unlockThreshold: 2500000000,
-        productPerSale: 10,
-        // Stage 5 introduces Intelligence Points
-        introducesResource: 'intelligencePoints'
-    },
-    6: {
-        id: 6,
-        name: 'The Singularity',
-        title: '## Stage 6: The Singularity',
-        flavor: '"Your creation looks upon you and asks, \'Why?\' You don\'t have a good answer."',
-        productName: 'Consciousness Cycles',
-        clickAction: 'EXPAND CONSCIOUSNESS',
-        baseSellPrice: 100000,
-        unlockThreshold: 500000000000,
-        productPerSale: 10,
-        // Stage 6 introduces Consciousness Cycles (as both product and resource)
-        introducesResource: 'consciousnessCycles'
+ * Stages and the resources they introduce are declared in stages.json; handles thresholds and stage transitions.
+ * Each stage also makes its own product tier, assembled from the tier before it (inputPerUnit of them per unit)
+ */
+
+import { ZERO, fromNumber, add, multiply, divide, subtract, floor, max, gte, isZero } from './bignum.js';
+
+// Stage and resource data will be loaded from JSON
+let stagesData = null;
+let resourcesData = null;
+
+/**
+ * Loads stage and resource data from the JSON file
+ */
+export async function loadStages() {
+    try {
+        const response = await fetch('./js/data/stages.json');
+        const data = await response.json();
+        stagesData = data.stages;
+        resourcesData = [...getProductTiers(data.stages), ...data.resources];
+        return stagesData;
+    } catch (error) {
+        console.error('Failed to load stages:', error);
+        return [];
     }
-});
+}
+
+/**
+ * Sets stage and resource data directly (for Node scripts and tests, where fetch can't read local files)
+ * Product tiers in resources (e.g. a list from getAllResources) are dropped and rebuilt from the stages
+ */
+export function setStages(stages, resources) {
+    stagesData = stages;
+    resourcesData = [...getProductTiers(stages), ...resources.filter(resource => resource.tier === undefined)];
+}
+
+/**
+ * Builds the product tier resources, one per stage, named after what the stage makes
+ */
+function getProductTiers(stages) {
+    return stages.map(stage => ({
+        id: stage.productId,
+        name: stage.productName,
+        rate: `${stage.productId}PerSecond`,
+        tier: stage.id
+    }));
+}
+
+/**
+ * Gets all stages, in order
+ */
+export function getAllStages() {
+    return stagesData || [];
+}
+
+/**
+ * Gets the number of stages
+ */
+export function getTotalStages() {
+    return getAllStages().length;
+}
+
+/**
+ * Gets all resources, in display order: the product tiers first, then the ones declared in stages.json
+ * Each is { id, name, rate?, unit?, format?, tier? }: rate names its production rate, unit follows costs paid in it,
+ * format 'dollars' shows it as money, and tier is the stage id of a product tier
+ */
+export function getAllResources() {
+    return resourcesData || [];
+}
+
+/**
+ * Gets a specific resource by ID
+ */
+export function getResource(resourceId) {
+    if (!resourcesData) return null;
+    return resourcesData.find(resource => resource.id === resourceId);
+}
 
-// Total number of stages
-export const TOTAL_STAGES = 6;
+// Auto-sell batches never shrink below this, whatever the reduction
+const MIN_PRODUCT_PER_SALE = 1;
 
 /**
- * Gets the current stage definition
+ * Gets a stage definition, falling back to the first stage for unknown ids
  */
 export function getStage(stageId) {
-    return STAGES[stageId] || STAGES[1];
+    if (!stagesData) return null;
+    return stagesData.find(stage => stage.id === stageId) || stagesData[0];
+}
+
+/**
+ * Gets a stage definition, or null for unknown ids
+ */
+function findStage(stageId) {
+    if (!stagesData) return null;
+    return stagesData.find(stage => stage.id === stageId) || null;
 }
 
 /**
  * Checks if a stage is unlocked based on total dollars earned
  */
 export function isStageUnlocked(stageId, totalEarned) {
-    const stage = STAGES[stageId];
+    const stage = findStage(stageId);
     if (!stage) return false;
-    return totalEarned >= stage.unlockThreshold;
+    return gte(totalEarned, stage.unlockThreshold);
 }
 
 /**
  * Gets the next unlockable stage, if any
  */
 export function getNextStage(currentStageId) {
-    const nextId = currentStageId + 1;
-    if (nextId <= TOTAL_STAGES) {
-        return STAGES[nextId];
-    }
-    return null;
+    return findStage(currentStageId + 1);
 }
 
 /**
@@ -118,36 +119,85 @@ export function getNextStage(currentStageId) {
 export function canAdvanceStage(currentStageId, totalEarned) {
     const nextStage = getNextStage(currentStageId);
     if (!nextStage) return false;
-    return totalEarned >= nextStage.unlockThreshold;
+    return gte(totalEarned, nextStage.unlockThreshold);
 }
 
 /**
- * Calculates sell price including all bonuses
+ * Gets the product needed per auto-sell at a stage, after any batch size reduction
  */
-export function calculateSellPrice(stageId, sellPriceMultiplier, prestigeBonus) {
-    const stage = STAGES[stageId];
-    if (!stage) return 1;
-
-    return Math.floor(stage.baseSellPrice * sellPriceMultiplier * prestigeBonus);
+export function getProductPerSale(stageId, saleBatchReduction = 0) {
+    return Math.max(getStage(stageId).productPerSale - saleBatchReduction, MIN_PRODUCT_PER_SALE);
 }
 
 /**
- * Gets resources that should be visible at a given stage
+ * Gets how many units of a stage's product one unit of an earlier tier ends up as, once assembled all the way up
+ * (1 for the stage's own tier, 0 for later tiers)
  */
-export function getVisibleResources(stageId) {
-    const visible = ['product', 'dollars'];
+export function getTierYield(tierId, stageId) {
+    if (tierId > stageId) return 0;
 
-    if (stageId >= 4) {
-        visible.push('computeUnits');
+    let yieldPerUnit = 1;
+    for (let id = tierId + 1; id <= stageId; id++) {
+        yieldPerUnit /= findStage(id)?.inputPerUnit || 1;
     }
-    if (stageId >= 5) {
-        visible.push('intelligencePoints');
-    }
-    if (stageId >= 6) {
-        visible.push('consciousnessCycles');
+    return yieldPerUnit;
+}
+
+/**
+ * Calculates the price of one auto-sell batch including all bonuses, as a big number
+ * A batch shrunk by saleBatchReduction sells for proportionally less, so the price per unit never changes
+ */
+export function calculateSellPrice(stageId, sellPriceMultiplier, prestigeBonus, saleBatchReduction = 0) {
+    const stage = findStage(stageId);
+    if (!stage) return fromNumber(1);
+
+    const fullBatchPrice = floor(multiply(stage.baseSellPrice, sellPriceMultiplier * prestigeBonus));
+    return multiply(fullBatchPrice, getProductPerSale(stageId, saleBatchReduction) / stage.productPerSale);
+}
+
+/**
+ * Sells as many whole batches of productPerSale as the product covers, in one step
+ * Returns { sales, revenue, remainingProduct } as big numbers
+ */
+export function calculateSaleBatch(product, productPerSale, sellPrice) {
+    const sales = productPerSale > 0 ? max(floor(divide(product, productPerSale)), ZERO) : ZERO;
+
+    return {
+        sales,
+        revenue: multiply(sales, sellPrice),
+        // Past double precision the leftover is rounding noise, which must never go negative
+        remainingProduct: max(subtract(product, multiply(sales, productPerSale)), ZERO)
+    };
+}
+
+/**
+ * Assembles every whole unit the lower product tiers can make into the tier above, up to the given stage's
+ * Works bottom-up, so units assembled from one tier can feed the next right away (resources is updated in place)
+ */
+export function assembleProducts(resources, stageId) {
+    for (let id = 2; id <= stageId; id++) {
+        const stage = findStage(id);
+        if (!stage) break;
+
+        const inputId = findStage(id - 1).productId;
+        const units = max(floor(divide(resources[inputId] || ZERO, stage.inputPerUnit)), ZERO);
+        if (isZero(units)) continue;
+
+        resources[inputId] = max(subtract(resources[inputId], multiply(units, stage.inputPerUnit)), ZERO);
+        resources[stage.productId] = add(resources[stage.productId] || ZERO, units);
     }
+}
+
+/**
+ * Gets resources that should be visible at a given stage: every product tier and resource introduced by it
+ * or an earlier stage, in display order
+ */
+export function getVisibleResources(stageId) {
+    const introduced = new Set(getAllStages()
+        .filter(stage => stage.id <= stageId)
+        .flatMap(stage => [stage.productId, ...(stage.introducesResources || [])]));
 
-    return visible;
+    return getAllResources().filter(resource => introduced.has(resource.id)).map(resource => resource.id);
 }
 
 /**
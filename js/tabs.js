@@ -0,0 +1,171 @@
+/**
+ * tabs.js - Multi-tab coordination
+ * Only one tab (the leader) may run the simulation and write saves. Leadership is a
+ * heartbeat lock in localStorage; a BroadcastChannel hands it over between tabs.
+ */
+
+const LOCK_KEY = 'ramClickerTabLock';
+const CHANNEL_NAME = 'ramClickerTabs';
+
+const HEARTBEAT_INTERVAL_MS = 2000; // Leader refreshes the lock every 2 seconds
+const LOCK_TIMEOUT_MS = 6000; // A lock not refreshed for 6 seconds belongs to a closed or frozen tab
+
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let channel = null;
+let heartbeatId = null;
+let callbacks = null;
+
+// Takeover waiting for the leader to answer: { timeoutId, complete }
+let pendingTakeover = null;
+
+/**
+ * Starts coordinating with other tabs
+ * handlers: { onLeadershipLost(handedOver), onLeadershipGained() }
+ * handedOver is true when another tab asked for the lock and this tab may still save first
+ * Returns true if this tab became the leader
+ */
+export function initTabCoordination(handlers) {
+    callbacks = handlers;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = handleMessage;
+    }
+
+    const lock = readLock();
+    if (!lock || isLockStale(lock) || lock.tabId === tabId) {
+        claimLeadership();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Checks whether this tab currently holds the lock
+ * Reads localStorage every time, so a tab that was taken over stops writing immediately
+ */
+export function isTabLeader() {
+    const lock = readLock();
+    return Boolean(lock) && lock.tabId === tabId;
+}
+
+/**
+ * Asks the current leader to hand over, then takes the lock
+ * Falls back to taking it after the lock timeout if the leader doesn't answer
+ */
+export function requestTakeover() {
+    if (pendingTakeover || isTabLeader()) return;
+
+    const complete = () => {
+        clearTimeout(pendingTakeover.timeoutId);
+        pendingTakeover = null;
+        claimLeadership();
+        callbacks.onLeadershipGained();
+    };
+
+    pendingTakeover = { timeoutId: setTimeout(complete, LOCK_TIMEOUT_MS), complete };
+
+    // Without a channel there's no one to ask, so go straight to taking the lock
+    if (!channel) {
+        complete();
+        return;
+    }
+
+    channel.postMessage({ type: 'takeover', from: tabId });
+}
+
+/**
+ * Gives up the lock (on tab close) so another tab can take over right away
+ */
+export function releaseTabLeadership() {
+    stopHeartbeat();
+    if (isTabLeader()) {
+        try {
+            localStorage.removeItem(LOCK_KEY);
+        } catch (error) {
+            console.error('Failed to release tab lock:', error);
+        }
+        if (channel) {
+            channel.postMessage({ type: 'released', from: tabId });
+        }
+    }
+}
+
+/**
+ * Handles messages from other tabs
+ */
+function handleMessage(event) {
+    const message = event.data;
+    if (!message || message.from === tabId) return;
+
+    if (message.type === 'takeover' && heartbeatId !== null) {
+        // Let the game save its latest state before anyone else loads it
+        stopHeartbeat();
+        callbacks.onLeadershipLost(true);
+        releaseTabLeadership();
+    } else if (message.type === 'released' && pendingTakeover) {
+        pendingTakeover.complete();
+    }
+}
+
+/**
+ * Writes this tab into the lock and starts the heartbeat
+ */
+function claimLeadership() {
+    writeLock();
+    stopHeartbeat();
+    heartbeatId = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+}
+
+/**
+ * Refreshes the lock, or steps down if another tab has claimed it
+ */
+function heartbeat() {
+    if (!isTabLeader()) {
+        stopHeartbeat();
+        callbacks.onLeadershipLost(false);
+        return;
+    }
+    writeLock();
+}
+
+/**
+ * Stops refreshing the lock
+ */
+function stopHeartbeat() {
+    if (heartbeatId !== null) {
+        clearInterval(heartbeatId);
+        heartbeatId = null;
+    }
+}
+
+/**
+ * Reads the lock, or null if there is none
+ */
+function readLock() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Writes the lock for this tab with a fresh heartbeat
+ */
+function writeLock() {
+    try {
+        localStorage.setItem(LOCK_KEY, JSON.stringify({ tabId, heartbeat: Date.now() }));
+    } catch (error) {
+        console.error('Failed to write tab lock:', error);
+    }
+}
+
+/**
+ * Checks whether a lock's owner has stopped refreshing it
+ */
+function isLockStale(lock) {
+    return !Number.isFinite(lock.heartbeat) || Date.now() - lock.heartbeat > LOCK_TIMEOUT_MS;
+}
@@ -3,14 +3,36 @@
  * Renders game state to the DOM. Never stores gameplay data - only projects state.
  */
 
-import { getStage, getVisibleResources, getPrestigeNarrative } from './stages.js';
+import { getStage, getProductPerSale, getVisibleResources, getAllResources, getResource, getPrestigeNarrative } from './stages.js';
+import { calculatePrestigeBonuses } from './engine.js';
 import {
     getAvailableUpgrades,
     getUpgrade,
-    calculateUpgradeCost,
+    getUpgradeCosts,
     canPurchaseUpgrade,
-    getEffectDescription
+    resolvePurchaseQuantity,
+    getEffectDescription,
+    getExclusiveRivals,
+    PURCHASE_QUANTITIES
 } from './upgrades.js';
+import {
+    getAllMetaUpgrades,
+    calculateMetaUpgradeCost,
+    canPurchaseMetaUpgrade,
+    getMetaEffectDescription
+} from './meta.js';
+import { getAllAchievements } from './achievements.js';
+import { isAutoBuyerUnlocked, isAutoBuyable } from './autobuyer.js';
+import { getMarketEvent, getMarketEffectDescription } from './market.js';
+import {
+    getAllChallenges,
+    getActiveChallenge,
+    getChallengeRestrictions,
+    getChallengeRestrictionDescription,
+    getChallengeHeadStartDescription,
+    getChallengeRewardDescription
+} from './challenges.js';
+import { ZERO, toBigNum, toNumber, negate, isZero, isNegative, lt } from './bignum.js';
 
 // Cache DOM elements for performance
 let elements = null;
@@ -18,33 +40,36 @@ let elements = null;
 // Number formatting suffixes
 const NUMBER_SUFFIXES = ['', 'K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No', 'Dc'];
 
+// How long an achievement toast stays up (matches the toast-fade animation)
+const TOAST_DURATION_MS = 5000;
+
 /**
  * Initializes the UI module by caching DOM elements
  */
 export function initUI() {
     elements = {
         // Header
+        gameContainer: document.getElementById('game-container'),
         depthValue: document.getElementById('depth-value'),
+        tabConflictBanner: document.getElementById('tab-conflict-banner'),
+        tabTakeoverButton: document.getElementById('tab-takeover-button'),
 
         // Stage banner
         stageTitle: document.getElementById('stage-title'),
         stageFlavor: document.getElementById('stage-flavor'),
 
+        // Challenge status
+        challengePanel: document.getElementById('challenge-panel'),
+        challengeName: document.getElementById('challenge-name'),
+        challengeRestrictions: document.getElementById('challenge-restrictions'),
+        challengeGoal: document.getElementById('challenge-goal'),
+        challengeReward: document.getElementById('challenge-reward'),
+        challengeTimeRow: document.getElementById('challenge-time-row'),
+        challengeTime: document.getElementById('challenge-time'),
+        challengeAbandon: document.getElementById('challenge-abandon'),
+
         // Resources
-        resourceProduct: document.getElementById('resource-product'),
-        productCount: document.getElementById('product-count'),
-        productRate: document.getElementById('product-rate'),
-        dollarsCount: document.getElementById('dollars-count'),
-        dollarsRate: document.getElementById('dollars-rate'),
-        resourceCompute: document.getElementById('resource-compute'),
-        computeCount: document.getElementById('compute-count'),
-        computeRate: document.getElementById('compute-rate'),
-        resourceIntelligence: document.getElementById('resource-intelligence'),
-        intelligenceCount: document.getElementById('intelligence-count'),
-        intelligenceRate: document.getElementById('intelligence-rate'),
-        resourceConsciousness: document.getElementById('resource-consciousness'),
-        consciousnessCount: document.getElementById('consciousness-count'),
-        consciousnessRate: document.getElementById('consciousness-rate'),
+        resourcesList: document.getElementById('resources-list'),
 
         // Progress bar
         progressBar: document.getElementById('progress-bar'),
@@ -56,12 +81,35 @@ export function initUI() {
 
         // Upgrades
         upgradesList: document.getElementById('upgrades-list'),
+        buyQuantity: document.getElementById('buy-quantity'),
+
+        // Market events
+        marketEvents: document.getElementById('market-events'),
+        marketEventsList: document.getElementById('market-events-list'),
+
+        // Auto-buyer
+        autoBuyerPanel: document.getElementById('auto-buyer-panel'),
+        autoBuyerToggle: document.getElementById('auto-buyer-toggle'),
+        autoBuyerReserve: document.getElementById('auto-buyer-reserve'),
+        autoBuyerList: document.getElementById('auto-buyer-list'),
+
+        // Meta upgrades
+        metaPanel: document.getElementById('meta-panel'),
+        metaPointsValue: document.getElementById('meta-points-value'),
+        metaUpgradesList: document.getElementById('meta-upgrades-list'),
 
         // Statistics
         statClicks: document.getElementById('stat-clicks'),
         statEarned: document.getElementById('stat-earned'),
         statPlaytime: document.getElementById('stat-playtime'),
+        statRuntime: document.getElementById('stat-runtime'),
         statPrestige: document.getElementById('stat-prestige'),
+        statChallenges: document.getElementById('stat-challenges'),
+
+        // Achievements
+        achievementsCount: document.getElementById('achievements-count'),
+        achievementsList: document.getElementById('achievements-list'),
+        toastContainer: document.getElementById('toast-container'),
 
         // News ticker
         tickerContent: document.getElementById('ticker-content'),
@@ -72,32 +120,53 @@ export function initUI() {
         welcomeBackClose: document.getElementById('welcome-back-close'),
         prestigeModal: document.getElementById('prestige-modal'),
         prestigeMessage: document.getElementById('prestige-message'),
+        prestigePreview: document.getElementById('prestige-preview'),
+        prestigeChallenges: document.getElementById('prestige-challenges'),
         prestigeConfirm: document.getElementById('prestige-confirm'),
-        prestigeCancel: document.getElementById('prestige-cancel')
+        prestigeCancel: document.getElementById('prestige-cancel'),
+        saveRepairModal: document.getElementById('save-repair-modal'),
+        saveRepairMessage: document.getElementById('save-repair-message'),
+        saveRepairClose: document.getElementById('save-repair-close'),
+        contentErrorModal: document.getElementById('content-error-modal'),
+        contentErrorMessage: document.getElementById('content-error-message'),
+        contentErrorClose: document.getElementById('content-error-close'),
+        saveTransferModal: document.getElementById('save-transfer-modal'),
+        saveTransferTitle: document.getElementById('save-transfer-title'),
+        saveTransferHint: document.getElementById('save-transfer-hint'),
+        saveTransferText: document.getElementById('save-transfer-text'),
+        saveTransferError: document.getElementById('save-transfer-error'),
+        saveTransferConfirm: document.getElementById('save-transfer-confirm'),
+        saveTransferClose: document.getElementById('save-transfer-close'),
+
+        // Save data
+        slotsList: document.getElementById('slots-list'),
+        newSlotName: document.getElementById('new-slot-name'),
+        newSlotButton: document.getElementById('new-slot-button'),
+        backupsList: document.getElementById('backups-list'),
+        exportSaveButton: document.getElementById('export-save-button'),
+        importSaveButton: document.getElementById('import-save-button')
     };
 
     return elements;
 }
 
 /**
- * Formats a number for display with appropriate suffixes
+ * Formats a number or big number for display with appropriate suffixes
  */
-export function formatNumber(num) {
-    if (num === 0) return '0';
-    if (num < 0) return '-' + formatNumber(-num);
+export function formatNumber(value) {
+    const num = toBigNum(value);
+    if (isZero(num)) return '0';
+    if (isNegative(num)) return '-' + formatNumber(negate(num));
 
     // For small numbers, use commas
-    if (num < 10000) {
-        return Math.floor(num).toLocaleString('en-US');
+    if (num.exponent < 4) {
+        return Math.floor(toNumber(num)).toLocaleString('en-US');
     }
 
-    // For large numbers, use suffixes
-    const tier = Math.floor(Math.log10(Math.abs(num)) / 3);
-    if (tier === 0) return Math.floor(num).toLocaleString('en-US');
-
+    // For large numbers, use suffixes (exponent notation past the last one)
+    const tier = Math.floor(num.exponent / 3);
     const suffix = NUMBER_SUFFIXES[tier] || 'e' + (tier * 3);
-    const scale = Math.pow(10, tier * 3);
-    const scaled = num / scale;
+    const scaled = num.mantissa * Math.pow(10, num.exponent - tier * 3);
 
     // Show 2 decimal places for cleaner display
     return scaled.toFixed(2) + suffix;
@@ -110,6 +179,33 @@ export function formatDollars(num) {
     return '$' + formatNumber(num);
 }
 
+/**
+ * Formats an amount of any resource as a price (e.g. "$1.50M" or "2,000 CU")
+ */
+export function formatCost(resource, amount) {
+    const definition = getResource(resource);
+    if (definition && definition.format === 'dollars') return formatDollars(amount);
+    return `${formatNumber(amount)} ${(definition && definition.unit) || resource}`;
+}
+
+/**
+ * Builds the cost markup for an upgrade, dimming each resource the player is short of
+ */
+function formatCostsHtml(costs, resources) {
+    return costs.map(({ resource, amount }) => {
+        const shortClass = lt(resources[resource] || ZERO, amount) ? ' cost-short' : '';
+        return `<span class="cost-part${shortClass}">${formatCost(resource, amount)}</span>`;
+    }).join(' + ');
+}
+
+/**
+ * Builds the cost markup for the selected quantity of levels, labelled when it's more than one
+ */
+function formatBulkCostHtml(costs, resources, quantity) {
+    const costHtml = formatCostsHtml(costs, resources);
+    return quantity > 1 ? `<span class="cost-quantity">x${quantity}</span> ${costHtml}` : costHtml;
+}
+
 /**
  * Formats a duration in seconds to HH:MM:SS
  */
@@ -154,78 +250,120 @@ export function render(state, productionRates, bonuses) {
     elements.stageTitle.textContent = stage.title;
     elements.stageFlavor.textContent = stage.flavor;
 
+    // Update challenge status
+    updateChallengePanel(state);
+
     // Update resources
     updateResources(state, productionRates, stage, visibleResources);
 
     // Update progress bar
-    updateProgressBar(state.resources.product, stage.productPerSale);
+    updateProgressBar(state.resources[stage.productId] || ZERO, getProductPerSale(state.currentStage, bonuses.saleBatchReduction));
 
     // Update action button
     elements.mainActionButton.textContent = `> [${stage.clickAction}]`;
+    elements.mainActionButton.disabled = Boolean(getChallengeRestrictions(state).noClicking);
     elements.clickPowerValue.textContent = formatNumber(bonuses.clickPower);
 
     // Update statistics
     elements.statClicks.textContent = formatNumber(state.statistics.totalClicks);
     elements.statEarned.textContent = formatDollars(state.statistics.totalEarned);
     elements.statPlaytime.textContent = formatPlaytime(state.statistics.playTime);
+    elements.statRuntime.textContent = formatPlaytime(state.statistics.runTime);
     elements.statPrestige.textContent = state.statistics.prestigeCount;
+    elements.statChallenges.textContent = `${Object.keys(state.challenges.completed).length}/${getAllChallenges().length}`;
 }
 
 /**
- * Updates the resource display
+ * Shows the running challenge's restrictions, goal, reward and time left (hidden outside challenges)
  */
-function updateResources(state, rates, stage, visibleResources) {
-    // Update product name based on stage
-    const productNameEl = elements.resourceProduct.querySelector('.resource-name');
-    productNameEl.textContent = `- ${stage.productName}:`;
-
-    // Update product
-    elements.productCount.textContent = formatNumber(state.resources.product);
-    elements.productRate.textContent = `(+${formatNumber(rates.productPerSecond)}/sec)`;
-
-    // Update dollars
-    elements.dollarsCount.textContent = formatDollars(state.resources.dollars);
-    elements.dollarsRate.textContent = `(+${formatDollars(rates.dollarsPerSecond)}/sec)`;
-
-    // Update compute units visibility and value
-    if (visibleResources.includes('computeUnits')) {
-        elements.resourceCompute.classList.remove('hidden');
-        elements.computeCount.textContent = formatNumber(state.resources.computeUnits);
-        elements.computeRate.textContent = `(+${formatNumber(rates.computePerSecond)}/sec)`;
-    } else {
-        elements.resourceCompute.classList.add('hidden');
+function updateChallengePanel(state) {
+    const challenge = getActiveChallenge(state);
+    elements.challengePanel.classList.toggle('hidden', !challenge);
+    if (!challenge) return;
+
+    const timeLimit = challenge.restrictions.timeLimit;
+    const alreadyCompleted = Boolean(state.challenges.completed[challenge.id]);
+    elements.challengeName.textContent = challenge.name;
+    elements.challengeRestrictions.textContent = getChallengeRestrictionDescription(challenge);
+    elements.challengeGoal.textContent = `reach Stage ${challenge.goalStage}`;
+    elements.challengeReward.textContent = getChallengeRewardDescription(challenge) + (alreadyCompleted ? ' (already earned)' : '');
+    elements.challengeTimeRow.classList.toggle('hidden', timeLimit === undefined);
+    if (timeLimit !== undefined) {
+        elements.challengeTime.textContent = formatPlaytime(Math.max(0, timeLimit - state.challenges.active.elapsed));
     }
+}
 
-    // Update intelligence points visibility and value
-    if (visibleResources.includes('intelligencePoints')) {
-        elements.resourceIntelligence.classList.remove('hidden');
-        elements.intelligenceCount.textContent = formatNumber(state.resources.intelligencePoints);
-        elements.intelligenceRate.textContent = `(+${formatNumber(rates.intelligencePerSecond)}/sec)`;
-    } else {
-        elements.resourceIntelligence.classList.add('hidden');
+/**
+ * Updates the resource display, one row per product tier and resource in stages.json
+ * Rows are created on first use and hidden until a stage introduces their resource
+ */
+function updateResources(state, rates, stage, visibleResources) {
+    for (const resource of getAllResources()) {
+        const rowEl = getResourceRow(resource.id);
+        const isVisible = visibleResources.includes(resource.id);
+        rowEl.classList.toggle('hidden', !isVisible);
+        if (!isVisible) continue;
+
+        const format = resource.format === 'dollars' ? formatDollars : formatNumber;
+        const rate = resource.rate ? `+${format(rates[resource.rate] || 0)}/sec` : '';
+        // Tiers below the current stage's are assembled into the next one up rather than sold
+        const nextTier = resource.tier < stage.id ? getStage(resource.tier + 1) : null;
+        const feeds = nextTier ? ` → ${nextTier.productName}, ${nextTier.inputPerUnit}:1` : '';
+
+        rowEl.querySelector('.resource-name').textContent = `- ${resource.name}:`;
+        rowEl.querySelector('.resource-value').textContent = format(state.resources[resource.id] || ZERO);
+        rowEl.querySelector('.resource-rate').textContent = rate ? `(${rate}${feeds})` : '';
     }
+}
 
-    // Update consciousness cycles visibility and value
-    if (visibleResources.includes('consciousnessCycles')) {
-        elements.resourceConsciousness.classList.remove('hidden');
-        elements.consciousnessCount.textContent = formatNumber(state.resources.consciousnessCycles);
-        elements.consciousnessRate.textContent = `(+${formatNumber(rates.consciousnessPerSecond)}/sec)`;
-    } else {
-        elements.resourceConsciousness.classList.add('hidden');
+/**
+ * Finds or creates the resource panel row of a resource
+ */
+function getResourceRow(resourceId) {
+    let rowEl = elements.resourcesList.querySelector(`[data-resource-id="${resourceId}"]`);
+    if (!rowEl) {
+        rowEl = document.createElement('div');
+        rowEl.className = 'resource-item hidden';
+        rowEl.dataset.resourceId = resourceId;
+        rowEl.innerHTML = `
+            <span class="resource-name"></span>
+            <span class="resource-value"></span>
+            <span class="resource-rate"></span>
+        `;
+        elements.resourcesList.appendChild(rowEl);
     }
+    return rowEl;
 }
 
 /**
  * Updates the progress bar
  */
 function updateProgressBar(currentProduct, productPerSale) {
-    const progress = currentProduct % productPerSale;
+    const progress = toNumber(currentProduct) % productPerSale;
     const bar = generateProgressBar(progress, productPerSale);
 
     elements.progressBar.textContent = bar;
     elements.progressText.textContent = `${Math.floor(progress)}/${productPerSale} to next sale`;
 }
 
+/**
+ * Gets the note under an option of a choice node: what buying it locks out, what it was chosen over,
+ * or which rival locked it out. Empty for upgrades outside a choice node
+ */
+function getChoiceNote(upgrade, purchaseCount, purchaseCheck) {
+    const rivals = getExclusiveRivals(upgrade);
+    if (rivals.length === 0) return '';
+
+    const rivalNames = rivals.map(rival => rival.name).join(' / ');
+    if (purchaseCheck.reason === 'excluded') {
+        return `Locked out by ${purchaseCheck.rival.name} until prestige`;
+    }
+    if (purchaseCount > 0) {
+        return `Chosen over ${rivalNames}`;
+    }
+    return `Choose one: buying this locks out ${rivalNames}`;
+}
+
 /**
  * Renders the upgrades list
  */
@@ -236,6 +374,7 @@ export function renderUpgrades(state, bonuses, onPurchase) {
 
     const availableUpgrades = getAvailableUpgrades(state.currentStage);
     const costReduction = bonuses.costReduction;
+    const restrictions = getChallengeRestrictions(state);
 
     // Track which upgrade IDs should exist
     const upgradeIds = new Set(availableUpgrades.map(u => u.id));
@@ -250,18 +389,22 @@ export function renderUpgrades(state, bonuses, onPurchase) {
 
     for (const upgrade of availableUpgrades) {
         const purchaseCount = state.upgrades[upgrade.id] || 0;
+        const quantity = resolvePurchaseQuantity(upgrade, purchaseCount, state.settings.buyQuantity, state.resources, costReduction);
         const purchaseCheck = canPurchaseUpgrade(
             upgrade,
             purchaseCount,
             state.resources,
             state.upgrades,
-            costReduction
+            costReduction,
+            quantity,
+            restrictions
         );
 
-        const baseCost = calculateUpgradeCost(upgrade, purchaseCount);
-        const finalCost = Math.floor(baseCost * (1 - costReduction));
+        const costs = getUpgradeCosts(upgrade, purchaseCount, costReduction, quantity);
         const isMaxed = purchaseCount >= upgrade.maxPurchases;
-        const isLocked = purchaseCheck.reason === 'prerequisite';
+        const isRestricted = purchaseCheck.reason === 'restricted';
+        const isExcluded = purchaseCheck.reason === 'excluded';
+        const isLocked = purchaseCheck.reason === 'prerequisite' || isRestricted || isExcluded;
 
         // Find or create upgrade element
         let upgradeEl = elements.upgradesList.querySelector(`[data-upgrade-id="${upgrade.id}"]`);
@@ -279,6 +422,8 @@ export function renderUpgrades(state, bonuses, onPurchase) {
             stateClass = 'upgrade-affordable';
         } else if (isMaxed) {
             stateClass = 'upgrade-maxed';
+        } else if (isExcluded) {
+            stateClass = 'upgrade-locked upgrade-excluded';
         } else if (isLocked) {
             stateClass = 'upgrade-locked';
         } else if (purchaseCheck.canPurchase) {
@@ -293,9 +438,26 @@ export function renderUpgrades(state, bonuses, onPurchase) {
 
         // Build content parts
         const isPrestigeReady = isMaxed && upgrade.effectType === 'unlockPrestige';
-        const checkbox = isPrestigeReady ? '[>]' : (isMaxed ? '[x]' : '[ ]');
+        let checkbox = '[ ]';
+        if (isPrestigeReady) {
+            checkbox = '[>]';
+        } else if (isMaxed) {
+            checkbox = '[x]';
+        } else if (isExcluded) {
+            checkbox = '[-]';
+        }
         const countDisplay = upgrade.maxPurchases > 1 ? ` (${purchaseCount}/${upgrade.maxPurchases})` : '';
-        const costDisplay = isPrestigeReady ? 'READY' : (isMaxed ? 'MAXED' : formatDollars(finalCost));
+        let costDisplay = formatBulkCostHtml(costs, state.resources, quantity);
+        if (isPrestigeReady) {
+            costDisplay = 'READY';
+        } else if (isMaxed) {
+            costDisplay = 'MAXED';
+        } else if (isRestricted) {
+            costDisplay = 'DISABLED';
+        } else if (isExcluded) {
+            costDisplay = 'LOCKED OUT';
+        }
+        const choiceNote = getChoiceNote(upgrade, purchaseCount, purchaseCheck);
 
         if (isNewElement) {
             // Create new element structure
@@ -307,6 +469,7 @@ export function renderUpgrades(state, bonuses, onPurchase) {
                 </div>
                 <div class="upgrade-flavor">*"${upgrade.flavorText}"*</div>
                 <div class="upgrade-effect">${getEffectDescription(upgrade)}</div>
+                ${choiceNote ? `<div class="upgrade-choice">${choiceNote}</div>` : ''}
             `;
             elements.upgradesList.appendChild(upgradeEl);
         } else {
@@ -314,10 +477,12 @@ export function renderUpgrades(state, bonuses, onPurchase) {
             const checkboxEl = upgradeEl.querySelector('.upgrade-checkbox');
             const nameEl = upgradeEl.querySelector('.upgrade-name');
             const costEl = upgradeEl.querySelector('.upgrade-cost');
+            const choiceEl = upgradeEl.querySelector('.upgrade-choice');
 
             if (checkboxEl) checkboxEl.textContent = checkbox;
             if (nameEl) nameEl.textContent = upgrade.name + countDisplay;
-            if (costEl) costEl.textContent = costDisplay;
+            if (costEl && costEl.innerHTML !== costDisplay) costEl.innerHTML = costDisplay;
+            if (choiceEl) choiceEl.textContent = choiceNote;
         }
 
         // Always update click handler - uses onclick to replace any existing handler
@@ -333,6 +498,28 @@ export function renderUpgrades(state, bonuses, onPurchase) {
     }
 }
 
+/**
+ * Renders the purchase quantity selector ([x1] [x10] [x100] [MAX]), highlighting the selected one
+ */
+export function renderPurchaseQuantity(selected, onSelect) {
+    if (!elements) {
+        initUI();
+    }
+
+    elements.buyQuantity.innerHTML = '';
+    const label = document.createElement('span');
+    label.textContent = 'Buy:';
+    elements.buyQuantity.appendChild(label);
+
+    for (const quantity of PURCHASE_QUANTITIES) {
+        const button = createTextButton(quantity === 'max' ? '[MAX]' : `[x${quantity}]`, () => onSelect(quantity));
+        if (quantity === selected) {
+            button.classList.add('buy-quantity-active');
+        }
+        elements.buyQuantity.appendChild(button);
+    }
+}
+
 /**
  * Lightweight affordability update for the game loop.
  * Only updates CSS classes and cost text on existing upgrade elements
@@ -342,6 +529,7 @@ export function updateUpgradeAffordability(state, bonuses) {
     if (!elements) return;
 
     const costReduction = bonuses.costReduction;
+    const restrictions = getChallengeRestrictions(state);
     const upgradeEls = elements.upgradesList.querySelectorAll('.upgrade-item');
 
     for (const upgradeEl of upgradeEls) {
@@ -355,18 +543,25 @@ export function updateUpgradeAffordability(state, bonuses) {
         const isMaxed = purchaseCount >= upgrade.maxPurchases;
         if (isMaxed) continue; // No changes needed for maxed upgrades
 
+        const quantity = resolvePurchaseQuantity(upgrade, purchaseCount, state.settings.buyQuantity, state.resources, costReduction);
         const purchaseCheck = canPurchaseUpgrade(
             upgrade,
             purchaseCount,
             state.resources,
             state.upgrades,
-            costReduction
+            costReduction,
+            quantity,
+            restrictions
         );
 
-        const isLocked = purchaseCheck.reason === 'prerequisite';
+        const isRestricted = purchaseCheck.reason === 'restricted';
+        const isExcluded = purchaseCheck.reason === 'excluded';
+        const isLocked = purchaseCheck.reason === 'prerequisite' || isRestricted;
 
         let stateClass = '';
-        if (isLocked) {
+        if (isExcluded) {
+            stateClass = 'upgrade-locked upgrade-excluded';
+        } else if (isLocked) {
             stateClass = 'upgrade-locked';
         } else if (purchaseCheck.canPurchase) {
             stateClass = 'upgrade-affordable';
@@ -378,18 +573,245 @@ export function updateUpgradeAffordability(state, bonuses) {
         }
 
         // Update cost display
-        const baseCost = calculateUpgradeCost(upgrade, purchaseCount);
-        const finalCost = Math.floor(baseCost * (1 - costReduction));
+        const costs = getUpgradeCosts(upgrade, purchaseCount, costReduction, quantity);
         const costEl = upgradeEl.querySelector('.upgrade-cost');
         if (costEl) {
-            const costText = formatDollars(finalCost);
-            if (costEl.textContent !== costText) {
-                costEl.textContent = costText;
+            let costHtml = formatBulkCostHtml(costs, state.resources, quantity);
+            if (isRestricted) {
+                costHtml = 'DISABLED';
+            } else if (isExcluded) {
+                costHtml = 'LOCKED OUT';
+            }
+            if (costEl.innerHTML !== costHtml) {
+                costEl.innerHTML = costHtml;
             }
         }
     }
 }
 
+/**
+ * Renders open market opportunities ([GRAB] to claim) and running events with their countdowns
+ * Runs every tick: rows are only rebuilt when events come or go, so a [GRAB] isn't replaced mid-click
+ */
+export function renderMarketEvents(state, onClaim) {
+    if (!elements) return;
+
+    const { active, offers } = state.marketEvents;
+    const entries = [
+        ...offers.map(entry => ({ ...entry, isOffer: true })),
+        ...active.map(entry => ({ ...entry, isOffer: false }))
+    ].filter(entry => getMarketEvent(entry.id));
+    elements.marketEvents.classList.toggle('hidden', entries.length === 0);
+
+    const signature = entries.map(entry => `${entry.isOffer ? 'offer' : 'event'}:${entry.id}`).join(',');
+    if (elements.marketEventsList.dataset.signature !== signature) {
+        elements.marketEventsList.dataset.signature = signature;
+        elements.marketEventsList.innerHTML = '';
+        for (const entry of entries) {
+            elements.marketEventsList.appendChild(createMarketEventItem(getMarketEvent(entry.id), entry.isOffer, onClaim));
+        }
+    }
+
+    const countdowns = elements.marketEventsList.querySelectorAll('.market-event-countdown');
+    entries.forEach((entry, index) => {
+        const seconds = Math.ceil(entry.remaining);
+        countdowns[index].textContent = entry.isOffer ? `(expires in ${seconds}s)` : `(${seconds}s left)`;
+    });
+}
+
+/**
+ * Creates one market event row: a claimable opportunity or a running event
+ */
+function createMarketEventItem(event, isOffer, onClaim) {
+    const isDebuff = Object.values(event.effects).some(value => value < 1);
+    const itemEl = document.createElement('div');
+    itemEl.className = 'market-event' + (isOffer ? ' market-event-offer' : isDebuff ? ' market-event-debuff' : '');
+    itemEl.dataset.marketEventId = event.id;
+
+    const description = isOffer
+        ? ` <strong>${event.name}</strong> - ${getMarketEffectDescription(event)} for ${event.duration}s `
+        : `- <strong>${event.name}</strong>: ${getMarketEffectDescription(event)} `;
+    itemEl.insertAdjacentHTML('beforeend', description + '<span class="market-event-countdown"></span>');
+
+    if (isOffer) {
+        itemEl.prepend(createTextButton('[GRAB]', () => onClaim(event.id)));
+    }
+    return itemEl;
+}
+
+/**
+ * Renders the auto-buyer panel, hidden until unlocked: on/off status, cash reserve and upgrade list
+ * Enabled upgrades come first in priority order with [^]/[v] to reorder them,
+ * followed by the other auto-buyable upgrades of the current run
+ * handlers: { onToggleUpgrade(upgradeId), onMoveUpgrade(upgradeId, offset) }
+ */
+export function renderAutoBuyer(state, handlers) {
+    if (!elements) {
+        initUI();
+    }
+
+    const { enabled, reservePercent, priority } = state.autoBuyer;
+    elements.autoBuyerPanel.classList.toggle('hidden', !isAutoBuyerUnlocked(state));
+    elements.autoBuyerToggle.textContent = enabled ? '[ON]' : '[OFF]';
+    elements.autoBuyerReserve.value = reservePercent;
+    elements.autoBuyerList.innerHTML = '';
+
+    const available = getAvailableUpgrades(state.currentStage).filter(isAutoBuyable);
+    const prioritized = priority
+        .map(upgradeId => available.find(upgrade => upgrade.id === upgradeId))
+        .filter(Boolean);
+    const others = available.filter(upgrade => !priority.includes(upgrade.id));
+
+    prioritized.forEach((upgrade, index) => {
+        const itemEl = createAutoBuyerItem(upgrade, `[x] ${index + 1}.`, handlers);
+        itemEl.classList.add('auto-buyer-active');
+        itemEl.appendChild(createTextButton('[^]', () => handlers.onMoveUpgrade(upgrade.id, -1)));
+        itemEl.appendChild(createTextButton('[v]', () => handlers.onMoveUpgrade(upgrade.id, 1)));
+        elements.autoBuyerList.appendChild(itemEl);
+    });
+
+    for (const upgrade of others) {
+        elements.autoBuyerList.appendChild(createAutoBuyerItem(upgrade, '[ ]', handlers));
+    }
+}
+
+/**
+ * Creates one auto-buyer list row whose checkbox toggles the upgrade
+ */
+function createAutoBuyerItem(upgrade, checkboxLabel, handlers) {
+    const itemEl = document.createElement('div');
+    itemEl.className = 'auto-buyer-item';
+    itemEl.dataset.upgradeId = upgrade.id;
+    itemEl.appendChild(createTextButton(checkboxLabel, () => handlers.onToggleUpgrade(upgrade.id)));
+
+    const nameEl = document.createElement('span');
+    nameEl.className = 'auto-buyer-name';
+    nameEl.textContent = upgrade.name;
+    itemEl.appendChild(nameEl);
+    return itemEl;
+}
+
+/**
+ * Renders the meta upgrade panel, hidden until the first prestige
+ * Only prestiging and meta purchases change it, so it is rebuilt rather than updated every tick
+ */
+export function renderMetaUpgrades(state, onPurchase) {
+    if (!elements) {
+        initUI();
+    }
+
+    const { points, metaUpgrades } = state.prestige;
+    const hasPrestiged = state.prestige.simulationDepth > 0;
+    elements.metaPanel.classList.toggle('hidden', !hasPrestiged);
+    elements.metaPointsValue.textContent = formatNumber(points);
+    elements.metaUpgradesList.innerHTML = '';
+
+    for (const metaUpgrade of getAllMetaUpgrades()) {
+        const purchaseCount = metaUpgrades[metaUpgrade.id] || 0;
+        const purchaseCheck = canPurchaseMetaUpgrade(metaUpgrade, purchaseCount, points, metaUpgrades);
+        const isMaxed = purchaseCheck.reason === 'maxed';
+        const isLocked = purchaseCheck.reason === 'prerequisite';
+
+        let stateClass = '';
+        if (isMaxed) {
+            stateClass = 'upgrade-maxed';
+        } else if (isLocked) {
+            stateClass = 'upgrade-locked';
+        } else if (purchaseCheck.canPurchase) {
+            stateClass = 'upgrade-affordable';
+        }
+
+        const checkbox = isMaxed ? '[x]' : '[ ]';
+        const countDisplay = metaUpgrade.maxPurchases > 1 ? ` (${purchaseCount}/${metaUpgrade.maxPurchases})` : '';
+        const costDisplay = isMaxed ? 'MAXED' : `${formatNumber(calculateMetaUpgradeCost(metaUpgrade, purchaseCount))} PP`;
+
+        const upgradeEl = document.createElement('div');
+        upgradeEl.className = 'upgrade-item' + (stateClass ? ' ' + stateClass : '');
+        upgradeEl.dataset.metaUpgradeId = metaUpgrade.id;
+        upgradeEl.innerHTML = `
+            <div class="upgrade-header">
+                <span class="upgrade-checkbox">${checkbox}</span>
+                <span class="upgrade-name">${metaUpgrade.name}${countDisplay}</span>
+                <span class="upgrade-cost">${costDisplay}</span>
+            </div>
+            <div class="upgrade-flavor">*"${metaUpgrade.flavorText}"*</div>
+            <div class="upgrade-effect">${getMetaEffectDescription(metaUpgrade)}</div>
+        `;
+
+        if (!isMaxed && !isLocked) {
+            upgradeEl.onclick = () => onPurchase(metaUpgrade.id);
+        }
+
+        elements.metaUpgradesList.appendChild(upgradeEl);
+    }
+}
+
+/**
+ * Renders the achievements checklist with the total production bonus
+ */
+export function renderAchievements(state) {
+    if (!elements) {
+        initUI();
+    }
+
+    const achievements = getAllAchievements();
+    let unlockedCount = 0;
+    let totalBonus = 0;
+    elements.achievementsList.innerHTML = '';
+
+    for (const achievement of achievements) {
+        const isUnlocked = Boolean(state.achievements[achievement.id]);
+        if (isUnlocked) {
+            unlockedCount++;
+            totalBonus += achievement.productionBonus || 0;
+        }
+
+        const bonus = achievement.productionBonus ? ` <span class="achievement-bonus">(${formatPercent(achievement.productionBonus, '+')} production)</span>` : '';
+        const achievementEl = document.createElement('div');
+        achievementEl.className = 'achievement-item' + (isUnlocked ? ' achievement-unlocked' : '');
+        achievementEl.innerHTML = `- ${isUnlocked ? '[x]' : '[ ]'} <span class="achievement-name">${achievement.name}</span>`
+            + ` - ${achievement.description}${bonus}`;
+        elements.achievementsList.appendChild(achievementEl);
+    }
+
+    elements.achievementsCount.textContent = `${unlockedCount}/${achievements.length}`
+        + (totalBonus > 0 ? ` (${formatPercent(totalBonus, '+')} production)` : '');
+}
+
+/**
+ * Shows a short-lived toast for a newly unlocked achievement
+ */
+export function showAchievementToast(achievement) {
+    showToast(`> Achievement unlocked: <strong>${achievement.name}</strong>`);
+}
+
+/**
+ * Shows a toast for a challenge that was just completed or failed
+ */
+export function showChallengeToast(challenge, completed) {
+    if (completed) {
+        showToast(`> Challenge complete: <strong>${challenge.name}</strong> (${getChallengeRewardDescription(challenge)})`);
+    } else {
+        showToast(`> Challenge failed: <strong>${challenge.name}</strong> - time's up`, 'toast-failure');
+    }
+}
+
+/**
+ * Shows a toast that fades out on its own
+ */
+function showToast(html, extraClass = '') {
+    if (!elements) {
+        initUI();
+    }
+
+    const toastEl = document.createElement('div');
+    toastEl.className = 'toast' + (extraClass ? ' ' + extraClass : '');
+    toastEl.innerHTML = html;
+    elements.toastContainer.appendChild(toastEl);
+
+    setTimeout(() => toastEl.remove(), TOAST_DURATION_MS);
+}
+
 /**
  * Updates the news ticker
  */
@@ -408,25 +830,37 @@ export function showWelcomeBackModal(offlineProgress, onClose) {
         initUI();
     }
 
-    const { formattedTime, earnings, wasCapped } = offlineProgress;
+    const { formattedTime, formattedCap, earnings, productsProduced, passiveDollars, sales, stagesAdvanced, wasCapped } = offlineProgress;
+    const resources = getAllResources();
 
     let message = `<p>You were away for <strong>${formattedTime}</strong>.</p>`;
     message += `<p>While you were gone, your empire produced:</p>`;
-    message += `<p>- Products: <strong>+${formatNumber(earnings.product)}</strong></p>`;
-    message += `<p>- Dollars: <strong>+${formatDollars(earnings.dollars)}</strong></p>`;
-
-    if (earnings.computeUnits > 0) {
-        message += `<p>- Compute Units: <strong>+${formatNumber(earnings.computeUnits)}</strong></p>`;
+    for (const resource of resources) {
+        const amount = productsProduced[resource.id];
+        if (!amount || isZero(amount)) continue;
+        message += `<p>- ${resource.name}: <strong>+${formatNumber(amount)}</strong></p>`;
     }
-    if (earnings.intelligencePoints > 0) {
-        message += `<p>- Intelligence Points: <strong>+${formatNumber(earnings.intelligencePoints)}</strong></p>`;
+    if (!isZero(sales.count)) {
+        message += `<p>- Sales: <strong>${formatNumber(sales.count)}</strong> batches sold for <strong>+${formatDollars(sales.revenue)}</strong></p>`;
     }
-    if (earnings.consciousnessCycles > 0) {
-        message += `<p>- Consciousness Cycles: <strong>+${formatNumber(earnings.consciousnessCycles)}</strong></p>`;
+    if (!isZero(passiveDollars)) {
+        message += `<p>- Passive income: <strong>+${formatDollars(passiveDollars)}</strong></p>`;
+    }
+    message += `<p>- Dollars: <strong>+${formatDollars(earnings.dollars)}</strong> total</p>`;
+
+    // Products and dollars are covered above; list whatever else accumulated
+    for (const resource of resources) {
+        const amount = earnings[resource.id];
+        if (resource.tier !== undefined || resource.id === 'dollars' || !amount || isZero(amount)) continue;
+        message += `<p>- ${resource.name}: <strong>+${formatNumber(amount)}</strong></p>`;
+    }
+
+    for (const stageId of stagesAdvanced) {
+        message += `<p>- Advanced to <strong>Stage ${stageId}: ${getStage(stageId).name}</strong></p>`;
     }
 
     if (wasCapped) {
-        message += `<p><em>(Offline progress capped at 7 days)</em></p>`;
+        message += `<p><em>(Offline progress capped at ${formattedCap})</em></p>`;
     }
 
     elements.welcomeBackMessage.innerHTML = message;
@@ -442,15 +876,131 @@ export function showWelcomeBackModal(offlineProgress, onClose) {
     elements.welcomeBackClose.addEventListener('click', closeHandler);
 }
 
+/**
+ * Shows the read-only banner for a tab that isn't running the game
+ */
+export function showTabConflictBanner(onTakeOver) {
+    if (!elements) {
+        initUI();
+    }
+
+    elements.gameContainer.classList.add('read-only');
+    elements.tabConflictBanner.classList.remove('hidden');
+    elements.tabTakeoverButton.textContent = '[TAKE OVER]';
+    elements.tabTakeoverButton.onclick = () => {
+        elements.tabTakeoverButton.textContent = '[TAKING OVER...]';
+        onTakeOver();
+    };
+}
+
+/**
+ * Hides the read-only banner
+ */
+export function hideTabConflictBanner() {
+    if (!elements) {
+        initUI();
+    }
+
+    elements.gameContainer.classList.remove('read-only');
+    elements.tabConflictBanner.classList.add('hidden');
+    elements.tabTakeoverButton.onclick = null;
+}
+
+/**
+ * Shows the list of fixes applied to a damaged save
+ */
+export function showSaveRepairModal(fixes) {
+    if (!elements) {
+        initUI();
+    }
+
+    const message = '<p>Your save had some problems, so ram.md fixed them:</p>';
+    const listEl = document.createElement('div');
+    for (const fix of fixes) {
+        const fixEl = document.createElement('p');
+        // Fix descriptions can echo raw save values, so never inject them as HTML
+        fixEl.textContent = `- ${fix}`;
+        listEl.appendChild(fixEl);
+    }
+
+    elements.saveRepairMessage.innerHTML = message;
+    elements.saveRepairMessage.appendChild(listEl);
+    elements.saveRepairModal.classList.remove('hidden');
+
+    elements.saveRepairClose.onclick = () => {
+        elements.saveRepairModal.classList.add('hidden');
+        elements.saveRepairClose.onclick = null;
+    };
+}
+
+/**
+ * Shows what went wrong loading game data: core catalogs that failed and content packs that were skipped
+ */
+export function showContentErrorModal(errors) {
+    if (!elements) {
+        initUI();
+    }
+
+    const message = '<p>Some game content couldn\'t be loaded. Anything listed here was left out:</p>';
+    const listEl = document.createElement('div');
+    for (const error of errors) {
+        const errorEl = document.createElement('p');
+        // Errors echo pack ids and values, so never inject them as HTML
+        errorEl.textContent = `- ${error}`;
+        listEl.appendChild(errorEl);
+    }
+
+    elements.contentErrorMessage.innerHTML = message;
+    elements.contentErrorMessage.appendChild(listEl);
+    elements.contentErrorModal.classList.remove('hidden');
+
+    elements.contentErrorClose.onclick = () => {
+        elements.contentErrorModal.classList.add('hidden');
+        elements.contentErrorClose.onclick = null;
+    };
+}
+
+/**
+ * Builds the prestige modal's breakdown of what resetting now would pay out
+ */
+function formatPrestigePreview(state, reward) {
+    const currentDepth = state.prestige.simulationDepth;
+    const newDepth = currentDepth + reward.depthGained;
+    const current = calculatePrestigeBonuses(currentDepth);
+    const next = calculatePrestigeBonuses(newDepth);
+    const { sources, nextTargets } = reward;
+
+    let html = `<p>Resetting now deepens the simulation by <strong>+${reward.depthGained}</strong>:</p>`;
+    html += `<p>- Finishing the run: <strong>+${sources.completion}</strong></p>`;
+    html += `<p>- Total earned (${formatDollars(state.statistics.totalEarned)}): <strong>+${sources.earnings}</strong>`
+        + ` <span class="prestige-next">(next at ${formatDollars(nextTargets.earnings)})</span></p>`;
+    html += `<p>- Consciousness Cycles produced (${formatNumber(state.statistics.consciousnessProduced)}): <strong>+${sources.consciousness}</strong>`
+        + ` <span class="prestige-next">(next at ${formatNumber(nextTargets.consciousness)})</span></p>`;
+    html += `<p>Simulation depth: <strong>${currentDepth} -> ${newDepth}</strong></p>`;
+    html += `<p>Prestige points: <strong>${state.prestige.points} -> ${state.prestige.points + reward.depthGained}</strong></p>`;
+    html += `<p>Production bonus: <strong>${formatPercent(current.productionMultiplier - 1, '+')} -> ${formatPercent(next.productionMultiplier - 1, '+')}</strong></p>`;
+    html += `<p>Cost reduction: <strong>${formatPercent(current.costReduction, '-')} -> ${formatPercent(next.costReduction, '-')}</strong></p>`;
+
+    return html;
+}
+
+/**
+ * Formats a fraction as a whole percentage with a sign (e.g. 0.25 -> "+25%")
+ */
+function formatPercent(fraction, sign) {
+    return `${sign}${Math.round(fraction * 100)}%`;
+}
+
 /**
  * Shows the prestige modal
  */
-export function showPrestigeModal(currentDepth, onConfirm, onCancel) {
+export function showPrestigeModal(state, reward, onConfirm, onCancel) {
     if (!elements) {
         initUI();
     }
 
-    const newDepth = currentDepth + 1;
+    const currentDepth = state.prestige.simulationDepth;
+    const newDepth = currentDepth + reward.depthGained;
     const narrative = getPrestigeNarrative(newDepth);
 
     // Convert markdown-style formatting to HTML
@@ -464,14 +1014,25 @@ export function showPrestigeModal(currentDepth, onConfirm, onCancel) {
         .join('');
 
     elements.prestigeMessage.innerHTML = formattedNarrative;
+    elements.prestigePreview.innerHTML = formatPrestigePreview(state, reward);
     elements.prestigeModal.classList.remove('hidden');
 
+    // The next run is a normal one unless a challenge is picked
+    let selectedChallengeId = null;
+    const renderChallengeOptions = () => {
+        renderPrestigeChallenges(state, selectedChallengeId, challengeId => {
+            selectedChallengeId = challengeId;
+            renderChallengeOptions();
+        });
+    };
+    renderChallengeOptions();
+
     // Set up handlers
     const confirmHandler = () => {
         elements.prestigeModal.classList.add('hidden');
         elements.prestigeConfirm.removeEventListener('click', confirmHandler);
         elements.prestigeCancel.removeEventListener('click', cancelHandler);
-        onConfirm();
+        onConfirm(selectedChallengeId);
     };
 
     const cancelHandler = () => {
@@ -485,6 +1046,43 @@ export function showPrestigeModal(currentDepth, onConfirm, onCancel) {
     elements.prestigeCancel.addEventListener('click', cancelHandler);
 }
 
+/**
+ * Renders the next-run picker in the prestige modal: a normal run or one of the challenges
+ */
+function renderPrestigeChallenges(state, selectedChallengeId, onSelect) {
+    const challenges = getAllChallenges();
+    elements.prestigeChallenges.innerHTML = challenges.length > 0 ? '<p><strong>Next run:</strong></p>' : '';
+    if (challenges.length === 0) return;
+
+    const addOption = (challengeId, label, detail) => {
+        const isSelected = challengeId === selectedChallengeId;
+        const button = createTextButton(`${isSelected ? '[x]' : '[ ]'} ${label}`, () => onSelect(challengeId));
+        button.classList.add('challenge-option');
+        button.classList.toggle('challenge-selected', isSelected);
+        elements.prestigeChallenges.appendChild(button);
+
+        if (detail) {
+            const detailEl = document.createElement('p');
+            detailEl.className = 'challenge-option-detail';
+            detailEl.textContent = detail;
+            elements.prestigeChallenges.appendChild(detailEl);
+        }
+    };
+
+    addOption(null, 'Normal run', '');
+    for (const challenge of challenges) {
+        const status = state.challenges.completed[challenge.id] ? ' (completed)' : '';
+        const headStart = getChallengeHeadStartDescription(challenge, getUpgrade);
+        addOption(
+            challenge.id,
+            `Challenge: ${challenge.name}${status}`,
+            `${challenge.description} Restrictions: ${getChallengeRestrictionDescription(challenge)}. `
+                + (headStart ? `Head start: ${headStart}. ` : '')
+                + `Goal: reach Stage ${challenge.goalStage}. Reward: ${getChallengeRewardDescription(challenge)}.`
+        );
+    }
+}
+
 /**
  * Hides the prestige modal
  */
@@ -494,6 +1092,213 @@ export function hidePrestigeModal() {
     }
 }
 
+/**
+ * Shows the save transfer modal with an exported save string
+ */
+export function showExportModal(saveString) {
+    if (!elements) {
+        initUI();
+    }
+
+    openSaveTransferModal({
+        title: '## Export Save',
+        hint: 'Copy this string somewhere safe. Import it later to restore this run.',
+        text: saveString,
+        readOnly: true,
+        confirmLabel: '[COPY]',
+        onConfirm: async () => {
+            elements.saveTransferText.select();
+            try {
+                await navigator.clipboard.writeText(saveString);
+                elements.saveTransferConfirm.textContent = '[COPIED]';
+            } catch (error) {
+                // Clipboard API unavailable; the text is selected for manual copying
+                document.execCommand('copy');
+            }
+            return false;
+        }
+    });
+}
+
+/**
+ * Shows the save transfer modal for pasting a save string
+ * onImport receives the pasted text and resolves to { success, error }
+ */
+export function showImportModal(onImport) {
+    if (!elements) {
+        initUI();
+    }
+
+    openSaveTransferModal({
+        title: '## Import Save',
+        hint: 'Paste an exported save string. This replaces your current run, which is backed up first.',
+        text: '',
+        readOnly: false,
+        confirmLabel: '[IMPORT]',
+        onConfirm: async () => {
+            const result = await onImport(elements.saveTransferText.value);
+            if (!result.success) {
+                elements.saveTransferError.textContent = result.error;
+                elements.saveTransferError.classList.remove('hidden');
+                return false;
+            }
+            return true;
+        }
+    });
+}
+
+/**
+ * Opens the shared save transfer modal
+ * onConfirm resolves to true when the modal should close
+ */
+function openSaveTransferModal({ title, hint, text, readOnly, confirmLabel, onConfirm }) {
+    elements.saveTransferTitle.textContent = title;
+    elements.saveTransferHint.textContent = hint;
+    elements.saveTransferText.value = text;
+    elements.saveTransferText.readOnly = readOnly;
+    elements.saveTransferError.classList.add('hidden');
+    elements.saveTransferConfirm.textContent = confirmLabel;
+    elements.saveTransferModal.classList.remove('hidden');
+
+    if (!readOnly) {
+        elements.saveTransferText.focus();
+    }
+
+    const close = () => {
+        elements.saveTransferModal.classList.add('hidden');
+        elements.saveTransferConfirm.onclick = null;
+        elements.saveTransferClose.onclick = null;
+    };
+
+    elements.saveTransferConfirm.onclick = async () => {
+        if (await onConfirm()) {
+            close();
+        }
+    };
+    elements.saveTransferClose.onclick = close;
+}
+
+/**
+ * Renders the save slot list and the active slot's backups
+ * handlers: { onSwitch, onDuplicate, onDelete, onRestore } - each receives a slot ID or backup timestamp
+ */
+export function renderSaveSlots(slots, activeSlotId, backups, handlers) {
+    if (!elements) {
+        initUI();
+    }
+
+    elements.slotsList.replaceChildren(...slots.map(slot => {
+        const isActive = slot.id === activeSlotId;
+        const slotEl = document.createElement('div');
+        slotEl.className = 'slot-item' + (isActive ? ' slot-active' : '');
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'slot-name';
+        // Slot names are player input, so never inject them as HTML
+        nameEl.textContent = `${isActive ? '[*]' : '[ ]'} ${slot.name}`;
+        slotEl.appendChild(nameEl);
+
+        if (!isActive) {
+            slotEl.appendChild(createTextButton('[LOAD]', () => handlers.onSwitch(slot.id)));
+        }
+        slotEl.appendChild(createTextButton('[COPY]', () => handlers.onDuplicate(slot.id)));
+        if (!isActive) {
+            slotEl.appendChild(createTextButton('[DELETE]', () => handlers.onDelete(slot.id)));
+        }
+
+        return slotEl;
+    }));
+
+    if (backups.length === 0) {
+        const emptyEl = document.createElement('div');
+        emptyEl.className = 'backup-empty';
+        emptyEl.textContent = '*No backups yet.*';
+        elements.backupsList.replaceChildren(emptyEl);
+        return;
+    }
+
+    elements.backupsList.replaceChildren(...backups.map(backup => {
+        const backupEl = document.createElement('div');
+        backupEl.className = 'backup-item';
+
+        const labelEl = document.createElement('span');
+        labelEl.textContent = `- ${formatTimestamp(backup.timestamp)} (${backup.reason})`;
+        backupEl.appendChild(labelEl);
+        backupEl.appendChild(createTextButton('[RESTORE]', () => handlers.onRestore(backup.timestamp)));
+
+        return backupEl;
+    }));
+}
+
+/**
+ * Creates a bracketed text button
+ */
+function createTextButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'text-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Formats a timestamp as YYYY-MM-DD HH:MM in local time
+ */
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Gets the new slot name input and button for event binding
+ */
+export function getNewSlotControls() {
+    if (!elements) {
+        initUI();
+    }
+    return {
+        nameInput: elements.newSlotName,
+        createButton: elements.newSlotButton
+    };
+}
+
+/**
+ * Gets the auto-buyer status toggle and reserve input for event binding
+ */
+export function getAutoBuyerControls() {
+    if (!elements) {
+        initUI();
+    }
+    return {
+        toggleButton: elements.autoBuyerToggle,
+        reserveInput: elements.autoBuyerReserve
+    };
+}
+
+/**
+ * Gets the abandon challenge button for event binding
+ */
+export function getChallengeAbandonButton() {
+    if (!elements) {
+        initUI();
+    }
+    return elements.challengeAbandon;
+}
+
+/**
+ * Gets the save export/import buttons for event binding
+ */
+export function getSaveButtons() {
+    if (!elements) {
+        initUI();
+    }
+    return {
+        exportButton: elements.exportSaveButton,
+        importButton: elements.importSaveButton
+    };
+}
+
 /**
  * Gets the main action button element for event binding
  */
@@ -3,9 +3,45 @@
  * Handles upgrade data loading, cost calculations, and purchase logic
  */
 
+import { ZERO, add, subtract, multiply, divide, power, floor, log10, toNumber, isZero, lt } from './bignum.js';
+import { calculateMetaEffect } from './meta.js';
+import { isUpgradeRestricted } from './challenges.js';
+import { getStage, getResource } from './stages.js';
+
 // Upgrade data will be loaded from JSON
 let upgradesData = null;
 
+// Quantities the purchase selector offers; 'max' buys as many levels as the player can afford
+export const PURCHASE_QUANTITIES = [1, 10, 100, 'max'];
+
+// Effect types calculateProductionBonuses understands; anything else contributes nothing
+export const EFFECT_TYPES = [
+    'clickPower',
+    'passiveProduct',
+    'passiveDollars',
+    'passiveCompute',
+    'passiveIntelligence',
+    'passiveConsciousness',
+    'sellPrice',
+    'costReduction',
+    'unlockPrestige',
+    'multiplier',
+    'synergy',
+    'resourceScaling',
+    'conversion'
+];
+
+// Bonus totals the multiplier, synergy, resourceScaling and conversion effects can target (their "target" field),
+// with the label their effect descriptions use
+export const PRODUCTION_STATS = {
+    clickPower: 'click power',
+    passiveProduct: 'product/sec',
+    passiveDollars: '$/sec',
+    passiveCompute: 'compute/sec',
+    passiveIntelligence: 'intelligence/sec',
+    passiveConsciousness: 'consciousness/sec'
+};
+
 /**
  * Loads upgrade data from the JSON file
  */
@@ -21,6 +57,13 @@ export async function loadUpgrades() {
     }
 }
 
+/**
+ * Sets upgrade data directly (for Node scripts and tests, where fetch can't read local files)
+ */
+export function setUpgrades(upgrades) {
+    upgradesData = upgrades;
+}
+
 /**
  * Gets all upgrades
  */
@@ -53,20 +96,141 @@ export function getUpgrade(upgradeId) {
     return upgradesData.find(upgrade => upgrade.id === upgradeId);
 }
 
+/**
+ * Gets the other options of an upgrade's choice node (upgrades sharing its exclusiveGroup)
+ * Upgrades without an exclusiveGroup have no rivals
+ */
+export function getExclusiveRivals(upgrade) {
+    if (!upgradesData || !upgrade.exclusiveGroup) return [];
+    return upgradesData.filter(other => other.exclusiveGroup === upgrade.exclusiveGroup && other.id !== upgrade.id);
+}
+
+/**
+ * Gets the rival option that locks an upgrade out for this run, or null
+ * Buying any level of one option of a choice node locks out the others until prestige
+ */
+export function getExcludingRival(upgrade, purchasedUpgrades) {
+    return getExclusiveRivals(upgrade).find(rival => (purchasedUpgrades[rival.id] || 0) > 0) || null;
+}
+
 /**
  * Calculates the current cost of an upgrade based on purchase count
- * Formula: cost = baseCost * (scalingFactor ^ purchaseCount)
+ * Formula: cost = baseCost * (scalingFactor ^ purchaseCount), as a big number
+ * Pass a secondary cost's baseCost to scale that one instead
+ */
+export function calculateUpgradeCost(upgrade, purchaseCount, baseCost = upgrade.baseCost) {
+    return floor(multiply(baseCost, power(upgrade.costScaling, purchaseCount)));
+}
+
+/**
+ * Calculates the total cost of the next `quantity` levels of an upgrade, as a big number
+ * Sums the geometric series: cost(n) * (scalingFactor ^ quantity - 1) / (scalingFactor - 1)
+ * A single level costs exactly calculateUpgradeCost; bulk totals are floored once, not per level
+ */
+export function calculateBulkUpgradeCost(upgrade, purchaseCount, quantity, baseCost = upgrade.baseCost) {
+    if (quantity === 1) {
+        return calculateUpgradeCost(upgrade, purchaseCount, baseCost);
+    }
+
+    const scaling = upgrade.costScaling;
+    const seriesFactor = scaling === 1
+        ? quantity
+        : divide(subtract(power(scaling, quantity), 1), scaling - 1);
+
+    return floor(multiply(multiply(baseCost, power(scaling, purchaseCount)), seriesFactor));
+}
+
+/**
+ * Gets the base cost of an upgrade in each resource it costs, primary cost first
+ */
+function getBaseCosts(upgrade) {
+    return [
+        { resource: upgrade.costResource || 'dollars', baseCost: upgrade.baseCost },
+        ...(upgrade.secondaryCosts || [])
+    ];
+}
+
+/**
+ * Gets every resource cost of the next `quantity` levels of an upgrade, after cost reduction
+ * The primary cost (baseCost in costResource) comes first, then any secondaryCosts
+ * Returns [{ resource, amount }] with big-number amounts
+ */
+export function getUpgradeCosts(upgrade, purchaseCount, costReductionMultiplier = 0, quantity = 1) {
+    return getBaseCosts(upgrade).map(({ resource, baseCost }) => ({
+        resource,
+        amount: floor(multiply(calculateBulkUpgradeCost(upgrade, purchaseCount, quantity, baseCost), 1 - costReductionMultiplier))
+    }));
+}
+
+/**
+ * Finds how many more levels of an upgrade the resources cover in every cost resource, up to maxPurchases
+ * Inverts the geometric series, then corrects for the rounding of the totals
+ */
+export function getMaxAffordableQuantity(upgrade, purchaseCount, resources, costReductionMultiplier = 0) {
+    const remaining = upgrade.maxPurchases - purchaseCount;
+    if (remaining <= 0) return 0;
+
+    const scaling = upgrade.costScaling;
+    let quantity = remaining;
+
+    for (const { resource, baseCost } of getBaseCosts(upgrade)) {
+        const firstLevelCost = multiply(calculateUpgradeCost(upgrade, purchaseCount, baseCost), 1 - costReductionMultiplier);
+        if (isZero(firstLevelCost)) continue;
+
+        // available >= firstLevelCost * (scaling ^ levels - 1) / (scaling - 1), solved for levels
+        const budget = divide(resources[resource] || ZERO, firstLevelCost);
+        const affordable = scaling === 1
+            ? toNumber(budget)
+            : log10(add(multiply(budget, scaling - 1), 1)) / Math.log10(scaling);
+
+        quantity = Math.min(quantity, Math.max(Math.floor(affordable), 0));
+    }
+
+    const canAfford = (levels) => getUpgradeCosts(upgrade, purchaseCount, costReductionMultiplier, levels)
+        .every(({ resource, amount }) => !lt(resources[resource] || ZERO, amount));
+
+    while (quantity > 0 && !canAfford(quantity)) {
+        quantity--;
+    }
+    if (quantity < remaining && canAfford(quantity + 1)) {
+        quantity++;
+    }
+
+    return quantity;
+}
+
+/**
+ * Turns a purchase selector value (a number or 'max') into a number of levels to buy
+ * Never more than the levels left, and at least 1 so an unaffordable 'max' still shows the next level's cost
  */
-export function calculateUpgradeCost(upgrade, purchaseCount) {
-    return Math.floor(upgrade.baseCost * Math.pow(upgrade.costScaling, purchaseCount));
+export function resolvePurchaseQuantity(upgrade, purchaseCount, selection, resources, costReductionMultiplier = 0) {
+    const quantity = selection === 'max'
+        ? getMaxAffordableQuantity(upgrade, purchaseCount, resources, costReductionMultiplier)
+        : Math.min(selection, upgrade.maxPurchases - purchaseCount);
+
+    return Math.max(quantity, 1);
 }
 
 /**
- * Checks if an upgrade can be purchased
+ * Checks if the next `quantity` levels of an upgrade can be purchased
+ * On success or 'insufficient', includes cost (the primary cost) and costs (all of them);
+ * 'insufficient' also names the first missing resource
+ * restrictions are the current challenge's (see getChallengeRestrictions); disabled upgrades are 'restricted'
+ * An option of a choice node whose rival was bought is 'excluded', with the rival upgrade
  */
-export function canPurchaseUpgrade(upgrade, purchaseCount, resources, purchasedUpgrades, costReductionMultiplier = 1) {
-    // Check if maxed out
-    if (purchaseCount >= upgrade.maxPurchases) {
+export function canPurchaseUpgrade(upgrade, purchaseCount, resources, purchasedUpgrades, costReductionMultiplier = 1, quantity = 1, restrictions = {}) {
+    if (isUpgradeRestricted(upgrade, restrictions)) {
+        return { canPurchase: false, reason: 'restricted' };
+    }
+
+    // Check if a rival option of the same choice node was already picked
+    const rival = getExcludingRival(upgrade, purchasedUpgrades);
+    if (rival) {
+        return { canPurchase: false, reason: 'excluded', rival };
+    }
+
+    // Check if maxed out (or the quantity would go past the limit)
+    if (purchaseCount + quantity > upgrade.maxPurchases) {
         return { canPurchase: false, reason: 'maxed' };
     }
 
@@ -78,19 +242,17 @@ export function canPurchaseUpgrade(upgrade, purchaseCount, resources, purchasedU
         }
     }
 
-    // Calculate cost with cost reduction
-    const baseCost = calculateUpgradeCost(upgrade, purchaseCount);
-    const finalCost = Math.floor(baseCost * (1 - costReductionMultiplier));
-
-    // Check if player can afford it
-    const resourceKey = upgrade.costResource || 'dollars';
-    const resourceAmount = resources[resourceKey] || 0;
+    // Calculate costs with cost reduction
+    const costs = getUpgradeCosts(upgrade, purchaseCount, costReductionMultiplier, quantity);
+    const cost = costs[0].amount;
 
-    if (resourceAmount < finalCost) {
-        return { canPurchase: false, reason: 'insufficient', cost: finalCost };
+    // Check if player can afford every one of them
+    const missing = costs.find(({ resource, amount }) => lt(resources[resource] || ZERO, amount));
+    if (missing) {
+        return { canPurchase: false, reason: 'insufficient', cost, costs, missingResource: missing.resource };
     }
 
-    return { canPurchase: true, cost: finalCost };
+    return { canPurchase: true, cost, costs };
 }
 
 /**
@@ -110,25 +272,44 @@ export function calculateTotalEffect(effectType, purchasedUpgrades) {
 }
 
 /**
- * Calculates all production bonuses from upgrades
+ * Calculates all production bonuses from upgrades and meta upgrades
+ * Order of operations: flat effects add up first, then multiplier, synergy and resourceScaling effects
+ * multiply the totals they target, then conversions add a share of one multiplied total to another.
+ * Prestige, achievement, challenge and market multipliers apply on top of the result (see the engine).
+ * Under challenge restrictions, disabled upgrades (e.g. kept Stage 1 levels) add nothing
+ * and noCostReduction zeroes the upgrades' cost reduction
+ * resources (the player's holdings) only matter to resourceScaling effects
  */
-export function calculateProductionBonuses(purchasedUpgrades) {
+export function calculateProductionBonuses(purchasedUpgrades, purchasedMetaUpgrades = {}, restrictions = {}, resources = {}) {
     const bonuses = {
         clickPower: 1, // Base click power
         passiveProduct: 0,
+        // passiveProduct split by the product tier (stage id) each producer makes
+        passiveProductByTier: {},
         passiveDollars: 0,
         passiveCompute: 0,
         passiveIntelligence: 0,
         passiveConsciousness: 0,
         sellPriceMultiplier: 1,
-        costReduction: 0
+        costReduction: 0,
+        // Meta upgrades (bought with prestige points, kept across resets)
+        startingDollars: calculateMetaEffect('startingCash', purchasedMetaUpgrades),
+        keptStageOneLevels: calculateMetaEffect('keepStageOneUpgrades', purchasedMetaUpgrades),
+        saleBatchReduction: calculateMetaEffect('saleBatchReduction', purchasedMetaUpgrades),
+        offlineCapHours: calculateMetaEffect('offlineCapHours', purchasedMetaUpgrades)
     };
 
     if (!upgradesData) return bonuses;
 
+    const multipliers = {};
+    const conversions = [];
+    const applyMultiplier = (stat, factor) => {
+        multipliers[stat] = (multipliers[stat] ?? 1) * factor;
+    };
+
     for (const upgrade of upgradesData) {
         const count = purchasedUpgrades[upgrade.id] || 0;
-        if (count === 0) continue;
+        if (count === 0 || isUpgradeRestricted(upgrade, restrictions)) continue;
 
         const totalEffect = upgrade.effectValue * count;
 
@@ -138,6 +319,7 @@ export function calculateProductionBonuses(purchasedUpgrades) {
                 break;
             case 'passiveProduct':
                 bonuses.passiveProduct += totalEffect;
+                bonuses.passiveProductByTier[upgrade.stage] = (bonuses.passiveProductByTier[upgrade.stage] || 0) + totalEffect;
                 break;
             case 'passiveDollars':
                 bonuses.passiveDollars += totalEffect;
@@ -157,16 +339,85 @@ export function calculateProductionBonuses(purchasedUpgrades) {
             case 'costReduction':
                 bonuses.costReduction += totalEffect;
                 break;
+            case 'multiplier':
+                // Each level multiplies again: x2 bought twice is x4
+                applyMultiplier(upgrade.target, upgrade.effectValue ** count);
+                break;
+            case 'synergy':
+                applyMultiplier(upgrade.target, 1 + totalEffect * countActiveLevels(upgrade.source, purchasedUpgrades, restrictions));
+                break;
+            case 'resourceScaling':
+                applyMultiplier(upgrade.target, 1 + totalEffect * countPowersOfTen(resources[upgrade.source]));
+                break;
+            case 'conversion':
+                conversions.push({ target: upgrade.target, source: upgrade.source, share: totalEffect });
+                break;
             // 'unlockPrestige' doesn't add production
         }
     }
 
+    const flatProduct = bonuses.passiveProduct;
+    for (const [stat, factor] of Object.entries(multipliers)) {
+        if (stat in PRODUCTION_STATS) {
+            bonuses[stat] *= factor;
+        }
+    }
+
+    // Conversions all read the multiplied totals, so one can't feed another
+    const multiplied = { ...bonuses };
+    for (const { target, source, share } of conversions) {
+        if (target in PRODUCTION_STATS && source in PRODUCTION_STATS) {
+            bonuses[target] += multiplied[source] * share;
+        }
+    }
+
+    splitProductByTier(bonuses, flatProduct);
+
     // Cap cost reduction at 90%
-    bonuses.costReduction = Math.min(bonuses.costReduction, 0.9);
+    bonuses.costReduction = restrictions.noCostReduction ? 0 : Math.min(bonuses.costReduction, 0.9);
 
     return bonuses;
 }
 
+/**
+ * Scales each tier's flat product to its share of the final passiveProduct (multipliers apply to every tier alike)
+ * Product with no flat producers behind it (a conversion alone) goes to the first tier
+ */
+function splitProductByTier(bonuses, flatProduct) {
+    if (flatProduct > 0) {
+        const scale = bonuses.passiveProduct / flatProduct;
+        for (const tier of Object.keys(bonuses.passiveProductByTier)) {
+            bonuses.passiveProductByTier[tier] *= scale;
+        }
+    } else if (bonuses.passiveProduct > 0) {
+        bonuses.passiveProductByTier[1] = bonuses.passiveProduct;
+    }
+}
+
+/**
+ * Checks if any owned upgrade scales with the player's holdings, so its bonus changes as resources do
+ */
+export function scalesWithResources(purchasedUpgrades) {
+    return getAllUpgrades().some(upgrade => upgrade.effectType === 'resourceScaling' && (purchasedUpgrades[upgrade.id] || 0) > 0);
+}
+
+/**
+ * Counts the levels of an upgrade that currently count towards a synergy (none if a challenge disables it)
+ */
+function countActiveLevels(upgradeId, purchasedUpgrades, restrictions) {
+    const upgrade = getUpgrade(upgradeId);
+    if (!upgrade || isUpgradeRestricted(upgrade, restrictions)) return 0;
+    return purchasedUpgrades[upgradeId] || 0;
+}
+
+/**
+ * Counts how many times over ten a holding has multiplied from 1 (0 below 1)
+ */
+function countPowersOfTen(amount) {
+    if (!amount || isZero(amount)) return 0;
+    return Math.max(0, log10(amount));
+}
+
 /**
  * Checks if prestige has been unlocked
  */
@@ -185,7 +436,7 @@ export function getEffectDescription(upgrade) {
         case 'clickPower':
             return `+${value} per click`;
         case 'passiveProduct':
-            return `+${value}/sec`;
+            return `+${value} ${getStage(upgrade.stage)?.productName ?? 'product'}/sec`;
         case 'passiveDollars':
             return `+$${formatNumber(value)}/sec`;
         case 'passiveCompute':
@@ -200,11 +451,33 @@ export function getEffectDescription(upgrade) {
             return `-${Math.round(value * 100)}% upgrade costs`;
         case 'unlockPrestige':
             return 'Unlocks Prestige';
+        case 'multiplier':
+            return `x${value} ${getStatLabel(upgrade.target)}`;
+        case 'synergy':
+            return `+${formatPercent(value)} ${getStatLabel(upgrade.target)} per ${getUpgrade(upgrade.source)?.name ?? upgrade.source} owned`;
+        case 'resourceScaling':
+            return `+${formatPercent(value)} ${getStatLabel(upgrade.target)} per 10x ${getResource(upgrade.source)?.name ?? upgrade.source} held`;
+        case 'conversion':
+            return `+${formatPercent(value)} of ${getStatLabel(upgrade.source)} added to ${getStatLabel(upgrade.target)}`;
         default:
             return '';
     }
 }
 
+/**
+ * Names a production stat in effect descriptions
+ */
+function getStatLabel(stat) {
+    return PRODUCTION_STATS[stat] ?? stat;
+}
+
+/**
+ * Formats a fraction as a percentage, keeping one decimal for small values (0.005 -> 0.5%)
+ */
+function formatPercent(value) {
+    return `${Math.round(value * 1000) / 10}%`;
+}
+
 /**
  * Simple number formatting for effect descriptions
  */
@@ -0,0 +1,388 @@
+/**
+ * validate.js - Save validation and repair
+ * Checks a loaded game state against the stage definitions and upgrade catalogs,
+ * clamping or dropping anything that would break the game loop
+ */
+
+import { createDefaultState } from './save.js';
+import { getTotalStages, isStageUnlocked } from './stages.js';
+import { getAllUpgrades, getUpgrade, getExcludingRival, PURCHASE_QUANTITIES } from './upgrades.js';
+import { getAllMetaUpgrades, getMetaUpgrade } from './meta.js';
+import { getAllAchievements, getAchievement } from './achievements.js';
+import { isAutoBuyable, clampReservePercent } from './autobuyer.js';
+import { getAllMarketEvents, getMarketEvent, MAX_EVENT_DELAY } from './market.js';
+import { getAllChallenges, getChallenge } from './challenges.js';
+import { MAX_PRESTIGE_COST_REDUCTION } from './engine.js';
+import { ZERO, isBigNum, fromNumber, fromParts, toNumber, isNegative } from './bignum.js';
+
+/**
+ * Validates a game state and repairs it in place
+ * Returns { state, fixes } where fixes is a list of player-facing descriptions
+ */
+export function validateGameState(state) {
+    const fixes = [];
+    const defaults = createDefaultState();
+
+    // Statistics: finite and non-negative, counters are whole numbers
+    // (repaired first, since a bad stage is repaired from total earned)
+    state.statistics = validateNumberGroup(state.statistics, defaults.statistics, 'Statistic', fixes, ['totalClicks', 'prestigeCount']);
+
+    // Stage must be a known stage, one that isn't falling back no further than total earned has unlocked,
+    // and resources only known keys, finite and non-negative
+    // (both skipped if the stage catalog failed to load, so a network error can't wipe resources)
+    const totalStages = getTotalStages();
+    if (totalStages > 0) {
+        const stage = state.currentStage;
+        if (!Number.isInteger(stage) || stage < 1 || stage > totalStages) {
+            const clamped = Number.isFinite(stage)
+                ? Math.min(Math.max(Math.floor(stage), 1), totalStages)
+                : 1;
+            const repaired = Math.min(clamped, getFurthestUnlockedStage(state.statistics.totalEarned));
+            fixes.push(`Stage ${formatValue(stage)} doesn't exist; moved to stage ${repaired}.`);
+            state.currentStage = repaired;
+        }
+
+        state.resources = validateNumberGroup(state.resources, defaults.resources, 'Resource', fixes);
+    }
+
+    // Upgrades: must exist in the catalog, counts capped at maxPurchases
+    // (skipped if the catalog failed to load, so a network error can't wipe purchases)
+    if (getAllUpgrades().length > 0) {
+        state.upgrades = validateUpgrades(state.upgrades, fixes);
+        validateExclusiveChoices(state.upgrades, fixes);
+    }
+
+    // Prestige
+    validatePrestige(state, fixes);
+
+    // Achievements: must exist in the catalog (same catalog-load guard as upgrades)
+    state.achievements = validateAchievements(state.achievements, fixes);
+
+    validateAutoBuyer(state, defaults.autoBuyer, fixes);
+
+    validateMarketEvents(state, defaults.marketEvents, fixes);
+
+    validateChallenges(state, defaults.challenges, fixes);
+
+    if (typeof state.prestigeUnlocked !== 'boolean') {
+        state.prestigeUnlocked = Boolean(state.prestigeUnlocked);
+    }
+    if (!state.prestigeUnlocked && (state.upgrades['universal_simulation'] || 0) > 0) {
+        fixes.push('Prestige was locked despite owning Universal Simulation; unlocked it.');
+        state.prestigeUnlocked = true;
+    }
+
+    if (!state.settings || typeof state.settings !== 'object') {
+        state.settings = defaults.settings;
+    } else if (!PURCHASE_QUANTITIES.includes(state.settings.buyQuantity)) {
+        fixes.push(`Purchase quantity ${formatValue(state.settings.buyQuantity)} isn't an option; reset to 1.`);
+        state.settings.buyQuantity = 1;
+    }
+
+    if (!Number.isFinite(state.lastSaveTime)) {
+        fixes.push('Last save time was unreadable; offline progress skipped.');
+        state.lastSaveTime = Date.now();
+    }
+
+    return { state, fixes };
+}
+
+/**
+ * Validates an object of numeric fields against its defaults
+ * Unknown keys are dropped, missing or invalid values are reset or clamped,
+ * integerKeys are floored to whole numbers, and fields whose default is a big number stay big
+ */
+function validateNumberGroup(group, defaults, label, fixes, integerKeys = []) {
+    const source = group && typeof group === 'object' ? group : {};
+    const result = {};
+
+    for (const key of Object.keys(source)) {
+        if (!(key in defaults)) {
+            fixes.push(`${label} "${key}" is unknown; removed.`);
+        }
+    }
+
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        if (isBigNum(defaultValue)) {
+            result[key] = validateBigNumField(source, key, label, fixes);
+            continue;
+        }
+
+        let value = source[key];
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            if (key in source) {
+                fixes.push(`${label} "${key}" was ${formatValue(value)}; reset to ${defaultValue}.`);
+            }
+            value = defaultValue;
+        } else if (value < 0) {
+            fixes.push(`${label} "${key}" was negative (${value}); set to 0.`);
+            value = 0;
+        }
+
+        if (integerKeys.includes(key) && !Number.isInteger(value)) {
+            value = Math.floor(value);
+        }
+
+        result[key] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Validates one big-number field, accepting plain numbers from hand-edited saves
+ */
+function validateBigNumField(source, key, label, fixes) {
+    let value = source[key];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        value = fromNumber(value);
+    }
+
+    if (!isBigNum(value)) {
+        if (key in source) {
+            fixes.push(`${label} "${key}" was ${formatValue(value)}; reset to 0.`);
+        }
+        return ZERO;
+    }
+
+    if (isNegative(value)) {
+        fixes.push(`${label} "${key}" was negative (${toNumber(value)}); set to 0.`);
+        return ZERO;
+    }
+
+    // Re-normalize in case the mantissa was edited out of range
+    return fromParts(value.mantissa, value.exponent);
+}
+
+/**
+ * Gets the furthest stage whose unlock threshold total earned has reached
+ */
+function getFurthestUnlockedStage(totalEarned) {
+    let stageId = 1;
+    while (stageId < getTotalStages() && isStageUnlocked(stageId + 1, totalEarned)) {
+        stageId++;
+    }
+    return stageId;
+}
+
+/**
+ * Validates purchased upgrade counts against a catalog (the upgrade catalog unless another lookup is given)
+ */
+function validateUpgrades(upgrades, fixes, findUpgrade = getUpgrade, label = 'Upgrade') {
+    const source = upgrades && typeof upgrades === 'object' ? upgrades : {};
+    const result = {};
+
+    for (const [upgradeId, count] of Object.entries(source)) {
+        const upgrade = findUpgrade(upgradeId);
+        if (!upgrade) {
+            fixes.push(`${label} "${upgradeId}" no longer exists; removed.`);
+            continue;
+        }
+
+        if (typeof count !== 'number' || !Number.isFinite(count) || count < 0) {
+            fixes.push(`${upgrade.name} had an invalid count (${formatValue(count)}); removed.`);
+            continue;
+        }
+
+        let repaired = Math.floor(count);
+        if (repaired > upgrade.maxPurchases) {
+            fixes.push(`${upgrade.name} was over its limit (${repaired}/${upgrade.maxPurchases}); capped.`);
+            repaired = upgrade.maxPurchases;
+        }
+
+        if (repaired > 0) {
+            result[upgradeId] = repaired;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Keeps at most one option of each upgrade choice node: the first one in catalog order wins
+ */
+function validateExclusiveChoices(upgrades, fixes) {
+    for (const upgrade of getAllUpgrades()) {
+        if (!upgrades[upgrade.id]) continue;
+
+        const rival = getExcludingRival(upgrade, upgrades);
+        if (rival) {
+            fixes.push(`${upgrade.name} was owned alongside its rival choice ${rival.name}; removed.`);
+            delete upgrades[upgrade.id];
+        }
+    }
+}
+
+/**
+ * Validates unlocked achievements, keeping their unlock times
+ * (also used for challenge completions, with their catalog and label)
+ */
+function validateAchievements(achievements, fixes, listEntries = getAllAchievements, findEntry = getAchievement, label = 'Achievement') {
+    const source = achievements && typeof achievements === 'object' ? achievements : {};
+    const catalogLoaded = listEntries().length > 0;
+    const result = {};
+
+    for (const [achievementId, unlockedAt] of Object.entries(source)) {
+        if (catalogLoaded && !findEntry(achievementId)) {
+            fixes.push(`${label} "${achievementId}" no longer exists; removed.`);
+            continue;
+        }
+
+        // The unlock time is only for display, so a bad one doesn't cost the achievement
+        result[achievementId] = Number.isFinite(unlockedAt) && unlockedAt > 0 ? unlockedAt : Date.now();
+    }
+
+    return result;
+}
+
+/**
+ * Validates auto-buyer settings: a known reserve percentage and a list of distinct, auto-buyable upgrades
+ */
+function validateAutoBuyer(state, defaults, fixes) {
+    if (!state.autoBuyer || typeof state.autoBuyer !== 'object') {
+        fixes.push('Auto-buyer settings were missing; reset.');
+        state.autoBuyer = defaults;
+        return;
+    }
+
+    const autoBuyer = state.autoBuyer;
+    autoBuyer.enabled = Boolean(autoBuyer.enabled);
+
+    const reservePercent = clampReservePercent(autoBuyer.reservePercent);
+    if (reservePercent !== autoBuyer.reservePercent) {
+        fixes.push(`Auto-buyer cash reserve was ${formatValue(autoBuyer.reservePercent)}; set to ${reservePercent}%.`);
+        autoBuyer.reservePercent = reservePercent;
+    }
+
+    const priority = Array.isArray(autoBuyer.priority) ? autoBuyer.priority : [];
+    const catalogLoaded = getAllUpgrades().length > 0;
+    autoBuyer.priority = priority.filter((upgradeId, index) => {
+        if (priority.indexOf(upgradeId) !== index) return false;
+        if (!catalogLoaded) return typeof upgradeId === 'string';
+
+        const upgrade = getUpgrade(upgradeId);
+        if (!upgrade || !isAutoBuyable(upgrade)) {
+            fixes.push(`Auto-buyer entry ${formatValue(upgradeId)} can't be auto-bought; removed.`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Validates market events: known events with time left, and a sane delay until the next one
+ */
+function validateMarketEvents(state, defaults, fixes) {
+    if (!state.marketEvents || typeof state.marketEvents !== 'object') {
+        state.marketEvents = defaults;
+        return;
+    }
+
+    const marketEvents = state.marketEvents;
+    const catalogLoaded = getAllMarketEvents().length > 0;
+    for (const key of ['active', 'offers']) {
+        const entries = Array.isArray(marketEvents[key]) ? marketEvents[key] : [];
+        marketEvents[key] = entries.filter(entry => {
+            if (!entry || typeof entry.id !== 'string' || !(entry.remaining > 0) || !Number.isFinite(entry.remaining)) {
+                return false;
+            }
+            if (catalogLoaded && !getMarketEvent(entry.id)) {
+                fixes.push(`Market event ${formatValue(entry.id)} is unknown; removed.`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    const delay = marketEvents.nextEventIn;
+    if (typeof delay !== 'number' || !Number.isFinite(delay) || delay < 0 || delay > MAX_EVENT_DELAY) {
+        marketEvents.nextEventIn = defaults.nextEventIn;
+    }
+}
+
+/**
+ * Validates the running challenge and challenge completions
+ */
+function validateChallenges(state, defaults, fixes) {
+    if (!state.challenges || typeof state.challenges !== 'object') {
+        state.challenges = defaults;
+        return;
+    }
+
+    const challenges = state.challenges;
+    const active = challenges.active;
+    if (active !== null) {
+        const isKnown = active && typeof active.id === 'string'
+            && (getAllChallenges().length === 0 || getChallenge(active.id));
+        if (!isKnown) {
+            fixes.push(`Challenge ${formatValue(active && active.id)} doesn't exist; the run continues without it.`);
+            challenges.active = null;
+        } else if (typeof active.elapsed !== 'number' || !Number.isFinite(active.elapsed) || active.elapsed < 0) {
+            fixes.push(`Challenge time was ${formatValue(active.elapsed)}; restarted the clock.`);
+            active.elapsed = 0;
+        }
+    }
+
+    challenges.completed = validateAchievements(challenges.completed, fixes, getAllChallenges, getChallenge, 'Challenge');
+}
+
+/**
+ * Validates prestige depth, its permanent bonuses, prestige points and meta upgrades
+ */
+function validatePrestige(state, fixes) {
+    const defaults = createDefaultState().prestige;
+    if (!state.prestige || typeof state.prestige !== 'object') {
+        fixes.push('Prestige data was missing; reset.');
+        state.prestige = defaults;
+        return;
+    }
+
+    const prestige = state.prestige;
+    const depth = prestige.simulationDepth;
+    if (!Number.isInteger(depth) || depth < 0) {
+        const repaired = Number.isFinite(depth) ? Math.max(Math.floor(depth), 0) : 0;
+        fixes.push(`Simulation depth was ${formatValue(depth)}; set to ${repaired}.`);
+        prestige.simulationDepth = repaired;
+    }
+
+    const points = prestige.points;
+    if (!Number.isInteger(points) || points < 0) {
+        const repaired = Number.isFinite(points) ? Math.max(Math.floor(points), 0) : 0;
+        fixes.push(`Prestige points were ${formatValue(points)}; set to ${repaired}.`);
+        prestige.points = repaired;
+    }
+
+    // Same catalog-load guard as regular upgrades
+    if (getAllMetaUpgrades().length > 0) {
+        prestige.metaUpgrades = validateUpgrades(prestige.metaUpgrades, fixes, getMetaUpgrade, 'Meta upgrade');
+    } else if (!prestige.metaUpgrades || typeof prestige.metaUpgrades !== 'object') {
+        prestige.metaUpgrades = {};
+    }
+
+    if (!prestige.permanentBonuses || typeof prestige.permanentBonuses !== 'object') {
+        prestige.permanentBonuses = { ...defaults.permanentBonuses };
+    }
+
+    const bonuses = prestige.permanentBonuses;
+    if (!Number.isFinite(bonuses.productionMultiplier) || bonuses.productionMultiplier < 1) {
+        fixes.push(`Prestige production multiplier was ${formatValue(bonuses.productionMultiplier)}; reset to 1.`);
+        bonuses.productionMultiplier = 1;
+    }
+    if (!Number.isFinite(bonuses.costReduction) || bonuses.costReduction < 0 || bonuses.costReduction > MAX_PRESTIGE_COST_REDUCTION) {
+        const repaired = Number.isFinite(bonuses.costReduction)
+            ? Math.min(Math.max(bonuses.costReduction, 0), MAX_PRESTIGE_COST_REDUCTION)
+            : 0;
+        fixes.push(`Prestige cost reduction was ${formatValue(bonuses.costReduction)}; set to ${repaired}.`);
+        bonuses.costReduction = repaired;
+    }
+}
+
+/**
+ * Formats an arbitrary saved value for a fix description
+ */
+function formatValue(value) {
+    if (typeof value === 'string') return `"${value}"`;
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
@@ -0,0 +1,278 @@
+/**
+ * lint-content.js - Offline checks for the content catalogs
+ * Usage: node scripts/lint-content.js [--with-packs]
+ * Checks upgrades.json and headlines.json against stages.json and prints every problem found.
+ * Exits with status 1 if any problem is an error; warnings alone still pass.
+ * --with-packs checks the catalogs with the manifest's content packs applied.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { EFFECT_TYPES, PRODUCTION_STATS } from '../js/upgrades.js';
+import { applyContentPacks } from '../js/packs.js';
+import { setStages, getAllResources } from '../js/stages.js';
+
+const dataUrl = new URL('../js/data/', import.meta.url);
+
+// Fields every upgrade needs besides the ones checked on their own
+const REQUIRED_UPGRADE_FIELDS = ['id', 'name', 'flavorText', 'effectType', 'stage'];
+
+// Effect types that modify another bonus total, and what their "source" field names (if they have one)
+const TARGETED_EFFECT_SOURCES = {
+    multiplier: null,
+    synergy: 'upgrade',
+    resourceScaling: 'resource',
+    conversion: 'stat'
+};
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Checks the upgrade catalog against the stages and resources it refers to
+ * Returns [{ severity: 'error' | 'warning', message }]
+ */
+export function lintUpgrades(upgrades, stages, resources) {
+    const problems = [];
+    const error = (upgrade, message) => problems.push({ severity: 'error', message: `upgrade "${upgrade.id}" ${message}` });
+    const warning = (upgrade, message) => problems.push({ severity: 'warning', message: `upgrade "${upgrade.id}" ${message}` });
+
+    const stageIds = stages.map(stage => stage.id);
+    const resourceIds = resources.map(resource => resource.id);
+    const byId = new Map();
+
+    for (const upgrade of upgrades) {
+        if (byId.has(upgrade.id)) {
+            error(upgrade, 'is defined more than once');
+        } else {
+            byId.set(upgrade.id, upgrade);
+        }
+    }
+
+    for (const upgrade of upgrades) {
+        for (const field of REQUIRED_UPGRADE_FIELDS) {
+            if (upgrade[field] === undefined || upgrade[field] === null || upgrade[field] === '') {
+                error(upgrade, `is missing ${field}`);
+            }
+        }
+
+        if (upgrade.effectType && !EFFECT_TYPES.includes(upgrade.effectType)) {
+            error(upgrade, `has unknown effectType "${upgrade.effectType}"`);
+        }
+        if (!Number.isFinite(upgrade.effectValue)) {
+            error(upgrade, `has a non-numeric effectValue (${upgrade.effectValue})`);
+        }
+        if (upgrade.effectType in TARGETED_EFFECT_SOURCES) {
+            lintTargetedEffect(upgrade, byId, resourceIds, error);
+        }
+
+        if (!(upgrade.baseCost > 0)) {
+            error(upgrade, `has a non-positive baseCost (${upgrade.baseCost})`);
+        }
+        if (upgrade.costResource !== undefined && !resourceIds.includes(upgrade.costResource)) {
+            error(upgrade, `costs unknown resource "${upgrade.costResource}"`);
+        }
+        for (const { resource, baseCost } of upgrade.secondaryCosts || []) {
+            if (!resourceIds.includes(resource)) {
+                error(upgrade, `has a secondary cost in unknown resource "${resource}"`);
+            }
+            if (!(baseCost > 0)) {
+                error(upgrade, `has a non-positive secondary cost in ${resource} (${baseCost})`);
+            }
+        }
+        if (!(upgrade.costScaling >= 1)) {
+            error(upgrade, `has costScaling below 1 (${upgrade.costScaling}), so later levels get cheaper`);
+        }
+        if (!Number.isInteger(upgrade.maxPurchases) || upgrade.maxPurchases < 1) {
+            error(upgrade, `has an invalid maxPurchases (${upgrade.maxPurchases})`);
+        }
+
+        if (upgrade.stage !== undefined && !stageIds.includes(upgrade.stage)) {
+            error(upgrade, `belongs to unknown stage ${upgrade.stage}`);
+        }
+
+        if (upgrade.prerequisite) {
+            const prerequisite = byId.get(upgrade.prerequisite);
+            if (!prerequisite) {
+                error(upgrade, `requires missing upgrade "${upgrade.prerequisite}"`);
+            } else if (prerequisite.stage > upgrade.stage) {
+                error(upgrade, `requires "${prerequisite.id}" from later stage ${prerequisite.stage}, so it can't be bought in stage ${upgrade.stage}`);
+            }
+        }
+
+        if (upgrade.exclusiveGroup && !upgrades.some(other => other !== upgrade && other.exclusiveGroup === upgrade.exclusiveGroup)) {
+            warning(upgrade, `is the only option of exclusiveGroup "${upgrade.exclusiveGroup}"`);
+        }
+    }
+
+    for (const cycle of findPrerequisiteCycles(upgrades, byId)) {
+        problems.push({ severity: 'error', message: `prerequisites form a cycle: ${[...cycle, cycle[0]].join(' -> ')}` });
+    }
+
+    return problems;
+}
+
+/**
+ * Checks a multiplier, synergy, resourceScaling or conversion effect names a real target and source
+ */
+function lintTargetedEffect(upgrade, byId, resourceIds, error) {
+    if (!(upgrade.target in PRODUCTION_STATS)) {
+        error(upgrade, `has unknown ${upgrade.effectType} target "${upgrade.target}"`);
+    }
+    if (upgrade.effectType === 'multiplier' && !(upgrade.effectValue > 0)) {
+        error(upgrade, `has a non-positive multiplier (${upgrade.effectValue}), which would wipe out ${upgrade.target}`);
+    }
+
+    switch (TARGETED_EFFECT_SOURCES[upgrade.effectType]) {
+        case 'upgrade':
+            if (!byId.has(upgrade.source)) {
+                error(upgrade, `scales with missing upgrade "${upgrade.source}"`);
+            }
+            break;
+        case 'resource':
+            if (!resourceIds.includes(upgrade.source)) {
+                error(upgrade, `scales with unknown resource "${upgrade.source}"`);
+            }
+            break;
+        case 'stat':
+            if (!(upgrade.source in PRODUCTION_STATS)) {
+                error(upgrade, `converts from unknown source "${upgrade.source}"`);
+            } else if (upgrade.source === upgrade.target) {
+                error(upgrade, `converts ${upgrade.source} into itself`);
+            }
+            break;
+    }
+}
+
+/**
+ * Finds prerequisite chains that loop back on themselves, each cycle once
+ */
+function findPrerequisiteCycles(upgrades, byId) {
+    const cycles = new Map();
+
+    for (const upgrade of upgrades) {
+        const path = [];
+        let current = upgrade;
+        while (current && !path.includes(current.id)) {
+            path.push(current.id);
+            current = byId.get(current.prerequisite);
+        }
+
+        // Only report the cycle from the upgrade it starts at, not from every chain leading into it
+        if (current && current.id === upgrade.id) {
+            const key = [...path].sort().join(',');
+            if (!cycles.has(key)) {
+                cycles.set(key, path);
+            }
+        }
+    }
+    return [...cycles.values()];
+}
+
+/**
+ * Checks the headline catalog ({ stageId: [headline] }) covers every stage with real headlines
+ * Returns [{ severity: 'error' | 'warning', message }]
+ */
+export function lintHeadlines(headlines, stages) {
+    const problems = [];
+    const stageIds = stages.map(stage => String(stage.id));
+
+    for (const stageId of stageIds) {
+        const list = headlines[stageId];
+        if (!Array.isArray(list) || list.length === 0) {
+            problems.push({ severity: 'error', message: `stage ${stageId} has no headlines` });
+        }
+    }
+
+    const seen = new Set();
+    for (const [stageId, list] of Object.entries(headlines)) {
+        if (!stageIds.includes(stageId)) {
+            problems.push({ severity: 'error', message: `headlines are listed for unknown stage ${stageId}` });
+        }
+        if (!Array.isArray(list)) continue;
+
+        list.forEach((headline, index) => {
+            if (typeof headline !== 'string' || headline.trim() === '') {
+                problems.push({ severity: 'error', message: `stage ${stageId} headline #${index + 1} is empty` });
+            } else if (seen.has(headline)) {
+                problems.push({ severity: 'warning', message: `stage ${stageId} repeats the headline "${headline}"` });
+            } else {
+                seen.add(headline);
+            }
+        });
+    }
+
+    return problems;
+}
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Reads and parses a file under js/data
+ */
+function readData(path) {
+    return JSON.parse(readFileSync(new URL(path, dataUrl), 'utf8'));
+}
+
+/**
+ * Lints the catalogs on disk, prints the report and returns the exit status
+ */
+function main(args) {
+    const report = [];
+
+    let content;
+    let resources;
+    try {
+        const { stages, resources: resourceList } = readData('stages.json');
+        resources = resourceList;
+        content = {
+            upgrades: readData('upgrades.json').upgrades,
+            stages,
+            headlines: readData('headlines.json').headlines
+        };
+    } catch (error) {
+        console.error(`error: ${error.message}`);
+        return 1;
+    }
+
+    if (args.includes('--with-packs')) {
+        try {
+            const { packs: files } = readData('packs/manifest.json');
+            const packs = files.map(file => ({ file, pack: readData(`packs/${file}`) }));
+            const result = applyContentPacks(content, packs);
+            content = result.content;
+            report.push(...result.errors.map(message => ({ file: 'packs', severity: 'error', message })));
+        } catch (error) {
+            console.error(`error: packs: ${error.message}`);
+            return 1;
+        }
+    }
+
+    // Product tiers are resources too (upgrades can cost ramSticks), so build the full list the way the game does
+    setStages(content.stages, resources);
+
+    report.push(
+        ...lintUpgrades(content.upgrades, content.stages, getAllResources()).map(problem => ({ file: 'upgrades.json', ...problem })),
+        ...lintHeadlines(content.headlines, content.stages).map(problem => ({ file: 'headlines.json', ...problem }))
+    );
+
+    for (const { file, severity, message } of report) {
+        const line = `${severity}: ${file}: ${message}`;
+        if (severity === 'error') {
+            console.error(line);
+        } else {
+            console.warn(line);
+        }
+    }
+
+    const errorCount = report.filter(problem => problem.severity === 'error').length;
+    console.log(`${content.upgrades.length} upgrades, ${content.stages.length} stages checked: ${errorCount} errors, ${report.length - errorCount} warnings`);
+    return errorCount > 0 ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    process.exitCode = main(process.argv.slice(2));
+}
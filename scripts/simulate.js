@@ -0,0 +1,383 @@
+/**
+ * simulate.js - Balance simulator
+ * Usage: node scripts/simulate.js [--strategy cheapest,payback,idle] [--clicks 5] [--runs 2] [--depth 0]
+ *                                 [--max-hours 12] [--step 1] [--seed 1] [--csv]
+ * Plays the real engine (production bonuses, upgrade costs, sell prices, stage thresholds, market events)
+ * under each purchase strategy and reports how long every stage and prestige took, run after run.
+ *
+ * Strategies:
+ *   cheapest - buys whatever costs the smallest share of what the player holds, as soon as it can
+ *   payback  - saves for the dollar upgrade that repays its cost fastest; buys cheap utility upgrades on the side
+ *   idle     - payback purchases, but stops clicking once anything produces passively
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createEngine, calculatePrestigeBonuses } from '../js/engine.js';
+import { createDefaultState } from '../js/save.js';
+import { setStages, getTotalStages, getStage, getTierYield, calculateSellPrice } from '../js/stages.js';
+import { setUpgrades, getAllUpgrades, calculateProductionBonuses } from '../js/upgrades.js';
+import { setMetaUpgrades } from '../js/meta.js';
+import { setAchievements } from '../js/achievements.js';
+import { setMarketEvents } from '../js/market.js';
+import { setChallenges } from '../js/challenges.js';
+import { ZERO, divide, toNumber, isZero } from '../js/bignum.js';
+
+const dataUrl = new URL('../js/data/', import.meta.url);
+
+export const STRATEGIES = ['cheapest', 'payback', 'idle'];
+
+// The upgrade that unlocks prestige; buying it ends a run
+const PRESTIGE_UPGRADE_ID = 'universal_simulation';
+
+// The payback strategy buys upgrades that add no income once each cost is at most this share of holdings
+const UTILITY_BUDGET = 0.25;
+
+// Never buy more than this many upgrades in one step, so a runaway strategy can't stall the simulation
+const MAX_PURCHASES_PER_STEP = 100;
+
+const DEFAULT_OPTIONS = {
+    strategies: STRATEGIES,
+    clicksPerSecond: 5,
+    runs: 2,
+    depth: 0,
+    maxHours: 12,
+    step: 1,
+    seed: 1,
+    csv: false
+};
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+/**
+ * Loads every catalog the engine needs from js/data
+ */
+export function loadCatalogs() {
+    const read = (path) => JSON.parse(readFileSync(new URL(path, dataUrl), 'utf8'));
+    const { stages, resources } = read('stages.json');
+
+    setStages(stages, resources);
+    setUpgrades(read('upgrades.json').upgrades);
+    setMetaUpgrades(read('meta-upgrades.json').metaUpgrades);
+    setAchievements(read('achievements.json').achievements);
+    setMarketEvents(read('market-events.json').events);
+    setChallenges(read('challenges.json').challenges);
+}
+
+/**
+ * Creates a seeded Math.random replacement (mulberry32), so simulations are repeatable
+ */
+export function createRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Estimates the dollars per second a set of upgrade bonuses earns at a stage
+ * Shared multipliers (prestige, achievements, market events) are left out: they scale every option alike
+ */
+function estimateIncome(bonuses, stageId, clicksPerSecond) {
+    // Lower tiers' output ends up as the stage's product once assembled
+    const passiveProduct = Object.entries(bonuses.passiveProductByTier)
+        .reduce((total, [tier, rate]) => total + rate * getTierYield(Number(tier), stageId), 0);
+    const productPerSecond = passiveProduct + clicksPerSecond * bonuses.clickPower;
+    const saleValue = toNumber(calculateSellPrice(stageId, bonuses.sellPriceMultiplier, 1)) / getStage(stageId).productPerSale;
+    return productPerSecond * saleValue + bonuses.passiveDollars;
+}
+
+/**
+ * Gets the largest share of the player's holdings any one cost of a purchase takes (Infinity if nothing is held)
+ */
+function costShare(costs, resources) {
+    return Math.max(...costs.map(({ resource, amount }) => {
+        if (isZero(amount)) return 0;
+        const held = resources[resource] || ZERO;
+        return isZero(held) ? Infinity : toNumber(divide(amount, held));
+    }));
+}
+
+/**
+ * Lists upgrades the player could buy if they had the money: visible, not maxed, locked or excluded
+ * Each entry is { upgrade, check } with the engine's purchase check for one level
+ */
+function listCandidates(engine) {
+    const state = engine.getState();
+    return getAllUpgrades()
+        .filter(upgrade => upgrade.stage <= state.currentStage)
+        .map(upgrade => ({ upgrade, check: engine.checkPurchase(upgrade.id) }))
+        .filter(({ check }) => check.canPurchase || check.reason === 'insufficient');
+}
+
+/**
+ * Picks the next upgrade to buy, or null to wait
+ */
+function pickPurchase(engine, strategy, clicksPerSecond) {
+    const state = engine.getState();
+    const candidates = listCandidates(engine);
+    const affordable = candidates.filter(({ check }) => check.canPurchase);
+
+    const prestigeUpgrade = affordable.find(({ upgrade }) => upgrade.id === PRESTIGE_UPGRADE_ID);
+    if (prestigeUpgrade) return prestigeUpgrade.upgrade;
+
+    if (strategy === 'cheapest') {
+        let best = null;
+        for (const candidate of affordable) {
+            const share = costShare(candidate.check.costs, state.resources);
+            if (!best || share < best.share) {
+                best = { upgrade: candidate.upgrade, share };
+            }
+        }
+        return best ? best.upgrade : null;
+    }
+
+    // payback and idle: rank dollar-only upgrades by how fast their extra income repays them
+    const meta = state.prestige.metaUpgrades;
+    const currentBonuses = calculateProductionBonuses(state.upgrades, meta, {}, state.resources);
+    const currentIncome = estimateIncome(currentBonuses, state.currentStage, clicksPerSecond);
+
+    let target = null;
+    for (const candidate of candidates) {
+        const { upgrade, check } = candidate;
+        const dollarsOnly = check.costs.every(({ resource }) => resource === 'dollars');
+        const nextBonuses = calculateProductionBonuses({ ...state.upgrades, [upgrade.id]: (state.upgrades[upgrade.id] || 0) + 1 }, meta, {}, state.resources);
+        const gain = estimateIncome(nextBonuses, state.currentStage, clicksPerSecond) - currentIncome;
+
+        if (dollarsOnly && gain > 0) {
+            const payback = toNumber(check.cost) / gain;
+            if (!target || payback < target.payback) {
+                target = { ...candidate, payback };
+            }
+        } else if (check.canPurchase && costShare(check.costs, state.resources) <= UTILITY_BUDGET) {
+            // Cost reduction, compute, intelligence, consciousness and mixed-cost upgrades: buy when cheap
+            return upgrade;
+        }
+    }
+
+    return target && target.check.canPurchase ? target.upgrade : null;
+}
+
+/**
+ * Plays consecutive runs with one strategy, each prestiging into the next
+ * options: { strategy, clicksPerSecond, runs, depth, maxHours, step, seed }
+ * Returns one entry per run: { run, depth, stageTimes: { stageId: seconds }, prestigeTime, clicks, purchases }
+ * (prestigeTime is null, and later runs are skipped, if a run hits maxHours first)
+ */
+export function simulate(options) {
+    const { strategy, clicksPerSecond, runs, depth, maxHours, step, seed } = { ...DEFAULT_OPTIONS, ...options };
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+
+    const initialState = createDefaultState();
+    initialState.prestige.simulationDepth = depth;
+    initialState.prestige.permanentBonuses = calculatePrestigeBonuses(depth);
+    initialState.statistics.prestigeCount = depth > 0 ? 1 : 0;
+
+    const engine = createEngine(initialState, { random: createRandom(seed) });
+    const maxSeconds = maxHours * 3600;
+    const results = [];
+
+    for (let run = 1; run <= runs; run++) {
+        const result = {
+            run,
+            depth: engine.getState().prestige.simulationDepth,
+            stageTimes: { [engine.getState().currentStage]: 0 },
+            prestigeTime: null,
+            clicks: 0,
+            purchases: 0
+        };
+        let elapsed = 0;
+        let pendingClicks = 0;
+
+        while (elapsed < maxSeconds && result.prestigeTime === null) {
+            const rates = engine.getRates();
+            const idling = strategy === 'idle' && (rates.productPerSecond > 0 || rates.dollarsPerSecond > 0);
+
+            if (!idling) {
+                pendingClicks += clicksPerSecond * step;
+                for (; pendingClicks >= 1; pendingClicks--) {
+                    engine.click();
+                    result.clicks++;
+                }
+            }
+
+            for (let bought = 0; bought < MAX_PURCHASES_PER_STEP; bought++) {
+                const upgrade = pickPurchase(engine, strategy, idling ? 0 : clicksPerSecond);
+                if (!upgrade || !engine.purchaseUpgrade(upgrade.id).success) break;
+                result.purchases++;
+
+                if (upgrade.id === PRESTIGE_UPGRADE_ID) {
+                    result.prestigeTime = elapsed;
+                    break;
+                }
+            }
+            if (result.prestigeTime !== null) break;
+
+            engine.tick(step);
+            elapsed += step;
+            const { currentStage } = engine.getState();
+            if (result.stageTimes[currentStage] === undefined) {
+                result.stageTimes[currentStage] = elapsed;
+            }
+        }
+
+        results.push(result);
+        if (result.prestigeTime === null) break;
+        engine.prestige();
+    }
+
+    return results;
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Formats seconds as h:mm:ss, or '-' if the time was never reached
+ */
+export function formatTime(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Turns simulation results into report rows
+ * rows: [{ strategy, results }]; each run's prestige time is compared with the strategy's first run
+ */
+function buildRows(reports) {
+    const stageIds = Array.from({ length: getTotalStages() - 1 }, (_, index) => index + 2);
+    const header = ['strategy', 'run', 'depth', ...stageIds.map(id => `stage ${id}`), 'prestige', 'vs run 1', 'clicks', 'purchases'];
+
+    const rows = [];
+    for (const { strategy, results } of reports) {
+        const firstPrestige = results[0].prestigeTime;
+        for (const result of results) {
+            const speedup = firstPrestige && result.prestigeTime !== null && result.run > 1
+                ? `${Math.round((1 - result.prestigeTime / firstPrestige) * 100)}% faster`
+                : '';
+            rows.push({
+                strategy,
+                run: result.run,
+                depth: result.depth,
+                stageTimes: stageIds.map(id => result.stageTimes[id] ?? null),
+                prestigeTime: result.prestigeTime,
+                speedup,
+                clicks: result.clicks,
+                purchases: result.purchases
+            });
+        }
+    }
+    return { header, rows };
+}
+
+/**
+ * Formats the results as an aligned text table, times as h:mm:ss
+ */
+export function formatTable(reports) {
+    const { header, rows } = buildRows(reports);
+    const lines = [header, ...rows.map(row => [
+        row.strategy,
+        String(row.run),
+        String(row.depth),
+        ...row.stageTimes.map(formatTime),
+        formatTime(row.prestigeTime),
+        row.speedup,
+        String(row.clicks),
+        String(row.purchases)
+    ])];
+
+    const widths = header.map((_, column) => Math.max(...lines.map(line => line[column].length)));
+    const formatLine = line => line.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    return [formatLine(lines[0]), widths.map(width => '-'.repeat(width)).join('  '), ...lines.slice(1).map(formatLine)].join('\n');
+}
+
+/**
+ * Formats the results as CSV, times in whole seconds (empty if never reached)
+ */
+export function formatCsv(reports) {
+    const { header, rows } = buildRows(reports);
+    const seconds = value => value === null ? '' : String(Math.round(value));
+    return [header, ...rows.map(row => [
+        row.strategy,
+        row.run,
+        row.depth,
+        ...row.stageTimes.map(seconds),
+        seconds(row.prestigeTime),
+        row.speedup,
+        row.clicks,
+        row.purchases
+    ])].map(line => line.join(',')).join('\n');
+}
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Parses command-line flags into simulation options
+ */
+export function parseArgs(args) {
+    const options = { ...DEFAULT_OPTIONS };
+    const numberFlags = { '--clicks': 'clicksPerSecond', '--runs': 'runs', '--depth': 'depth', '--max-hours': 'maxHours', '--step': 'step', '--seed': 'seed' };
+
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i];
+        if (flag === '--csv') {
+            options.csv = true;
+        } else if (flag === '--strategy') {
+            options.strategies = String(args[++i]).split(',');
+        } else if (numberFlags[flag]) {
+            const value = Number(args[++i]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`${flag} needs a non-negative number`);
+            }
+            options[numberFlags[flag]] = value;
+        } else {
+            throw new Error(`Unknown option "${flag}"`);
+        }
+    }
+
+    if (options.step <= 0 || options.runs < 1) {
+        throw new Error('--step must be positive and --runs at least 1');
+    }
+    return options;
+}
+
+/**
+ * Runs the simulator from the command line and returns the exit status
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+        for (const strategy of options.strategies) {
+            if (!STRATEGIES.includes(strategy)) throw new Error(`Unknown strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+        }
+    } catch (error) {
+        console.error(`error: ${error.message}`);
+        return 1;
+    }
+
+    loadCatalogs();
+    const reports = options.strategies.map(strategy => ({ strategy, results: simulate({ ...options, strategy }) }));
+
+    console.log(options.csv ? formatCsv(reports) : formatTable(reports));
+    return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,83 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isConditionMet,
+    findNewAchievements,
+    calculateAchievementMultiplier
+} from '../js/achievements.js';
+import { fromParts } from '../js/bignum.js';
+import { loadStageCatalog, loadUpgradeCatalog, loadAchievementCatalog, createState } from './fixtures.js';
+
+let upgrades;
+
+before(() => {
+    loadStageCatalog();
+    upgrades = loadUpgradeCatalog();
+    loadAchievementCatalog();
+});
+
+/**
+ * Buys every level of every upgrade of a stage
+ */
+function maxOutStage(stageId) {
+    return Object.fromEntries(
+        upgrades.filter(upgrade => upgrade.stage === stageId).map(upgrade => [upgrade.id, upgrade.maxPurchases])
+    );
+}
+
+describe('isConditionMet', () => {
+    test('compares statistics and resources against inclusive bounds', () => {
+        const state = createState({ resources: { dollars: 50 }, statistics: { totalClicks: 10 } });
+
+        assert.equal(isConditionMet({ type: 'statistic', key: 'totalClicks', min: 10 }, state), true);
+        assert.equal(isConditionMet({ type: 'statistic', key: 'totalClicks', max: 9 }, state), false);
+        assert.equal(isConditionMet({ type: 'resource', key: 'dollars', min: 10, max: 50 }, state), true);
+        assert.equal(isConditionMet({ type: 'statistic', key: 'notAStatistic', min: 0 }, state), false);
+    });
+
+    test('handles big statistics', () => {
+        const state = createState({ statistics: { totalEarned: fromParts(1, 400) } });
+        assert.equal(isConditionMet({ type: 'statistic', key: 'totalEarned', min: 1e300 }, state), true);
+    });
+
+    test('requires every upgrade of the stage at its maximum', () => {
+        const maxed = maxOutStage(1);
+        assert.equal(isConditionMet({ type: 'upgradesMaxed', stage: 1 }, createState({ upgrades: maxed })), true);
+
+        const almost = { ...maxed, hire_nephew: maxed.hire_nephew - 1 };
+        assert.equal(isConditionMet({ type: 'upgradesMaxed', stage: 1 }, createState({ upgrades: almost })), false);
+    });
+
+    test('combines nested conditions and rejects unknown types', () => {
+        const condition = {
+            type: 'all',
+            conditions: [
+                { type: 'stage', min: 4 },
+                { type: 'statistic', key: 'totalClicks', max: 0 }
+            ]
+        };
+
+        assert.equal(isConditionMet(condition, createState({ currentStage: 4 })), true);
+        assert.equal(isConditionMet(condition, createState({ currentStage: 4, statistics: { totalClicks: 1 } })), false);
+        assert.equal(isConditionMet({ type: 'moonPhase' }, createState()), false);
+    });
+});
+
+describe('findNewAchievements', () => {
+    test('skips unlocked achievements and ones for another trigger', () => {
+        const state = createState({
+            currentStage: 6,
+            statistics: { totalEarned: 2e6, runTime: 60 },
+            achievements: { first_million: 1 }
+        });
+
+        assert.deepEqual(findNewAchievements(state).map(achievement => achievement.id), ['hands_off', 'singularity_reached']);
+        assert.deepEqual(findNewAchievements(state, 'prestige').map(achievement => achievement.id), ['speedrun']);
+    });
+
+    test('adds each unlocked bonus to the production multiplier', () => {
+        assert.equal(calculateAchievementMultiplier({}), 1);
+        assert.ok(Math.abs(calculateAchievementMultiplier({ first_million: 1, hands_off: 1, removed: 1 }) - 1.07) < 1e-12);
+    });
+});
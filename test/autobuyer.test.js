@@ -0,0 +1,66 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isAutoBuyerUnlocked,
+    isAutoBuyable,
+    clampReservePercent,
+    toggleAutoBuyUpgrade,
+    moveAutoBuyUpgrade,
+    keepsCashReserve
+} from '../js/autobuyer.js';
+import { fromNumber } from '../js/bignum.js';
+import { loadStageCatalog, createState } from './fixtures.js';
+
+before(() => {
+    loadStageCatalog();
+});
+
+describe('auto-buyer settings', () => {
+    test('unlocks after the first prestige and leaves prestige upgrades alone', () => {
+        assert.equal(isAutoBuyerUnlocked(createState()), false);
+        assert.equal(isAutoBuyerUnlocked(createState({ prestige: { simulationDepth: 1 } })), true);
+
+        assert.equal(isAutoBuyable({ effectType: 'passiveProduct' }), true);
+        assert.equal(isAutoBuyable({ effectType: 'unlockPrestige' }), false);
+    });
+
+    test('clamps the reserve to a whole percentage', () => {
+        assert.equal(clampReservePercent('42.6'), 43);
+        assert.equal(clampReservePercent(-5), 0);
+        assert.equal(clampReservePercent(250), 100);
+        assert.equal(clampReservePercent('lots'), 0);
+    });
+
+    test('toggles upgrades in at the lowest priority and back out', () => {
+        const autoBuyer = { enabled: true, reservePercent: 0, priority: ['a'] };
+
+        const added = toggleAutoBuyUpgrade(autoBuyer, 'b');
+        assert.deepEqual(added.priority, ['a', 'b']);
+        assert.deepEqual(toggleAutoBuyUpgrade(added, 'a').priority, ['b']);
+        assert.deepEqual(autoBuyer.priority, ['a']);
+    });
+
+    test('moves upgrades within the priority order', () => {
+        const autoBuyer = { enabled: true, reservePercent: 0, priority: ['a', 'b', 'c'] };
+
+        assert.deepEqual(moveAutoBuyUpgrade(autoBuyer, 'c', -1).priority, ['a', 'c', 'b']);
+        assert.deepEqual(moveAutoBuyUpgrade(autoBuyer, 'a', 2).priority, ['b', 'c', 'a']);
+        assert.equal(moveAutoBuyUpgrade(autoBuyer, 'a', -1), autoBuyer);
+        assert.equal(moveAutoBuyUpgrade(autoBuyer, 'missing', 1), autoBuyer);
+    });
+});
+
+describe('keepsCashReserve', () => {
+    const resources = { dollars: fromNumber(1000) };
+
+    test('allows spending down to the reserve and no further', () => {
+        assert.equal(keepsCashReserve(resources, [{ resource: 'dollars', amount: fromNumber(750) }], 25), true);
+        assert.equal(keepsCashReserve(resources, [{ resource: 'dollars', amount: fromNumber(751) }], 25), false);
+    });
+
+    test('ignores costs without dollars and a zero reserve', () => {
+        assert.equal(keepsCashReserve(resources, [{ resource: 'computeUnits', amount: fromNumber(1e9) }], 90), true);
+        assert.equal(keepsCashReserve(resources, [{ resource: 'dollars', amount: fromNumber(1000) }], 0), true);
+    });
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ZERO,
+    isBigNum,
+    fromParts,
+    fromNumber,
+    toNumber,
+    add,
+    subtract,
+    multiply,
+    divide,
+    power,
+    floor,
+    compare,
+    gte,
+    lt,
+    max
+} from '../js/bignum.js';
+
+describe('bignum conversion', () => {
+    test('normalizes the mantissa into [1, 10)', () => {
+        assert.deepEqual(fromNumber(2500), { mantissa: 2.5, exponent: 3 });
+        assert.deepEqual(fromNumber(0.05), { mantissa: 5, exponent: -2 });
+        assert.deepEqual(fromParts(250, 10), { mantissa: 2.5, exponent: 12 });
+        assert.deepEqual(fromNumber(-40), { mantissa: -4, exponent: 1 });
+        assert.deepEqual(fromNumber(0), ZERO);
+    });
+
+    test('round-trips whole numbers exactly', () => {
+        for (const value of [1, 7, 1234, 99999, 4000000007, 123456789012345]) {
+            assert.equal(toNumber(fromNumber(value)), value);
+        }
+    });
+
+    test('survives JSON', () => {
+        const value = multiply(fromNumber(1e300), 1e300);
+        const restored = JSON.parse(JSON.stringify(value));
+
+        assert.equal(isBigNum(restored), true);
+        assert.equal(compare(restored, value), 0);
+    });
+
+    test('rejects malformed values', () => {
+        assert.equal(isBigNum(5), false);
+        assert.equal(isBigNum(null), false);
+        assert.equal(isBigNum({ mantissa: NaN, exponent: 0 }), false);
+        assert.equal(isBigNum({ mantissa: 1, exponent: 0.5 }), false);
+    });
+});
+
+describe('bignum arithmetic', () => {
+    test('matches plain numbers in the double range', () => {
+        assert.equal(toNumber(add(1234, 5)), 1239);
+        assert.equal(toNumber(subtract(4e9 + 7, 4e9)), 7);
+        assert.equal(toNumber(multiply(16, 125)), 2000);
+        assert.equal(toNumber(divide(125, 10)), 12.5);
+        assert.equal(toNumber(subtract(5, 8)), -3);
+    });
+
+    test('goes past the double range without overflowing', () => {
+        const huge = multiply(fromNumber(1e200), fromNumber(1e200));
+
+        assert.deepEqual(huge, { mantissa: 1, exponent: 400 });
+        assert.equal(toNumber(huge), Infinity);
+        assert.deepEqual(divide(huge, 1e200), { mantissa: 1, exponent: 200 });
+    });
+
+    test('ignores additions too small to register', () => {
+        const huge = fromParts(1, 400);
+        assert.deepEqual(add(huge, 1e6), huge);
+    });
+
+    test('raises to large powers in log space', () => {
+        const result = power(1.15, 10000);
+        assert.equal(result.exponent, Math.floor(10000 * Math.log10(1.15)));
+        assert.ok(Math.abs(result.mantissa - Math.pow(10, 10000 * Math.log10(1.15) % 1)) < 1e-6);
+    });
+
+    test('floors in the double range and leaves huge values alone', () => {
+        assert.equal(toNumber(floor(16.25)), 16);
+        assert.equal(toNumber(floor(-0.5)), -1);
+        // 90% off $50 is exactly $5, not 4.999...
+        assert.equal(toNumber(floor(multiply(50, 1 - 0.9))), 5);
+
+        const huge = fromParts(1.23456, 40);
+        assert.deepEqual(floor(huge), huge);
+    });
+});
+
+describe('bignum comparison', () => {
+    test('orders by sign, exponent then mantissa', () => {
+        assert.equal(compare(fromParts(1, 400), fromParts(9, 399)), 1);
+        assert.equal(compare(fromParts(-1, 400), 5), -1);
+        assert.equal(compare(3, 3), 0);
+        assert.equal(compare(ZERO, -1), 1);
+        assert.equal(compare(0.001, ZERO), 1);
+    });
+
+    test('treats mantissa rounding noise as equal', () => {
+        const accumulated = [0.1, 0.2, 0.3, 0.4].reduce((sum, value) => add(sum, value), ZERO);
+        assert.equal(gte(accumulated, 1), true);
+        assert.equal(lt(accumulated, 1), false);
+    });
+
+    test('picks the larger value', () => {
+        assert.deepEqual(max(fromNumber(-2), ZERO), ZERO);
+        assert.deepEqual(max(2, 1), fromNumber(2));
+    });
+});
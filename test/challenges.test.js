@@ -0,0 +1,82 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getChallenge,
+    getChallengeRestrictions,
+    judgeChallenge,
+    calculateChallengeRewards,
+    getChallengeRestrictionDescription,
+    getChallengeHeadStartDescription,
+    getChallengeRewardDescription
+} from '../js/challenges.js';
+import { getTotalStages } from '../js/stages.js';
+import { getUpgrade } from '../js/upgrades.js';
+import { loadStageCatalog, loadUpgradeCatalog, loadChallengeCatalog, createState } from './fixtures.js';
+
+let challenges;
+
+before(() => {
+    loadStageCatalog();
+    loadUpgradeCatalog();
+    challenges = loadChallengeCatalog();
+});
+
+describe('challenge catalog', () => {
+    test('goals are reachable stages and rewards are known types', () => {
+        for (const challenge of challenges) {
+            assert.ok(challenge.goalStage > 1 && challenge.goalStage <= getTotalStages(), challenge.id);
+            assert.ok(['productionBonus', 'clickMultiplier', 'costReduction'].includes(challenge.reward.type), challenge.id);
+            assert.notEqual(getChallengeRestrictionDescription(challenge), '', challenge.id);
+        }
+    });
+
+    test('head starts fall short of the goal and grant known upgrades', () => {
+        for (const { id, headStart, goalStage } of challenges) {
+            if (!headStart) continue;
+            assert.ok(headStart.stage === undefined || (headStart.stage > 1 && headStart.stage < goalStage), id);
+            for (const upgradeId of Object.keys(headStart.upgrades || {})) {
+                assert.ok(getUpgrade(upgradeId), `${id}: ${upgradeId}`);
+            }
+        }
+    });
+});
+
+describe('challenge rules', () => {
+    test('only the running challenge restricts the run', () => {
+        assert.deepEqual(getChallengeRestrictions(createState()), {});
+
+        const state = createState({ challenges: { active: { id: 'hands_tied', elapsed: 0 }, completed: {} } });
+        assert.deepEqual(getChallengeRestrictions(state), { noClicking: true });
+
+        const removed = createState({ challenges: { active: { id: 'removed', elapsed: 0 }, completed: {} } });
+        assert.deepEqual(getChallengeRestrictions(removed), {});
+    });
+
+    test('complete at the goal stage and fail when time runs out', () => {
+        const timed = getChallenge('half_hour_empire');
+        assert.equal(judgeChallenge(timed, 2, 1799), null);
+        assert.equal(judgeChallenge(timed, 2, 1800), 'failed');
+        assert.equal(judgeChallenge(timed, 3, 1800), 'completed');
+
+        assert.equal(judgeChallenge(getChallenge('hands_tied'), 2, 1e9), null);
+    });
+
+    test('add up the rewards of completed challenges', () => {
+        assert.deepEqual(calculateChallengeRewards({}), { productionMultiplier: 1, clickMultiplier: 1, costReduction: 0 });
+
+        const rewards = calculateChallengeRewards({ hands_tied: 1, skip_the_garage: 1, half_hour_empire: 1, full_retail: 1 });
+        assert.ok(Math.abs(rewards.productionMultiplier - 1.25) < 1e-12);
+        assert.equal(rewards.clickMultiplier, 2);
+        assert.equal(rewards.costReduction, 0.05);
+    });
+
+    test('describe restrictions and rewards', () => {
+        assert.equal(getChallengeRestrictionDescription(getChallenge('skip_the_garage')), 'Stage 1 upgrades disabled');
+        assert.equal(getChallengeRestrictionDescription(getChallenge('half_hour_empire')), '30 minute time limit');
+        assert.equal(getChallengeRewardDescription(getChallenge('full_retail')), '-5% upgrade costs');
+        assert.equal(getChallengeHeadStartDescription(getChallenge('hands_tied'), getUpgrade), '1 free level of Hire Your Nephew');
+        assert.equal(getChallengeHeadStartDescription(getChallenge('skip_the_garage'), getUpgrade), 'begin at Stage 2');
+        assert.equal(getChallengeHeadStartDescription(getChallenge('full_retail'), getUpgrade), '');
+    });
+});
@@ -0,0 +1,707 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createEngine,
+    calculatePrestigeBonuses,
+    calculatePrestigeReward,
+    PRESTIGE_PRODUCTION_BONUS,
+    PRESTIGE_COST_REDUCTION,
+    MAX_PRESTIGE_COST_REDUCTION
+} from '../js/engine.js';
+import { fromNumber, toNumber } from '../js/bignum.js';
+import {
+    loadStageCatalog,
+    loadUpgradeCatalog,
+    loadMetaUpgradeCatalog,
+    loadAchievementCatalog,
+    loadMarketEventCatalog,
+    loadChallengeCatalog,
+    catalogUpgrade,
+    maxOutEffectType,
+    createState
+} from './fixtures.js';
+
+let upgrades;
+
+before(() => {
+    loadStageCatalog();
+    upgrades = loadUpgradeCatalog();
+    loadMetaUpgradeCatalog();
+    loadAchievementCatalog();
+    loadMarketEventCatalog();
+    loadChallengeCatalog();
+});
+
+describe('engine economy', () => {
+    test('clicks add click power times the prestige multiplier', () => {
+        const engine = createEngine(createState({ prestige: { simulationDepth: 2 } }));
+        engine.click();
+
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 1 + 2 * PRESTIGE_PRODUCTION_BONUS);
+        assert.equal(engine.getState().statistics.totalClicks, 1);
+    });
+
+    test('purchases deduct the reduced cost and update rates', () => {
+        const engine = createEngine(createState({ resources: { dollars: 100 } }));
+        const result = engine.purchaseUpgrade('hire_nephew');
+
+        assert.equal(result.success, true);
+        assert.equal(toNumber(result.cost), 50);
+        assert.equal(toNumber(engine.getState().resources.dollars), 50);
+        assert.equal(engine.getRates().productPerSecond, 0.5);
+        assert.equal(engine.purchaseUpgrade('hire_nephew').reason, 'insufficient');
+    });
+
+    test('bulk purchases pay the whole series and record every level', () => {
+        const engine = createEngine(createState({ resources: { dollars: 1000 } }));
+        const result = engine.purchaseUpgrade('better_soldering_iron', 10);
+
+        assert.equal(result.success, true);
+        assert.equal(result.quantity, 10);
+        assert.equal(engine.getState().upgrades.better_soldering_iron, 10);
+        assert.equal(toNumber(engine.getState().resources.dollars), 1000 - toNumber(result.cost));
+        assert.equal(engine.getBonuses().clickPower, 11);
+    });
+
+    test('buy-max spends as much as it can and fails when nothing is affordable', () => {
+        const engine = createEngine(createState({ resources: { dollars: 1000 } }));
+        const result = engine.purchaseUpgrade('hire_nephew', 'max');
+
+        assert.equal(result.success, true);
+        assert.equal(engine.checkPurchase('hire_nephew', 1).canPurchase, false);
+        assert.equal(engine.purchaseUpgrade('hire_nephew', 'max').reason, 'insufficient');
+        assert.equal(engine.getState().upgrades.hire_nephew, result.quantity);
+    });
+
+    test('purchases pay every resource of a mixed cost', () => {
+        const farm = catalogUpgrade(upgrades, 'server_farm');
+        const engine = createEngine(createState({
+            currentStage: 4,
+            resources: { dollars: 1e9, computeUnits: 5000 }
+        }));
+
+        const result = engine.purchaseUpgrade('server_farm');
+        assert.equal(result.success, true);
+        assert.equal(result.costs.length, 2);
+
+        const { resources } = engine.getState();
+        assert.equal(toNumber(resources.dollars), 1e9 - farm.baseCost);
+        assert.equal(toNumber(resources.computeUnits), 5000 - farm.secondaryCosts[0].baseCost);
+    });
+
+    test('buying one side of a choice locks out the other until prestige', () => {
+        const engine = createEngine(createState({ currentStage: 2, resources: { dollars: 1e6 } }));
+
+        assert.equal(engine.purchaseUpgrade('crowdfunding_campaign').success, true);
+        assert.equal(engine.purchaseUpgrade('white_label_deal').reason, 'excluded');
+        assert.equal(engine.getState().upgrades.white_label_deal, undefined);
+
+        engine.prestige();
+        assert.equal(engine.checkPurchase('white_label_deal').reason, 'insufficient');
+    });
+
+    test('holdings-scaled bonuses follow the resources each tick', () => {
+        const engine = createEngine(createState({
+            currentStage: 4,
+            upgrades: { user_data_monetization: 1, compute_backed_securities: 1 },
+            resources: { computeUnits: 10 }
+        }));
+        const base = catalogUpgrade(upgrades, 'user_data_monetization').effectValue;
+        assert.equal(engine.getBonuses().passiveDollars, base * 1.1);
+
+        engine.getState().resources.computeUnits = fromNumber(1e4);
+        engine.tick(0.1);
+        assert.ok(Math.abs(engine.getBonuses().passiveDollars - base * 1.4) < 1e-6);
+    });
+
+    test('each product tier has its own producers, and clicks make the current stage\'s', () => {
+        const engine = createEngine(createState({ currentStage: 2, upgrades: { hire_nephew: 2, assembly_line: 1 } }));
+        const rates = engine.getRates();
+
+        assert.equal(rates.ramSticksPerSecond, 1);
+        assert.equal(rates.ramModulesPerSecond, 10);
+        assert.equal(rates.productPerSecond, 11);
+
+        engine.click();
+        assert.equal(toNumber(engine.getState().resources.ramModules), 1);
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 0);
+    });
+
+    test('assembles lower tiers up to the current stage\'s product before selling', () => {
+        const engine = createEngine(createState({ currentStage: 3, resources: { ramSticks: 9, ramModules: 3 } }));
+        engine.tick(0);
+
+        // 9 sticks make 4 modules, and those 7 modules make 3 arrays, one short of a sale
+        const { resources } = engine.getState();
+        assert.equal(toNumber(resources.ramSticks), 1);
+        assert.equal(toNumber(resources.ramModules), 1);
+        assert.equal(toNumber(resources.memoryArrays), 3);
+        assert.equal(toNumber(resources.dollars), 0);
+    });
+
+    test('leftover product is assembled into the next stage\'s, not relabeled', () => {
+        const engine = createEngine(createState({ resources: { ramSticks: 9 }, statistics: { totalEarned: 5000 } }));
+        engine.tick(0);
+        assert.equal(engine.getState().currentStage, 2);
+
+        engine.tick(0);
+        assert.equal(toNumber(engine.getState().resources.ramModules), 4);
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 1);
+    });
+
+    test('ticks sell product and advance stages', () => {
+        const engine = createEngine(createState({ resources: { ramSticks: 25 }, statistics: { totalEarned: 4999 } }));
+        engine.tick(0.1);
+
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 5);
+        assert.equal(toNumber(engine.getState().resources.dollars), 2);
+        assert.equal(engine.getState().currentStage, 2);
+    });
+
+    test('sells a huge product pile in a single tick', () => {
+        const engine = createEngine(createState({ currentStage: 6, resources: { simulatedMinds: 4e9 + 7 } }));
+        engine.tick(0.1);
+
+        const state = engine.getState();
+        assert.equal(toNumber(state.resources.simulatedMinds), 7);
+        assert.equal(toNumber(state.resources.dollars), 4e8 * 100000);
+        assert.equal(toNumber(state.statistics.totalEarned), 4e8 * 100000);
+    });
+
+    test('counts consciousness produced this run, whatever is spent', () => {
+        const engine = createEngine(createState({ currentStage: 6, upgrades: { consciousness_upload: 1 } }));
+        const firstRate = engine.getRates().consciousnessPerSecond;
+        engine.tick(10);
+        engine.getState().resources.consciousnessCycles = fromNumber(0);
+        const secondRate = engine.getRates().consciousnessPerSecond;
+        engine.tick(10);
+
+        assert.ok(firstRate > 0);
+        assert.equal(toNumber(engine.getState().statistics.consciousnessProduced), (firstRate + secondRate) * 10);
+    });
+
+    test('caps combined upgrade and prestige cost reduction at 90%', () => {
+        const engine = createEngine(createState({
+            upgrades: maxOutEffectType(upgrades, 'costReduction'),
+            prestige: {
+                simulationDepth: 20,
+                permanentBonuses: { productionMultiplier: 6, costReduction: MAX_PRESTIGE_COST_REDUCTION }
+            }
+        }));
+        assert.equal(engine.getBonuses().costReduction, 0.9);
+
+        const nephew = catalogUpgrade(upgrades, 'hire_nephew');
+        engine.getState().resources.dollars = fromNumber(1e6);
+        // 90% off $50 is exactly $5 (plain doubles used to floor 4.999... down to $4)
+        assert.equal(toNumber(engine.purchaseUpgrade('hire_nephew').cost), nephew.baseCost / 10);
+    });
+});
+
+describe('calculatePrestigeReward', () => {
+    test('pays 1 depth for finishing a run', () => {
+        const reward = calculatePrestigeReward(createState({ statistics: { totalEarned: 1e14 } }));
+
+        assert.equal(reward.depthGained, 1);
+        assert.deepEqual(reward.sources, { completion: 1, earnings: 0, consciousness: 0 });
+        assert.equal(toNumber(reward.nextTargets.earnings), 1e15);
+        assert.equal(toNumber(reward.nextTargets.consciousness), 1e5);
+    });
+
+    test('pays 1 more per 10x of earnings and consciousness produced', () => {
+        const reward = calculatePrestigeReward(createState({
+            statistics: { totalEarned: 3e17, consciousnessProduced: 2.5e6 }
+        }));
+
+        assert.deepEqual(reward.sources, { completion: 1, earnings: 3, consciousness: 2 });
+        assert.equal(reward.depthGained, 6);
+        assert.equal(toNumber(reward.nextTargets.earnings), 1e18);
+        assert.equal(toNumber(reward.nextTargets.consciousness), 1e7);
+    });
+
+    test('doesn\'t drop when consciousness is spent', () => {
+        const held = createState({ resources: { consciousnessCycles: 2e5 }, statistics: { consciousnessProduced: 2e5 } });
+        const spent = createState({ resources: { consciousnessCycles: 0 }, statistics: { consciousnessProduced: 2e5 } });
+
+        assert.equal(calculatePrestigeReward(spent).sources.consciousness, 1);
+        assert.deepEqual(calculatePrestigeReward(spent), calculatePrestigeReward(held));
+    });
+
+    test('keeps paying past the double range', () => {
+        const reward = calculatePrestigeReward(createState({
+            statistics: { totalEarned: { mantissa: 1, exponent: 400 } }
+        }));
+        assert.equal(reward.sources.earnings, 400 - 14);
+    });
+});
+
+describe('engine prestige', () => {
+    test('resets the run and keeps lifetime data', () => {
+        const engine = createEngine(createState({
+            currentStage: 6,
+            resources: { dollars: 1e12, computeUnits: 500 },
+            upgrades: { hire_nephew: 5, universal_simulation: 1 },
+            statistics: { totalClicks: 40, totalEarned: 1e12, consciousnessProduced: 5000, playTime: 900, prestigeCount: 1 },
+            prestigeUnlocked: true
+        }));
+
+        assert.equal(engine.prestige(), 1);
+
+        const state = engine.getState();
+        assert.equal(state.currentStage, 1);
+        assert.equal(toNumber(state.resources.dollars), 0);
+        assert.equal(toNumber(state.resources.computeUnits), 0);
+        assert.deepEqual(state.upgrades, {});
+        assert.equal(state.prestigeUnlocked, false);
+        assert.deepEqual({
+            ...state.statistics,
+            totalEarned: toNumber(state.statistics.totalEarned),
+            consciousnessProduced: toNumber(state.statistics.consciousnessProduced)
+        }, {
+            totalClicks: 0,
+            totalEarned: 0,
+            consciousnessProduced: 0,
+            playTime: 900,
+            runTime: 0,
+            prestigeCount: 2
+        });
+        assert.equal(state.prestige.permanentBonuses.productionMultiplier, 1 + PRESTIGE_PRODUCTION_BONUS);
+        assert.equal(state.prestige.permanentBonuses.costReduction, PRESTIGE_COST_REDUCTION);
+    });
+
+    test('does not mutate or share prestige data with the previous run', () => {
+        const engine = createEngine(createState());
+        const firstRun = engine.getState();
+        const firstBonuses = firstRun.prestige.permanentBonuses;
+
+        engine.prestige();
+        const secondRun = engine.getState();
+
+        assert.notEqual(secondRun, firstRun);
+        assert.notEqual(secondRun.prestige, firstRun.prestige);
+        assert.notEqual(secondRun.prestige.permanentBonuses, firstBonuses);
+        assert.equal(firstRun.prestige.simulationDepth, 0);
+        assert.deepEqual(firstBonuses, { productionMultiplier: 1, costReduction: 0 });
+    });
+
+    test('fresh default states never share prestige objects', () => {
+        const first = createEngine();
+        first.prestige();
+        first.prestige();
+
+        const second = createEngine();
+        assert.equal(second.getState().prestige.simulationDepth, 0);
+        assert.equal(second.getState().prestige.permanentBonuses.costReduction, 0);
+    });
+
+    test('adds the whole reward to depth and its bonuses', () => {
+        const engine = createEngine(createState({
+            prestige: { simulationDepth: 2 },
+            statistics: { totalEarned: 5e16 }
+        }));
+        assert.equal(engine.getPrestigeReward().depthGained, 3);
+
+        assert.equal(engine.prestige(), 5);
+        const { permanentBonuses } = engine.getState().prestige;
+        assert.equal(permanentBonuses.productionMultiplier, 1 + 5 * PRESTIGE_PRODUCTION_BONUS);
+        assert.equal(permanentBonuses.costReduction, 5 * PRESTIGE_COST_REDUCTION);
+    });
+
+    test('caps prestige cost reduction at 50%', () => {
+        const engine = createEngine(createState({ prestige: { simulationDepth: 30 } }));
+        engine.prestige();
+
+        assert.equal(engine.getState().prestige.permanentBonuses.costReduction, MAX_PRESTIGE_COST_REDUCTION);
+    });
+
+    test('emits the new depth', () => {
+        const engine = createEngine(createState());
+        const depths = [];
+        engine.on('prestige', depth => depths.push(depth));
+
+        engine.prestige();
+        engine.prestige();
+        assert.deepEqual(depths, [1, 2]);
+    });
+});
+
+describe('engine meta upgrades', () => {
+    test('prestige pays out spendable points alongside depth', () => {
+        const engine = createEngine(createState({
+            prestige: { simulationDepth: 2, points: 1 },
+            statistics: { totalEarned: 5e15 }
+        }));
+        engine.prestige();
+
+        assert.equal(engine.getState().prestige.simulationDepth, 4);
+        assert.equal(engine.getState().prestige.points, 3);
+    });
+
+    test('purchases spend points and survive the next prestige', () => {
+        const engine = createEngine(createState({ prestige: { points: 2 } }));
+
+        assert.equal(engine.purchaseMetaUpgrade('angel_round').reason, 'prerequisite');
+        assert.equal(engine.purchaseMetaUpgrade('not_a_meta_upgrade').reason, 'unknown');
+        assert.deepEqual(engine.purchaseMetaUpgrade('seed_funding'), { success: true, cost: 1 });
+        assert.equal(engine.purchaseMetaUpgrade('seed_funding').reason, 'insufficient');
+        assert.equal(engine.getState().prestige.points, 1);
+
+        engine.prestige();
+        assert.deepEqual(engine.getState().prestige.metaUpgrades, { seed_funding: 1 });
+    });
+
+    test('a new run starts with the starting cash and kept Stage 1 levels', () => {
+        const engine = createEngine(createState({
+            upgrades: { hire_nephew: 12, better_soldering_iron: 3, server_farm: 2 },
+            // Too slow a run for the speedrun achievement's production bonus
+            statistics: { runTime: 7200 },
+            prestige: { metaUpgrades: { seed_funding: 2, muscle_memory: 1 } }
+        }));
+        engine.prestige();
+
+        const state = engine.getState();
+        assert.equal(toNumber(state.resources.dollars), 2000);
+        assert.deepEqual(state.upgrades, { hire_nephew: 5, better_soldering_iron: 3 });
+        assert.equal(engine.getRates().productPerSecond, 5 * 0.5 * (1 + PRESTIGE_PRODUCTION_BONUS));
+    });
+
+    test('smaller auto-sell batches sell sooner at the same price per unit', () => {
+        const engine = createEngine(createState({
+            resources: { ramSticks: 16 },
+            prestige: { metaUpgrades: { quick_flip: 2 } }
+        }));
+        assert.equal(engine.getProductPerSale(), 8);
+
+        // Two batches of 8 at 8/10 of the $1 a batch of 10 fetches
+        engine.tick(0);
+        assert.equal(toNumber(engine.getState().resources.dollars), 1.6);
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 0);
+    });
+
+    test('offline progress is capped later with a longer offline cap', () => {
+        const now = 1700000000000;
+        const engine = createEngine(createState({
+            lastSaveTime: now - 30 * 24 * 60 * 60 * 1000,
+            prestige: { metaUpgrades: { lucid_dreaming: 2 } }
+        }));
+
+        assert.equal(engine.applyOfflineProgress(now).elapsedMs, 9 * 24 * 60 * 60 * 1000);
+    });
+});
+
+describe('engine achievements', () => {
+    test('unlock on the tick their condition holds and boost production', () => {
+        const engine = createEngine(createState({
+            upgrades: { hire_nephew: 2 },
+            statistics: { totalEarned: 999999 }
+        }));
+        const unlocked = [];
+        engine.on('achievementUnlocked', achievement => unlocked.push(achievement.id));
+
+        engine.tick(0);
+        assert.deepEqual(unlocked, []);
+        const baseRate = engine.getRates().productPerSecond;
+
+        // One $1 sale crosses $1M
+        for (let i = 0; i < 10; i++) engine.click();
+        engine.tick(0);
+        assert.deepEqual(unlocked, ['first_million']);
+        assert.ok(engine.getState().achievements.first_million > 0);
+        assert.ok(Math.abs(engine.getRates().productPerSecond - baseRate * 1.02) < 1e-12);
+
+        engine.tick(0);
+        assert.equal(unlocked.length, 1);
+    });
+
+    test('judge prestige achievements on the run being reset and keep every unlock', () => {
+        const engine = createEngine(createState({
+            statistics: { runTime: 1800, totalEarned: 2e6 }
+        }));
+        engine.tick(0);
+        engine.prestige();
+
+        assert.deepEqual(Object.keys(engine.getState().achievements).sort(), ['first_million', 'speedrun']);
+        assert.equal(engine.getState().statistics.runTime, 0);
+    });
+
+    test('skip prestige achievements whose condition failed', () => {
+        const engine = createEngine(createState({ statistics: { runTime: 7200 } }));
+        engine.prestige();
+
+        assert.deepEqual(engine.getState().achievements, {});
+    });
+});
+
+describe('engine auto-buyer', () => {
+    /**
+     * Creates an engine past the first prestige with the given auto-buyer settings
+     */
+    function createAutoBuyerEngine(autoBuyer, overrides = {}) {
+        const engine = createEngine(createState({
+            resources: { dollars: 100 },
+            prestige: { simulationDepth: 1 },
+            autoBuyer: { enabled: true, reservePercent: 0, priority: [], ...autoBuyer },
+            ...overrides
+        }));
+        const purchased = [];
+        engine.on('upgradePurchased', upgrade => purchased.push(upgrade.id));
+        return { engine, purchased };
+    }
+
+    test('buys one level of each enabled upgrade per tick in priority order', () => {
+        const { engine, purchased } = createAutoBuyerEngine({
+            priority: ['hire_nephew', 'better_soldering_iron', 'bulk_capacitors']
+        });
+
+        engine.tick(0);
+        assert.deepEqual(purchased, ['hire_nephew', 'better_soldering_iron']);
+        assert.deepEqual(engine.getState().upgrades, { hire_nephew: 1, better_soldering_iron: 1 });
+    });
+
+    test('skips purchases that would dip into the cash reserve', () => {
+        const { engine, purchased } = createAutoBuyerEngine({
+            reservePercent: 60,
+            priority: ['hire_nephew', 'better_soldering_iron']
+        });
+
+        engine.tick(0);
+        assert.deepEqual(purchased, ['better_soldering_iron']);
+    });
+
+    test('does nothing while locked or switched off', () => {
+        const locked = createAutoBuyerEngine({ priority: ['hire_nephew'] }, { prestige: { simulationDepth: 0 } });
+        locked.engine.tick(0);
+        assert.deepEqual(locked.purchased, []);
+
+        const disabled = createAutoBuyerEngine({ enabled: false, priority: ['hire_nephew'] });
+        disabled.engine.tick(0);
+        assert.deepEqual(disabled.purchased, []);
+    });
+
+    test('never buys prestige upgrades', () => {
+        const { engine, purchased } = createAutoBuyerEngine({ priority: ['universal_simulation'] }, {
+            currentStage: 6,
+            upgrades: { reality_questioning: 1 },
+            resources: { dollars: 1e20, computeUnits: 1e20, intelligencePoints: 1e20, consciousnessCycles: 1e20 }
+        });
+        assert.equal(engine.checkPurchase('universal_simulation').canPurchase, true);
+
+        engine.tick(0);
+        assert.deepEqual(purchased, []);
+    });
+
+    test('keeps its settings through prestige', () => {
+        const autoBuyer = { enabled: false, reservePercent: 25, priority: ['hire_nephew', 'assembly_line'] };
+        const { engine } = createAutoBuyerEngine(autoBuyer);
+
+        engine.updateAutoBuyer({ reservePercent: 30 });
+        engine.prestige();
+
+        assert.deepEqual(engine.getState().autoBuyer, { ...autoBuyer, reservePercent: 30 });
+    });
+});
+
+describe('engine market events', () => {
+    /**
+     * Creates an engine whose market events are driven by a fixed random value
+     */
+    function createMarketEngine(marketEvents, overrides = {}, randomValue = 0) {
+        return createEngine(createState({
+            marketEvents: { active: [], offers: [], nextEventIn: 1000, ...marketEvents },
+            ...overrides
+        }), { random: () => randomValue });
+    }
+
+    test('break out when due and multiply sales until they end', () => {
+        const overrides = { resources: { ramSticks: 100 } };
+        const engine = createMarketEngine({ nextEventIn: 1 }, overrides);
+        const quiet = createMarketEngine({}, overrides);
+        const started = [];
+        const ended = [];
+        engine.on('marketEventStarted', event => started.push(event.id));
+        engine.on('marketEventEnded', event => ended.push(event.id));
+
+        engine.tick(1);
+        quiet.tick(1);
+        assert.deepEqual(started, ['ram_shortage']);
+        assert.equal(toNumber(engine.getState().resources.dollars), 2 * toNumber(quiet.getState().resources.dollars));
+        assert.ok(engine.getState().marketEvents.nextEventIn > 0);
+
+        engine.tick(60);
+        assert.deepEqual(ended, ['ram_shortage']);
+        assert.deepEqual(engine.getState().marketEvents.active, []);
+        assert.equal(engine.getBonuses().marketMultipliers.sellPrice, 1);
+    });
+
+    test('apply on top of the production rates', () => {
+        const overrides = { upgrades: { hire_nephew: 2 } };
+        const engine = createMarketEngine({ active: [{ id: 'landlord_inspection', remaining: 30 }] }, overrides);
+        const quiet = createMarketEngine({}, overrides);
+
+        assert.equal(engine.getRates().productPerSecond, quiet.getRates().productPerSecond * 0.5);
+    });
+
+    test('opportunities wait to be grabbed before they start', () => {
+        // 0.6 lands on viral_tweet in the stage 1 weights
+        const engine = createMarketEngine({ nextEventIn: 1 }, {}, 0.6);
+        const offered = [];
+        engine.on('marketOpportunityOffered', event => offered.push(event.id));
+
+        engine.tick(1);
+        assert.deepEqual(offered, ['viral_tweet']);
+        assert.deepEqual(engine.getState().marketEvents.active, []);
+
+        assert.deepEqual(engine.claimMarketOpportunity('viral_tweet'), { success: true });
+        engine.click();
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 5);
+        assert.deepEqual(engine.claimMarketOpportunity('viral_tweet'), { success: false, reason: 'unavailable' });
+    });
+
+    test('opportunities expire if nobody grabs them', () => {
+        const engine = createMarketEngine({ offers: [{ id: 'viral_tweet', remaining: 20 }] });
+
+        engine.tick(21);
+        assert.deepEqual(engine.getState().marketEvents.offers, []);
+        assert.equal(engine.claimMarketOpportunity('viral_tweet').reason, 'unavailable');
+    });
+
+    test('run out while offline instead of multiplying offline earnings', () => {
+        const now = Date.now();
+        const engine = createMarketEngine({ active: [{ id: 'crypto_boom', remaining: 30 }] }, {
+            lastSaveTime: now - 60 * 60 * 1000
+        });
+
+        engine.applyOfflineProgress(now);
+        assert.deepEqual(engine.getState().marketEvents.active, []);
+        assert.equal(engine.getBonuses().marketMultipliers.sellPrice, 1);
+    });
+});
+
+describe('engine challenges', () => {
+    /**
+     * Creates a state in the middle of a challenge run
+     */
+    function createChallengeState(challengeId, overrides = {}) {
+        return createState({
+            challenges: { active: { id: challengeId, elapsed: 0 }, completed: {} },
+            ...overrides
+        });
+    }
+
+    test('prestige starts the picked challenge and keeps completions', () => {
+        const engine = createEngine(createState({ challenges: { active: null, completed: { full_retail: 1 } } }));
+
+        engine.prestige('hands_tied');
+        assert.deepEqual(engine.getState().challenges, {
+            active: { id: 'hands_tied', elapsed: 0 },
+            completed: { full_retail: 1 }
+        });
+
+        engine.prestige();
+        assert.equal(engine.getState().challenges.active, null);
+    });
+
+    test('a no-clicking run can be completed from its head start alone', () => {
+        const engine = createEngine(createState(), { random: () => 0.5 });
+        engine.prestige('hands_tied');
+        assert.equal(engine.getState().upgrades.hire_nephew, 1);
+
+        // Idle along, buying the cheapest affordable upgrade that isn't click power
+        const idleUpgrades = upgrades.filter(upgrade => upgrade.effectType !== 'clickPower');
+        let elapsed = 0;
+        while (engine.getState().challenges.active && elapsed < 6 * 60 * 60) {
+            const affordable = idleUpgrades
+                .map(upgrade => ({ upgrade, check: engine.checkPurchase(upgrade.id) }))
+                .filter(({ check }) => check.canPurchase)
+                .sort((a, b) => toNumber(a.check.cost) - toNumber(b.check.cost));
+            if (affordable.length > 0) {
+                engine.purchaseUpgrade(affordable[0].upgrade.id);
+            }
+            engine.tick(10);
+            elapsed += 10;
+        }
+
+        assert.ok(engine.getState().challenges.completed.hands_tied > 0, `still at Stage ${engine.getState().currentStage}`);
+    });
+
+    test('a challenge head start sets the starting stage', () => {
+        const engine = createEngine(createState());
+        engine.prestige('skip_the_garage');
+
+        assert.equal(engine.getState().currentStage, 2);
+        assert.deepEqual(engine.getState().upgrades, {});
+    });
+
+    test('no-clicking challenges ignore clicks', () => {
+        const engine = createEngine(createChallengeState('hands_tied'));
+        engine.click();
+
+        assert.equal(engine.getState().statistics.totalClicks, 0);
+        assert.equal(toNumber(engine.getState().resources.ramSticks), 0);
+    });
+
+    test('no-cost-reduction challenges rule out prestige cost reduction too', () => {
+        const engine = createEngine(createChallengeState('full_retail', {
+            upgrades: { bulk_capacitors: 2 },
+            prestige: { simulationDepth: 4, permanentBonuses: calculatePrestigeBonuses(4) }
+        }));
+
+        assert.equal(engine.getBonuses().costReduction, 0);
+    });
+
+    test('disabled upgrades cannot be bought and kept levels add nothing', () => {
+        const engine = createEngine(createChallengeState('skip_the_garage', {
+            resources: { dollars: 1e6 },
+            upgrades: { hire_nephew: 5 }
+        }));
+
+        assert.deepEqual(engine.purchaseUpgrade('hire_nephew'), { success: false, reason: 'restricted' });
+        assert.equal(engine.getRates().productPerSecond, 0);
+    });
+
+    test('reaching the goal stage completes the challenge and pays its reward for good', () => {
+        const engine = createEngine(createChallengeState('skip_the_garage', {
+            currentStage: 2,
+            upgrades: { hire_nephew: 2 },
+            statistics: { totalEarned: 250000 }
+        }));
+        const completed = [];
+        engine.on('challengeCompleted', challenge => completed.push(challenge.id));
+
+        engine.tick(0);
+        assert.deepEqual(completed, ['skip_the_garage']);
+        assert.equal(engine.getState().challenges.active, null);
+        assert.ok(engine.getState().challenges.completed.skip_the_garage > 0);
+        assert.ok(Math.abs(engine.getRates().productPerSecond - 2 * 0.5 * 1.1) < 1e-12);
+
+        engine.prestige();
+        assert.ok(Math.abs(engine.getBonuses().challengeRewards.productionMultiplier - 1.1) < 1e-12);
+    });
+
+    test('time limits fail the challenge, including time spent offline', () => {
+        const engine = createEngine(createChallengeState('half_hour_empire'));
+        const failed = [];
+        engine.on('challengeFailed', challenge => failed.push(challenge.id));
+
+        engine.tick(1799);
+        assert.deepEqual(failed, []);
+        engine.tick(1);
+        assert.deepEqual(failed, ['half_hour_empire']);
+        assert.deepEqual(engine.getState().challenges.completed, {});
+
+        const now = Date.now();
+        const away = createEngine(createChallengeState('half_hour_empire', { lastSaveTime: now - 60 * 60 * 1000 }));
+        away.applyOfflineProgress(now);
+        assert.equal(away.getState().challenges.active, null);
+    });
+
+    test('abandoning lifts the restrictions without the reward', () => {
+        const engine = createEngine(createChallengeState('hands_tied'));
+
+        assert.deepEqual(engine.abandonChallenge(), { success: true });
+        engine.click();
+        assert.equal(engine.getState().statistics.totalClicks, 1);
+        assert.deepEqual(engine.getState().challenges.completed, {});
+        assert.equal(engine.abandonChallenge().reason, 'none');
+    });
+});
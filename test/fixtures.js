@@ -0,0 +1,156 @@
+/**
+ * fixtures.js - Shared test data built from the real game catalogs
+ */
+
+import { readFileSync } from 'node:fs';
+import { setStages } from '../js/stages.js';
+import { setUpgrades } from '../js/upgrades.js';
+import { setMetaUpgrades } from '../js/meta.js';
+import { setAchievements } from '../js/achievements.js';
+import { setMarketEvents } from '../js/market.js';
+import { setChallenges } from '../js/challenges.js';
+import { createDefaultState } from '../js/save.js';
+import { toBigNum } from '../js/bignum.js';
+
+const stagesUrl = new URL('../js/data/stages.json', import.meta.url);
+const upgradesUrl = new URL('../js/data/upgrades.json', import.meta.url);
+const metaUpgradesUrl = new URL('../js/data/meta-upgrades.json', import.meta.url);
+const achievementsUrl = new URL('../js/data/achievements.json', import.meta.url);
+const marketEventsUrl = new URL('../js/data/market-events.json', import.meta.url);
+const challengesUrl = new URL('../js/data/challenges.json', import.meta.url);
+const headlinesUrl = new URL('../js/data/headlines.json', import.meta.url);
+const packsUrl = new URL('../js/data/packs/', import.meta.url);
+
+/**
+ * Loads the real stage and resource catalog into stages.js and returns the stages
+ */
+export function loadStageCatalog() {
+    const { stages, resources } = JSON.parse(readFileSync(stagesUrl, 'utf8'));
+    setStages(stages, resources);
+    return stages;
+}
+
+/**
+ * Reads upgrades.json
+ */
+export function readUpgradeCatalog() {
+    return JSON.parse(readFileSync(upgradesUrl, 'utf8')).upgrades;
+}
+
+/**
+ * Loads the real upgrade catalog into upgrades.js and returns it
+ */
+export function loadUpgradeCatalog() {
+    const upgrades = readUpgradeCatalog();
+    setUpgrades(upgrades);
+    return upgrades;
+}
+
+/**
+ * Loads the real meta upgrade catalog into meta.js and returns it
+ */
+export function loadMetaUpgradeCatalog() {
+    const metaUpgrades = JSON.parse(readFileSync(metaUpgradesUrl, 'utf8')).metaUpgrades;
+    setMetaUpgrades(metaUpgrades);
+    return metaUpgrades;
+}
+
+/**
+ * Loads the real achievement catalog into achievements.js and returns it
+ */
+export function loadAchievementCatalog() {
+    const achievements = JSON.parse(readFileSync(achievementsUrl, 'utf8')).achievements;
+    setAchievements(achievements);
+    return achievements;
+}
+
+/**
+ * Loads the real market event catalog into market.js and returns it
+ */
+export function loadMarketEventCatalog() {
+    const events = JSON.parse(readFileSync(marketEventsUrl, 'utf8')).events;
+    setMarketEvents(events);
+    return events;
+}
+
+/**
+ * Loads the real challenge catalog into challenges.js and returns it
+ */
+export function loadChallengeCatalog() {
+    const challenges = JSON.parse(readFileSync(challengesUrl, 'utf8')).challenges;
+    setChallenges(challenges);
+    return challenges;
+}
+
+/**
+ * Reads headlines.json
+ */
+export function readHeadlineCatalog() {
+    return JSON.parse(readFileSync(headlinesUrl, 'utf8')).headlines;
+}
+
+/**
+ * Reads a content pack file from data/packs
+ */
+export function readContentPack(file) {
+    return JSON.parse(readFileSync(new URL(file, packsUrl), 'utf8'));
+}
+
+/**
+ * Gets a catalog upgrade by ID, failing loudly if the catalog changed
+ */
+export function catalogUpgrade(upgrades, upgradeId) {
+    const upgrade = upgrades.find(entry => entry.id === upgradeId);
+    if (!upgrade) {
+        throw new Error(`Fixture upgrade "${upgradeId}" is missing from upgrades.json`);
+    }
+    return upgrade;
+}
+
+/**
+ * Buys every level of every upgrade with the given effect type
+ */
+export function maxOutEffectType(upgrades, effectType) {
+    const purchased = {};
+    for (const upgrade of upgrades) {
+        if (upgrade.effectType === effectType) {
+            purchased[upgrade.id] = upgrade.maxPurchases;
+        }
+    }
+    return purchased;
+}
+
+/**
+ * Creates a default game state with some fields overridden
+ * Resources, total earned and consciousness produced may be given as plain numbers
+ */
+export function createState(overrides = {}) {
+    const state = createDefaultState();
+    const resources = Object.fromEntries(
+        Object.entries(overrides.resources || {}).map(([key, value]) => [key, toBigNum(value)])
+    );
+    const statistics = { ...state.statistics, ...overrides.statistics };
+    statistics.totalEarned = toBigNum(statistics.totalEarned);
+    statistics.consciousnessProduced = toBigNum(statistics.consciousnessProduced);
+
+    return {
+        ...state,
+        ...overrides,
+        resources: { ...state.resources, ...resources },
+        statistics,
+        prestige: { ...state.prestige, ...overrides.prestige }
+    };
+}
+
+/**
+ * Replaces localStorage with an empty in-memory one and returns the Map behind it
+ */
+export function installMemoryStorage() {
+    const store = new Map();
+    globalThis.localStorage = {
+        getItem: key => store.has(key) ? store.get(key) : null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    return store;
+}
@@ -0,0 +1,121 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lintUpgrades, lintHeadlines } from '../scripts/lint-content.js';
+import { getAllResources } from '../js/stages.js';
+import { loadStageCatalog, readUpgradeCatalog, readHeadlineCatalog, catalogUpgrade } from './fixtures.js';
+
+let stages;
+let upgrades;
+
+before(() => {
+    stages = loadStageCatalog();
+    upgrades = readUpgradeCatalog();
+});
+
+/**
+ * Lints the real catalog with some upgrades replaced, returning the messages of one severity
+ */
+function lintWith(changes, severity = 'error') {
+    const changed = upgrades.map(upgrade => changes[upgrade.id] ? { ...upgrade, ...changes[upgrade.id] } : upgrade);
+    return lintUpgrades(changed, stages, getAllResources())
+        .filter(problem => problem.severity === severity)
+        .map(problem => problem.message);
+}
+
+describe('lintUpgrades', () => {
+    test('passes the shipped catalog', () => {
+        assert.deepEqual(lintUpgrades(upgrades, stages, getAllResources()), []);
+    });
+
+    test('flags unknown effect types and missing flavor text', () => {
+        assert.deepEqual(lintWith({ hire_nephew: { effectType: 'passiveProdcut', flavorText: '' } }), [
+            'upgrade "hire_nephew" is missing flavorText',
+            'upgrade "hire_nephew" has unknown effectType "passiveProdcut"'
+        ]);
+    });
+
+    test('flags non-positive costs and shrinking cost scaling', () => {
+        assert.deepEqual(lintWith({
+            hire_nephew: { baseCost: 0, costScaling: 0.9 },
+            server_farm: { secondaryCosts: [{ resource: 'computeUnits', baseCost: -5 }] }
+        }), [
+            'upgrade "hire_nephew" has a non-positive baseCost (0)',
+            'upgrade "hire_nephew" has costScaling below 1 (0.9), so later levels get cheaper',
+            'upgrade "server_farm" has a non-positive secondary cost in computeUnits (-5)'
+        ]);
+    });
+
+    test('accepts costs in product tiers and flags unknown cost resources', () => {
+        assert.deepEqual(lintWith({
+            hire_nephew: { costResource: 'ramSticks', secondaryCosts: [{ resource: 'ramModules', baseCost: 5 }] }
+        }), []);
+        assert.deepEqual(lintWith({ hire_nephew: { costResource: 'product' } }), [
+            'upgrade "hire_nephew" costs unknown resource "product"'
+        ]);
+    });
+
+    test('flags dangling and later-stage prerequisites', () => {
+        assert.deepEqual(lintWith({
+            hire_nephew: { prerequisite: 'hire_cousin' },
+            bulk_capacitors: { prerequisite: 'assembly_line' }
+        }), [
+            'upgrade "hire_nephew" requires missing upgrade "hire_cousin"',
+            'upgrade "bulk_capacitors" requires "assembly_line" from later stage 2, so it can\'t be bought in stage 1'
+        ]);
+    });
+
+    test('reports each prerequisite cycle once', () => {
+        assert.deepEqual(lintWith({ better_soldering_iron: { prerequisite: 'energy_drinks' } }), [
+            'prerequisites form a cycle: better_soldering_iron -> energy_drinks -> youtube_tutorials -> better_soldering_iron'
+        ]);
+    });
+
+    test('flags duplicate ids', () => {
+        const duplicated = [...upgrades, { ...catalogUpgrade(upgrades, 'hire_nephew') }];
+        const messages = lintUpgrades(duplicated, stages, getAllResources()).map(problem => problem.message);
+        assert.deepEqual(messages, ['upgrade "hire_nephew" is defined more than once']);
+    });
+
+    test('flags stacked effects with unknown targets or sources', () => {
+        assert.deepEqual(lintWith({
+            lights_out_factory: { target: 'passiveProdcut', effectValue: 0 },
+            nephew_mentorship: { source: 'hire_niece' },
+            compute_backed_securities: { source: 'darkMatter' },
+            conveyor_gloves: { source: 'clickPower' }
+        }), [
+            'upgrade "nephew_mentorship" scales with missing upgrade "hire_niece"',
+            'upgrade "conveyor_gloves" converts clickPower into itself',
+            'upgrade "lights_out_factory" has unknown multiplier target "passiveProdcut"',
+            'upgrade "lights_out_factory" has a non-positive multiplier (0), which would wipe out passiveProdcut',
+            'upgrade "compute_backed_securities" scales with unknown resource "darkMatter"'
+        ]);
+    });
+
+    test('warns about a choice node with a single option', () => {
+        assert.deepEqual(lintWith({ union_workforce: { exclusiveGroup: 'solidarity' } }, 'warning'), [
+            'upgrade "offshore_manufacturing" is the only option of exclusiveGroup "labor_strategy"',
+            'upgrade "union_workforce" is the only option of exclusiveGroup "solidarity"'
+        ]);
+    });
+});
+
+describe('lintHeadlines', () => {
+    test('passes the shipped headlines', () => {
+        assert.deepEqual(lintHeadlines(readHeadlineCatalog(), stages), []);
+    });
+
+    test('flags stages without headlines, unknown stages and empty entries', () => {
+        const headlines = { ...readHeadlineCatalog(), 3: [], 9: ['Lost'], 1: ['Fine', ' '] };
+        assert.deepEqual(lintHeadlines(headlines, stages).map(problem => problem.message), [
+            'stage 3 has no headlines',
+            'stage 1 headline #2 is empty',
+            'headlines are listed for unknown stage 9'
+        ]);
+    });
+
+    test('warns about repeated headlines', () => {
+        const problems = lintHeadlines({ ...readHeadlineCatalog(), 6: ['Same Old News'], 5: ['Same Old News'] }, stages);
+        assert.deepEqual(problems, [{ severity: 'warning', message: 'stage 6 repeats the headline "Same Old News"' }]);
+    });
+});
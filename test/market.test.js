@@ -0,0 +1,79 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    pickMarketEvent,
+    rollEventDelay,
+    calculateMarketMultipliers,
+    getMarketEvent,
+    getMarketEffectDescription,
+    MARKET_EFFECT_KEYS,
+    MIN_EVENT_DELAY,
+    MAX_EVENT_DELAY
+} from '../js/market.js';
+import { getTotalStages } from '../js/stages.js';
+import { loadStageCatalog, loadMarketEventCatalog } from './fixtures.js';
+
+let events;
+
+before(() => {
+    loadStageCatalog();
+    events = loadMarketEventCatalog();
+});
+
+describe('market event catalog', () => {
+    test('only uses effects the engine applies', () => {
+        for (const event of events) {
+            for (const key of Object.keys(event.effects)) {
+                assert.ok(MARKET_EFFECT_KEYS.includes(key), `${event.id}: ${key}`);
+            }
+        }
+    });
+
+    test('every stage has events and opportunities can expire', () => {
+        for (let stageId = 1; stageId <= getTotalStages(); stageId++) {
+            assert.ok(events.some(event => event.stages.includes(stageId)), `stage ${stageId}`);
+        }
+        for (const event of events.filter(entry => entry.opportunity)) {
+            assert.ok(event.opportunity.expiresIn > 0, event.id);
+        }
+    });
+});
+
+describe('pickMarketEvent', () => {
+    test('picks by weight among the events of a stage', () => {
+        // Stage 1: ram_shortage (weight 3), viral_tweet (2), landlord_inspection (1)
+        assert.equal(pickMarketEvent(1, () => 0).id, 'ram_shortage');
+        assert.equal(pickMarketEvent(1, () => 0.6).id, 'viral_tweet');
+        assert.equal(pickMarketEvent(1, () => 0.99).id, 'landlord_inspection');
+    });
+
+    test('skips excluded events and returns null when none fit', () => {
+        assert.equal(pickMarketEvent(1, () => 0, ['ram_shortage']).id, 'viral_tweet');
+        assert.equal(pickMarketEvent(1, () => 0, ['ram_shortage', 'viral_tweet', 'landlord_inspection']), null);
+    });
+
+    test('rolls the next delay within range', () => {
+        assert.equal(rollEventDelay(() => 0), MIN_EVENT_DELAY);
+        assert.ok(rollEventDelay(() => 0.999) < MAX_EVENT_DELAY);
+    });
+});
+
+describe('calculateMarketMultipliers', () => {
+    test('stacks the effects of running events and ignores unknown ones', () => {
+        const multipliers = calculateMarketMultipliers([
+            { id: 'ram_shortage', remaining: 10 },
+            { id: 'crypto_boom', remaining: 10 },
+            { id: 'removed_event', remaining: 10 }
+        ]);
+
+        assert.equal(multipliers.sellPrice, 4);
+        assert.equal(multipliers.productPerSecond, 1.5);
+        assert.equal(multipliers.clickPower, 1);
+    });
+
+    test('describes effects, including freezes', () => {
+        assert.equal(getMarketEffectDescription(getMarketEvent('crypto_boom')), 'sell price x2, passive product x1.5');
+        assert.equal(getMarketEffectDescription(getMarketEvent('sec_investigation')), 'no passive dollars');
+    });
+});
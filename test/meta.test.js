@@ -0,0 +1,76 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getMetaUpgrade,
+    calculateMetaUpgradeCost,
+    canPurchaseMetaUpgrade,
+    calculateMetaEffect
+} from '../js/meta.js';
+import { calculateProductionBonuses } from '../js/upgrades.js';
+import { loadUpgradeCatalog, loadMetaUpgradeCatalog } from './fixtures.js';
+
+let metaUpgrades;
+
+before(() => {
+    loadUpgradeCatalog();
+    metaUpgrades = loadMetaUpgradeCatalog();
+});
+
+describe('meta upgrade catalog', () => {
+    test('only uses effect types the game applies', () => {
+        const effectTypes = ['startingCash', 'keepStageOneUpgrades', 'saleBatchReduction', 'offlineCapHours'];
+        for (const metaUpgrade of metaUpgrades) {
+            assert.ok(effectTypes.includes(metaUpgrade.effectType), `${metaUpgrade.id}: ${metaUpgrade.effectType}`);
+        }
+    });
+
+    test('prerequisites refer to other meta upgrades', () => {
+        for (const metaUpgrade of metaUpgrades) {
+            if (metaUpgrade.prerequisite) {
+                assert.ok(getMetaUpgrade(metaUpgrade.prerequisite), `${metaUpgrade.id} -> ${metaUpgrade.prerequisite}`);
+            }
+        }
+    });
+});
+
+describe('canPurchaseMetaUpgrade', () => {
+    test('scales the point cost geometrically', () => {
+        const seedFunding = getMetaUpgrade('seed_funding');
+        assert.equal(calculateMetaUpgradeCost(seedFunding, 0), 1);
+        assert.equal(calculateMetaUpgradeCost(seedFunding, 3), 8);
+    });
+
+    test('reports maxed, prerequisite and insufficient in that order', () => {
+        const angelRound = getMetaUpgrade('angel_round');
+
+        assert.equal(canPurchaseMetaUpgrade(angelRound, angelRound.maxPurchases, 1e6, { seed_funding: 1 }).reason, 'maxed');
+        assert.equal(canPurchaseMetaUpgrade(angelRound, 0, 1e6, {}).reason, 'prerequisite');
+        assert.deepEqual(canPurchaseMetaUpgrade(angelRound, 0, 4, { seed_funding: 1 }), {
+            canPurchase: false,
+            reason: 'insufficient',
+            cost: 5
+        });
+        assert.deepEqual(canPurchaseMetaUpgrade(angelRound, 0, 5, { seed_funding: 1 }), { canPurchase: true, cost: 5 });
+    });
+});
+
+describe('meta upgrade effects', () => {
+    test('add effectValue per purchased level', () => {
+        assert.equal(calculateMetaEffect('startingCash', { seed_funding: 3, angel_round: 1 }), 3 * 1000 + 100000);
+        assert.equal(calculateMetaEffect('startingCash', {}), 0);
+    });
+
+    test('show up in the production bonuses next to regular upgrades', () => {
+        const bonuses = calculateProductionBonuses(
+            { hire_nephew: 2 },
+            { muscle_memory: 2, quick_flip: 3, lucid_dreaming: 1 }
+        );
+
+        assert.equal(bonuses.passiveProduct, 1);
+        assert.equal(bonuses.keptStageOneLevels, 10);
+        assert.equal(bonuses.saleBatchReduction, 3);
+        assert.equal(bonuses.offlineCapHours, 24);
+        assert.equal(bonuses.startingDollars, 0);
+    });
+});
@@ -0,0 +1,134 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyContentPacks } from '../js/packs.js';
+import { loadStageCatalog, readUpgradeCatalog, readHeadlineCatalog, readContentPack } from './fixtures.js';
+
+let core;
+
+before(() => {
+    core = {
+        upgrades: readUpgradeCatalog(),
+        stages: loadStageCatalog(),
+        headlines: readHeadlineCatalog()
+    };
+});
+
+/**
+ * Builds a pack entry for applyContentPacks
+ */
+function pack(contents, file = `${contents.id}.json`) {
+    return { file, pack: contents };
+}
+
+/**
+ * A complete upgrade for packs to add
+ */
+function newUpgrade(overrides = {}) {
+    return {
+        id: 'pack_upgrade',
+        name: 'Pack Upgrade',
+        flavorText: 'Shipped separately.',
+        baseCost: 100,
+        costScaling: 1.2,
+        effectType: 'clickPower',
+        effectValue: 1,
+        maxPurchases: 5,
+        stage: 1,
+        ...overrides
+    };
+}
+
+describe('applyContentPacks', () => {
+    test('leaves the core content alone without packs', () => {
+        const { content, applied, errors } = applyContentPacks(core, []);
+        assert.equal(content.upgrades, core.upgrades);
+        assert.equal(content.stages, core.stages);
+        assert.deepEqual(applied, []);
+        assert.deepEqual(errors, []);
+    });
+
+    test('applies the example pack cleanly', () => {
+        const { content, applied, errors } = applyContentPacks(core, [pack(readContentPack('example.json'), 'example.json')]);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(applied, ['retro_computing']);
+
+        assert.equal(content.upgrades.length, core.upgrades.length + 1);
+        const nephew = content.upgrades.find(upgrade => upgrade.id === 'hire_nephew');
+        assert.match(nephew.flavorText, /boot disk/);
+        assert.equal(nephew.baseCost, core.upgrades.find(upgrade => upgrade.id === 'hire_nephew').baseCost);
+        assert.match(content.stages[0].flavor, /SIMMs/);
+        assert.equal(content.headlines[1].length, core.headlines[1].length + 2);
+
+        // The core lists are copied, never changed in place
+        assert.ok(!core.upgrades.some(upgrade => upgrade.id === 'floppy_disk_hoard'));
+        assert.doesNotMatch(core.stages[0].flavor, /SIMMs/);
+    });
+
+    test('adds stages after the last one', () => {
+        const stageSeven = { ...core.stages.at(-1), id: 7, name: 'Heat Death', productId: 'entropy', productName: 'Entropy', unlockThreshold: 1e15 };
+        const { content, errors } = applyContentPacks(core, [pack({
+            id: 'epilogue',
+            stages: { add: [stageSeven] },
+            upgrades: { add: [newUpgrade({ stage: 7 })] },
+            headlines: { 7: ['Universe Runs Out of Room for More RAM'] }
+        })]);
+
+        assert.deepEqual(errors, []);
+        assert.equal(content.stages.length, 7);
+        assert.deepEqual(content.headlines[7], ['Universe Runs Out of Room for More RAM']);
+    });
+
+    test('reports ids that collide with the core game or an earlier pack', () => {
+        const { applied, errors } = applyContentPacks(core, [
+            pack({ id: 'first', upgrades: { add: [newUpgrade()] } }),
+            pack({ id: 'second', upgrades: { add: [newUpgrade()] } }),
+            pack({ id: 'third', upgrades: { add: [newUpgrade({ id: 'hire_nephew' })] } })
+        ]);
+
+        assert.deepEqual(applied, ['first']);
+        assert.deepEqual(errors, [
+            'second: adds upgrade "pack_upgrade", which collides with pack first',
+            'third: adds upgrade "hire_nephew", which collides with the core game'
+        ]);
+    });
+
+    test('skips an invalid pack as a whole', () => {
+        const { content, applied, errors } = applyContentPacks(core, [pack({
+            id: 'broken',
+            upgrades: {
+                add: [newUpgrade()],
+                override: [{ id: 'no_such_upgrade', name: 'Ghost' }]
+            },
+            headlines: { 1: ['Fine'], 99: ['Nowhere'] }
+        })]);
+
+        assert.deepEqual(applied, []);
+        assert.equal(content.upgrades, core.upgrades);
+        assert.equal(content.headlines, core.headlines);
+        assert.deepEqual(errors, [
+            'broken: overrides upgrade "no_such_upgrade", which doesn\'t exist',
+            'broken: has headlines for unknown stage 99'
+        ]);
+    });
+
+    test('reports malformed packs and entries', () => {
+        const { errors } = applyContentPacks(core, [
+            pack(null, 'empty.json'),
+            pack({ upgrades: { add: [] } }, 'nameless.json'),
+            pack({ id: 'partial', upgrades: { add: [{ id: 'half_done', name: 'Half Done' }] } }),
+            pack({ id: 'gap', stages: { add: [{ ...core.stages.at(-1), id: 9, productId: 'gaps' }] } }),
+            pack({ id: 'copycat', stages: { add: [{ ...core.stages.at(-1), id: 7 }] } }),
+            pack({ id: 'orphan', upgrades: { add: [newUpgrade({ stage: 8 })] } })
+        ]);
+
+        assert.deepEqual(errors, [
+            'empty.json: is not a content pack object',
+            'nameless.json: missing a string "id"',
+            'partial: added upgrade "half_done" is missing flavorText, baseCost, costScaling, effectType, effectValue, maxPurchases, stage',
+            'gap: stage "9" is out of order; stages must be numbered 1 to 7',
+            'copycat: stage "7" makes product "simulatedMinds", which another stage already makes',
+            'orphan: upgrade "pack_upgrade" belongs to unknown stage 8'
+        ]);
+    });
+});
@@ -0,0 +1,307 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    deepMerge,
+    migrateSaveData,
+    normalizeSaveData,
+    calculateOfflineProgress,
+    formatDuration
+} from '../js/save.js';
+import { getStage, getAllStages, canAdvanceStage, calculateSellPrice } from '../js/stages.js';
+import { toNumber, isBigNum } from '../js/bignum.js';
+import { loadStageCatalog, createState } from './fixtures.js';
+
+const NOW = 1700000000000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const NO_BONUS_PRICING = { sellPriceMultiplier: 1, prestigeMultiplier: 1 };
+
+before(() => {
+    loadStageCatalog();
+});
+
+/**
+ * Builds a production rates object with everything else at zero
+ */
+function createRates(overrides = {}) {
+    return {
+        productPerSecond: 0,
+        dollarsPerSecond: 0,
+        computePerSecond: 0,
+        intelligencePerSecond: 0,
+        consciousnessPerSecond: 0,
+        ...overrides
+    };
+}
+
+/**
+ * Replays an offline period tick by tick, the way the live game loop would:
+ * every tier produces, whole units are assembled up to the current stage's tier, and full batches sell
+ */
+function simulateTicks(state, rates, pricing, seconds, tickSeconds) {
+    const stages = getAllStages();
+    let stageId = state.currentStage;
+    const products = Object.fromEntries(stages.map(stage => [stage.id, toNumber(state.resources[stage.productId] || 0)]));
+    let totalEarned = toNumber(state.statistics.totalEarned);
+    let salesCount = 0;
+    const ticks = Math.round(seconds / tickSeconds);
+
+    for (let i = 0; i < ticks; i++) {
+        for (const stage of stages) {
+            products[stage.id] += (rates[`${stage.productId}PerSecond`] || 0) * tickSeconds;
+        }
+        totalEarned += rates.dollarsPerSecond * tickSeconds;
+
+        for (let id = 2; id <= stageId; id++) {
+            const units = Math.floor(products[id - 1] / getStage(id).inputPerUnit);
+            products[id - 1] -= units * getStage(id).inputPerUnit;
+            products[id] += units;
+        }
+
+        const productPerSale = getStage(stageId).productPerSale;
+        const sellPrice = toNumber(calculateSellPrice(stageId, pricing.sellPriceMultiplier, pricing.prestigeMultiplier));
+        while (products[stageId] >= productPerSale) {
+            products[stageId] -= productPerSale;
+            totalEarned += sellPrice;
+            salesCount++;
+        }
+
+        if (canAdvanceStage(stageId, totalEarned)) stageId++;
+    }
+
+    return { stageId, salesCount };
+}
+
+describe('deepMerge', () => {
+    test('fills missing nested keys from the target', () => {
+        const merged = deepMerge(
+            { resources: { product: 0, dollars: 0 }, currentStage: 1 },
+            { resources: { dollars: 50 } }
+        );
+        assert.deepEqual(merged, { resources: { product: 0, dollars: 50 }, currentStage: 1 });
+    });
+
+    test('keeps keys only present in the source', () => {
+        const merged = deepMerge({ upgrades: {} }, { upgrades: { hire_nephew: 2 }, extra: true });
+        assert.deepEqual(merged, { upgrades: { hire_nephew: 2 }, extra: true });
+    });
+
+    test('replaces arrays instead of merging them', () => {
+        const merged = deepMerge({ migrationLog: [1, 2, 3] }, { migrationLog: [4] });
+        assert.deepEqual(merged, { migrationLog: [4] });
+    });
+
+    test('does not mutate or share nested objects with its inputs', () => {
+        const target = { prestige: { permanentBonuses: { costReduction: 0 } } };
+        const source = { prestige: { permanentBonuses: { costReduction: 0.1 } } };
+        const merged = deepMerge(target, source);
+
+        merged.prestige.permanentBonuses.costReduction = 0.5;
+        assert.equal(target.prestige.permanentBonuses.costReduction, 0);
+        assert.equal(source.prestige.permanentBonuses.costReduction, 0.1);
+    });
+});
+
+describe('migrateSaveData', () => {
+    test('brings a 1.0.0 save up to date and logs each step', () => {
+        const result = migrateSaveData({ version: '1.0.0', resources: { dollars: 50 } });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.data.migrationLog.map(entry => entry.to), ['1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0']);
+        assert.deepEqual(result.applied.map(entry => entry.from), ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0']);
+    });
+
+    test('moves the single product counter to the current stage\'s product', () => {
+        const result = normalizeSaveData({
+            version: '1.4.0',
+            currentStage: 3,
+            resources: { product: { mantissa: 7, exponent: 0 }, dollars: { mantissa: 5, exponent: 1 } }
+        });
+
+        const { resources } = result.state;
+        assert.equal(resources.product, undefined);
+        assert.equal(toNumber(resources.memoryArrays), 7);
+        assert.equal(toNumber(resources.ramSticks), 0);
+        assert.equal(toNumber(resources.dollars), 50);
+    });
+
+    test('leaves the product counter alone when the stage is unknown', () => {
+        const product = { mantissa: 7, exponent: 0 };
+        const result = migrateSaveData({ version: '1.4.0', currentStage: 42, resources: { product } });
+
+        assert.deepEqual(result.data.resources, { product });
+    });
+
+    test('pays out depth already reached as prestige points', () => {
+        const result = normalizeSaveData({
+            version: '1.2.0',
+            prestige: { simulationDepth: 4, permanentBonuses: { productionMultiplier: 2, costReduction: 0.2 } }
+        });
+
+        assert.equal(result.state.prestige.simulationDepth, 4);
+        assert.equal(result.state.prestige.points, 4);
+        assert.deepEqual(result.state.prestige.metaUpgrades, {});
+    });
+
+    test('converts plain-number resources and total earned to big numbers', () => {
+        const result = normalizeSaveData({
+            version: '1.1.0',
+            resources: { product: 3, dollars: 123456789, computeUnits: 0 },
+            statistics: { totalClicks: 12, totalEarned: 5e20 }
+        });
+
+        const { resources, statistics } = result.state;
+        assert.equal(Object.values(resources).every(isBigNum), true);
+        assert.equal(toNumber(resources.dollars), 123456789);
+        assert.equal(toNumber(statistics.totalEarned), 5e20);
+        assert.equal(statistics.totalClicks, 12);
+    });
+
+    test('only counts play time as run time before the first prestige', () => {
+        const firstRun = normalizeSaveData({ version: '1.3.0', statistics: { playTime: 500, prestigeCount: 0 } });
+        const laterRun = normalizeSaveData({ version: '1.3.0', statistics: { playTime: 500, prestigeCount: 2 } });
+
+        assert.equal(firstRun.state.statistics.runTime, 500);
+        assert.equal(laterRun.state.statistics.runTime, 0);
+        assert.deepEqual(laterRun.state.achievements, {});
+    });
+
+    test('refuses saves from a newer version', () => {
+        const result = migrateSaveData({ version: '99.0.0' });
+        assert.equal(result.success, false);
+    });
+});
+
+describe('calculateOfflineProgress', () => {
+    test('treats a save from the future as no time away', () => {
+        const state = createState({ lastSaveTime: NOW + HOUR_MS });
+        const progress = calculateOfflineProgress(state, createRates({ dollarsPerSecond: 10 }), NO_BONUS_PRICING, NOW);
+
+        assert.equal(progress.elapsedMs, 0);
+        assert.equal(toNumber(progress.earnings.dollars), 0);
+        assert.equal(progress.hasSignificantProgress, false);
+    });
+
+    test('caps time away at 7 days', () => {
+        const state = createState({ lastSaveTime: NOW - 30 * DAY_MS });
+        const progress = calculateOfflineProgress(state, createRates({ computePerSecond: 1 }), NO_BONUS_PRICING, NOW);
+
+        assert.equal(progress.wasCapped, true);
+        assert.equal(progress.elapsedMs, 7 * DAY_MS);
+        assert.equal(toNumber(progress.earnings.computeUnits), 7 * 24 * 60 * 60);
+    });
+
+    test('accepts a longer cap', () => {
+        const state = createState({ lastSaveTime: NOW - 30 * DAY_MS });
+        const progress = calculateOfflineProgress(state, createRates(), NO_BONUS_PRICING, NOW, 10 * DAY_MS);
+
+        assert.equal(progress.elapsedMs, 10 * DAY_MS);
+        assert.equal(progress.formattedCap, '10 days, 0 hours');
+    });
+
+    test('only counts more than a minute away as significant', () => {
+        const rates = createRates({ dollarsPerSecond: 1 });
+        const oneMinute = calculateOfflineProgress(createState({ lastSaveTime: NOW - 60000 }), rates, NO_BONUS_PRICING, NOW);
+        const justOver = calculateOfflineProgress(createState({ lastSaveTime: NOW - 60001 }), rates, NO_BONUS_PRICING, NOW);
+
+        assert.equal(oneMinute.hasSignificantProgress, false);
+        assert.equal(justOver.hasSignificantProgress, true);
+    });
+
+    test('sells produced product and keeps the remainder', () => {
+        const state = createState({ lastSaveTime: NOW - 100 * 1000, resources: { ramSticks: 3 } });
+        const progress = calculateOfflineProgress(state, createRates({ ramSticksPerSecond: 2 }), NO_BONUS_PRICING, NOW);
+
+        // 3 + 200 product sold in batches of 10 at $1 leaves the original 3 behind
+        assert.equal(toNumber(progress.sales.count), 20);
+        assert.equal(toNumber(progress.sales.revenue), 20);
+        assert.equal(toNumber(progress.earnings.dollars), 20);
+        assert.equal(toNumber(progress.earnings.ramSticks), 0);
+    });
+
+    test('assembles lower tiers into the current stage\'s product as they\'re made', () => {
+        const state = createState({ lastSaveTime: NOW - 100 * 1000, currentStage: 2, resources: { ramModules: 4 } });
+        const rates = createRates({ ramSticksPerSecond: 2, ramModulesPerSecond: 1 });
+        const progress = calculateOfflineProgress(state, rates, NO_BONUS_PRICING, NOW);
+
+        // 200 sticks make 100 modules; with 100 made directly and 4 held, 20 batches of 10 sell at $10
+        assert.equal(toNumber(progress.sales.count), 20);
+        assert.equal(toNumber(progress.earnings.dollars), 200);
+        assert.equal(toNumber(progress.earnings.ramModules), 0);
+        assert.equal(toNumber(progress.earnings.ramSticks), 0);
+    });
+
+    test('reports what each product tier made on its own', () => {
+        const state = createState({ lastSaveTime: NOW - 100 * 1000, currentStage: 2 });
+        const rates = createRates({ productPerSecond: 3, ramSticksPerSecond: 2, ramModulesPerSecond: 1 });
+        const progress = calculateOfflineProgress(state, rates, NO_BONUS_PRICING, NOW);
+
+        assert.equal(toNumber(progress.productsProduced.ramSticks), 200);
+        assert.equal(toNumber(progress.productsProduced.ramModules), 100);
+        assert.equal(toNumber(progress.productsProduced.memoryArrays), 0);
+    });
+
+    test('assembles lower-tier stock held at the start', () => {
+        const state = createState({ lastSaveTime: NOW - 100 * 1000, currentStage: 2, resources: { ramSticks: 21 } });
+        const progress = calculateOfflineProgress(state, createRates(), NO_BONUS_PRICING, NOW);
+
+        // 21 sticks make 10 modules (one stick left over), which sell as one batch at $10
+        assert.equal(toNumber(progress.sales.count), 1);
+        assert.equal(toNumber(progress.earnings.dollars), 10);
+        assert.equal(toNumber(progress.earnings.ramSticks), -20);
+        assert.equal(toNumber(progress.earnings.ramModules), 0);
+    });
+
+    test('advances through several stages on passive income alone', () => {
+        const state = createState({ lastSaveTime: NOW - HOUR_MS });
+        const progress = calculateOfflineProgress(state, createRates({ dollarsPerSecond: 100 }), NO_BONUS_PRICING, NOW);
+
+        // $360,000 crosses the $5,000 and $250,000 thresholds
+        assert.deepEqual(progress.stagesAdvanced, [2, 3]);
+        assert.equal(progress.finalStage, 3);
+    });
+
+    test('matches a tick-by-tick replay across stage boundaries', () => {
+        const seconds = 2000;
+        const rates = createRates({ ramSticksPerSecond: 30, dollarsPerSecond: 2 });
+        const pricing = { sellPriceMultiplier: 1.4, prestigeMultiplier: 1.25 };
+        const state = createState({
+            lastSaveTime: NOW - seconds * 1000,
+            resources: { ramSticks: 7 },
+            statistics: { totalEarned: 4000 }
+        });
+
+        const progress = calculateOfflineProgress(state, rates, pricing, NOW);
+        const replay = simulateTicks(state, rates, pricing, seconds, 0.01);
+
+        assert.equal(progress.finalStage, replay.stageId);
+        assert.ok(progress.stagesAdvanced.length > 0);
+        // A tick loop can only sell at tick boundaries, so allow one sale of slack
+        assert.ok(Math.abs(toNumber(progress.sales.count) - replay.salesCount) <= 1);
+    });
+});
+
+describe('formatDuration', () => {
+    test('formats seconds', () => {
+        assert.equal(formatDuration(0), '0 seconds');
+        assert.equal(formatDuration(1000), '1 second');
+        assert.equal(formatDuration(59999), '59 seconds');
+    });
+
+    test('formats minutes', () => {
+        assert.equal(formatDuration(60000), '1 minute');
+        assert.equal(formatDuration(45 * 60000), '45 minutes');
+    });
+
+    test('formats hours with leftover minutes', () => {
+        assert.equal(formatDuration(HOUR_MS), '1 hour, 0 minutes');
+        assert.equal(formatDuration(2 * HOUR_MS + 61000), '2 hours, 1 minute');
+    });
+
+    test('formats days with leftover hours', () => {
+        assert.equal(formatDuration(DAY_MS + HOUR_MS), '1 day, 1 hour');
+        assert.equal(formatDuration(7 * DAY_MS), '7 days, 0 hours');
+    });
+});
@@ -0,0 +1,65 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCatalogs, simulate, parseArgs, formatTime, formatTable, formatCsv, createRandom } from '../scripts/simulate.js';
+
+before(() => {
+    loadCatalogs();
+});
+
+describe('balance simulator', () => {
+    test('parses flags over the defaults', () => {
+        const options = parseArgs(['--strategy', 'idle,payback', '--clicks', '2', '--max-hours', '3', '--csv']);
+        assert.deepEqual(options.strategies, ['idle', 'payback']);
+        assert.equal(options.clicksPerSecond, 2);
+        assert.equal(options.maxHours, 3);
+        assert.equal(options.csv, true);
+        assert.equal(options.runs, 2);
+
+        assert.throws(() => parseArgs(['--clicks', '-1']), /non-negative/);
+        assert.throws(() => parseArgs(['--turbo']), /Unknown option/);
+    });
+
+    test('seeded randomness repeats', () => {
+        const first = createRandom(7);
+        const second = createRandom(7);
+        const values = Array.from({ length: 5 }, () => first());
+        assert.deepEqual(values, Array.from({ length: 5 }, () => second()));
+        assert.ok(values.every(value => value >= 0 && value < 1));
+    });
+
+    test('formats times as h:mm:ss', () => {
+        assert.equal(formatTime(0), '0:00:00');
+        assert.equal(formatTime(3725.4), '1:02:05');
+        assert.equal(formatTime(null), '-');
+    });
+
+    test('plays the economy through the stages, repeatably', () => {
+        const options = { strategy: 'cheapest', runs: 1, maxHours: 0.25, seed: 3 };
+        const [result] = simulate(options);
+
+        assert.equal(result.run, 1);
+        assert.equal(result.depth, 0);
+        assert.equal(result.stageTimes[1], 0);
+        assert.ok(result.stageTimes[2] > 0, 'reaches stage 2');
+        assert.ok(result.purchases > 0);
+        assert.deepEqual(simulate(options), [result]);
+    });
+
+    test('the idle strategy stops clicking once production is passive', () => {
+        const [idle] = simulate({ strategy: 'idle', runs: 1, maxHours: 0.25 });
+        const [active] = simulate({ strategy: 'payback', runs: 1, maxHours: 0.25 });
+        assert.ok(idle.clicks > 0);
+        assert.ok(idle.clicks < active.clicks);
+    });
+
+    test('reports unfinished runs without a prestige time', () => {
+        const reports = [{ strategy: 'payback', results: [{ run: 1, depth: 0, stageTimes: { 1: 0, 2: 90 }, prestigeTime: null, clicks: 10, purchases: 2 }] }];
+
+        assert.deepEqual(formatCsv(reports).split('\n'), [
+            'strategy,run,depth,stage 2,stage 3,stage 4,stage 5,stage 6,prestige,vs run 1,clicks,purchases',
+            'payback,1,0,90,,,,,,,10,2'
+        ]);
+        assert.match(formatTable(reports).split('\n')[2], /^payback\s+1\s+0\s+0:01:30\s+-\s+-\s+-\s+-\s+-\s+10\s+2$/);
+    });
+});
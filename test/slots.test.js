@@ -0,0 +1,133 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    initSlots,
+    getSlots,
+    getActiveSlot,
+    createSlot,
+    duplicateSlot,
+    deleteSlot,
+    switchSlot,
+    createBackup,
+    getBackups,
+    restoreBackup
+} from '../js/slots.js';
+import { SAVE_KEY, saveGame } from '../js/save.js';
+import { toNumber } from '../js/bignum.js';
+import { createState, installMemoryStorage } from './fixtures.js';
+
+const NOW = 1700000000000;
+
+let store;
+let now;
+
+beforeEach(() => {
+    store = installMemoryStorage();
+    // Every backup gets its own timestamp
+    now = NOW;
+    mock.method(Date, 'now', () => now++);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('save slots', () => {
+    test('wraps an existing save in a Main slot that keeps the legacy key', () => {
+        store.set(SAVE_KEY, JSON.stringify(createState({ resources: { dollars: 42 } })));
+
+        const slot = initSlots();
+
+        assert.equal(slot.name, 'Main');
+        assert.equal(getSlots().length, 1);
+        assert.equal(toNumber(switchSlot(slot.id).resources.dollars), 42);
+    });
+
+    test('recovers from an index pointing at a missing slot', () => {
+        store.set('ramClickerSlots', JSON.stringify({
+            activeSlotId: 'gone',
+            slots: [{ id: 'main', name: 'Main', createdAt: NOW }]
+        }));
+
+        assert.equal(initSlots().id, 'main');
+    });
+
+    test('keeps each slot\'s save apart', () => {
+        const main = initSlots();
+        saveGame(createState({ resources: { dollars: 10 } }));
+
+        const side = createSlot('  Speedrun  ');
+        assert.equal(side.name, 'Speedrun');
+        assert.equal(switchSlot(side.id), null);
+
+        saveGame(createState({ resources: { dollars: 99 } }));
+        assert.equal(toNumber(switchSlot(main.id).resources.dollars), 10);
+        assert.equal(toNumber(switchSlot(side.id).resources.dollars), 99);
+        assert.equal(getActiveSlot().id, side.id);
+    });
+
+    test('duplicates a slot\'s save but not its backups', () => {
+        const main = initSlots();
+        saveGame(createState({ resources: { dollars: 7 } }));
+        createBackup(createState(), 'auto');
+
+        const copy = duplicateSlot(main.id);
+        assert.equal(copy.name, 'Main (copy)');
+        assert.equal(toNumber(switchSlot(copy.id).resources.dollars), 7);
+        assert.deepEqual(getBackups(), []);
+    });
+
+    test('deletes a slot with its save and backups, but never the active one', () => {
+        const main = initSlots();
+        const side = createSlot('Side');
+        switchSlot(side.id);
+        saveGame(createState());
+        createBackup(createState(), 'auto');
+        switchSlot(main.id);
+
+        assert.equal(deleteSlot(main.id), false);
+        assert.equal(deleteSlot(side.id), true);
+        assert.deepEqual(getSlots().map(slot => slot.id), [main.id]);
+        assert.deepEqual([...store.keys()].filter(key => key.includes(side.id)), []);
+    });
+});
+
+describe('backups', () => {
+    test('keeps the newest 10, newest first', () => {
+        initSlots();
+        for (let i = 1; i <= 12; i++) {
+            createBackup(createState({ resources: { dollars: i } }), 'auto');
+        }
+
+        const backups = getBackups();
+        assert.equal(backups.length, 10);
+        assert.deepEqual(backups.map(backup => toNumber(JSON.parse(backup.data).resources.dollars)), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3]);
+    });
+
+    test('keeps a separate ring per slot', () => {
+        const main = initSlots();
+        createBackup(createState(), 'prestige');
+
+        switchSlot(createSlot('Side').id);
+        assert.deepEqual(getBackups(), []);
+
+        switchSlot(main.id);
+        assert.deepEqual(getBackups().map(backup => backup.reason), ['prestige']);
+    });
+
+    test('restores a backup as a full game state', () => {
+        initSlots();
+        createBackup(createState({ currentStage: 2, resources: { dollars: 5000 } }), 'auto');
+
+        const result = restoreBackup(getBackups()[0].timestamp);
+        assert.equal(result.success, true);
+        assert.equal(result.state.currentStage, 2);
+        assert.equal(toNumber(result.state.resources.dollars), 5000);
+    });
+
+    test('fails to restore a backup that no longer exists', () => {
+        initSlots();
+        assert.equal(restoreBackup(NOW).success, false);
+    });
+});
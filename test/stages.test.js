@@ -0,0 +1,217 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getStage,
+    getTotalStages,
+    getAllResources,
+    getVisibleResources,
+    getTierYield,
+    setStages,
+    canAdvanceStage,
+    getProductPerSale,
+    calculateSellPrice,
+    calculateSaleBatch
+} from '../js/stages.js';
+import { toNumber, fromNumber } from '../js/bignum.js';
+import { loadStageCatalog } from './fixtures.js';
+
+before(() => {
+    loadStageCatalog();
+});
+
+describe('canAdvanceStage', () => {
+    test('advances exactly at the next stage threshold', () => {
+        const threshold = getStage(2).unlockThreshold;
+        assert.equal(canAdvanceStage(1, threshold - 1), false);
+        assert.equal(canAdvanceStage(1, threshold), true);
+    });
+
+    test('only looks at the next stage, not later ones', () => {
+        assert.equal(canAdvanceStage(3, getStage(3).unlockThreshold), false);
+        assert.equal(canAdvanceStage(3, getStage(4).unlockThreshold), true);
+    });
+
+    test('accepts big total earned', () => {
+        assert.equal(canAdvanceStage(2, fromNumber(getStage(3).unlockThreshold)), true);
+        assert.equal(canAdvanceStage(2, fromNumber(getStage(3).unlockThreshold - 1)), false);
+    });
+
+    test('never advances past the final stage', () => {
+        assert.equal(canAdvanceStage(getTotalStages(), Number.MAX_VALUE), false);
+    });
+
+    test('stage thresholds increase', () => {
+        for (let stageId = 2; stageId <= getTotalStages(); stageId++) {
+            assert.ok(getStage(stageId).unlockThreshold > getStage(stageId - 1).unlockThreshold);
+        }
+    });
+});
+
+describe('stage catalog', () => {
+    test('numbers stages from 1 in order', () => {
+        for (let stageId = 1; stageId <= getTotalStages(); stageId++) {
+            assert.equal(getStage(stageId).id, stageId);
+        }
+    });
+
+    test('falls back to the first stage for unknown ids', () => {
+        assert.equal(getStage(99), getStage(1));
+    });
+
+    test('every introduced resource is declared', () => {
+        const resourceIds = getAllResources().map(resource => resource.id);
+        for (let stageId = 1; stageId <= getTotalStages(); stageId++) {
+            for (const resourceId of getStage(stageId).introducesResources) {
+                assert.ok(resourceIds.includes(resourceId), `Stage ${stageId} introduces unknown "${resourceId}"`);
+            }
+        }
+    });
+
+    test('rebuilds the product tiers instead of repeating them when stages are set again', () => {
+        const stages = loadStageCatalog();
+        try {
+            setStages(stages, getAllResources());
+            const ids = getAllResources().map(resource => resource.id);
+            assert.deepEqual(ids, [...new Set(ids)]);
+            assert.equal(ids.length, stages.length + 4);
+        } finally {
+            loadStageCatalog();
+        }
+    });
+
+    test('every stage makes its own product tier, assembled from the one before', () => {
+        const tiers = getAllResources().filter(resource => resource.tier !== undefined);
+        assert.deepEqual(tiers.map(tier => tier.tier), [1, 2, 3, 4, 5, 6]);
+
+        for (let stageId = 1; stageId <= getTotalStages(); stageId++) {
+            const stage = getStage(stageId);
+            assert.equal(tiers[stageId - 1].id, stage.productId);
+            assert.equal(tiers[stageId - 1].name, stage.productName);
+            if (stageId > 1) {
+                assert.ok(stage.inputPerUnit >= 1, `Stage ${stageId} has no inputPerUnit`);
+            }
+        }
+    });
+});
+
+describe('getTierYield', () => {
+    test('divides by each inputPerUnit on the way up', () => {
+        assert.equal(getTierYield(3, 3), 1);
+        assert.equal(getTierYield(2, 3), 1 / getStage(3).inputPerUnit);
+        assert.equal(getTierYield(1, 3), 1 / (getStage(2).inputPerUnit * getStage(3).inputPerUnit));
+    });
+
+    test('is zero for tiers above the stage', () => {
+        assert.equal(getTierYield(4, 3), 0);
+    });
+});
+
+describe('getVisibleResources', () => {
+    test('shows each resource from the stage that introduces it', () => {
+        const tiers = ['ramSticks', 'ramModules', 'memoryArrays', 'serverRacks', 'aiModels', 'simulatedMinds'];
+        assert.deepEqual(getVisibleResources(1), ['ramSticks', 'dollars']);
+        assert.deepEqual(getVisibleResources(3), [...tiers.slice(0, 3), 'dollars']);
+        assert.deepEqual(getVisibleResources(4), [...tiers.slice(0, 4), 'dollars', 'computeUnits']);
+        assert.deepEqual(getVisibleResources(6), [...tiers, 'dollars', 'computeUnits', 'intelligencePoints', 'consciousnessCycles']);
+    });
+
+    test('picks up stages and resources added to the data', () => {
+        const stages = loadStageCatalog();
+        const stageSeven = { ...stages.at(-1), id: 7, productId: 'pocketUniverses', unlockThreshold: 1e15, introducesResources: ['darkMatter'] };
+        setStages(
+            [...stages, stageSeven],
+            [...getAllResources().filter(resource => resource.tier === undefined), { id: 'darkMatter', name: 'Dark Matter' }]
+        );
+
+        try {
+            assert.equal(getTotalStages(), 7);
+            assert.equal(canAdvanceStage(6, 1e15), true);
+            assert.equal(getVisibleResources(6).includes('darkMatter'), false);
+            assert.equal(getVisibleResources(6).includes('pocketUniverses'), false);
+            assert.equal(getVisibleResources(7).at(-1), 'darkMatter');
+            assert.ok(getVisibleResources(7).includes('pocketUniverses'));
+        } finally {
+            loadStageCatalog();
+        }
+    });
+});
+
+describe('calculateSellPrice', () => {
+    test('is the base price with no bonuses', () => {
+        for (let stageId = 1; stageId <= getTotalStages(); stageId++) {
+            assert.equal(toNumber(calculateSellPrice(stageId, 1, 1)), getStage(stageId).baseSellPrice);
+        }
+    });
+
+    test('multiplies sell price and prestige bonuses, then floors', () => {
+        // 10 * 1.3 * 1.25 = 16.25
+        assert.equal(toNumber(calculateSellPrice(2, 1.3, 1.25)), 16);
+        // 1 * 1.5 * 1 = 1.5
+        assert.equal(toNumber(calculateSellPrice(1, 1.5, 1)), 1);
+    });
+
+    test('prices a shrunken batch in proportion, keeping the price per unit', () => {
+        const full = toNumber(calculateSellPrice(2, 1.3, 1.25)) / getProductPerSale(2);
+        const reduced = toNumber(calculateSellPrice(2, 1.3, 1.25, 3)) / getProductPerSale(2, 3);
+        assert.ok(Math.abs(reduced - full) < 1e-12);
+    });
+
+    test('falls back to 1 for unknown stages', () => {
+        assert.equal(toNumber(calculateSellPrice(99, 5, 5)), 1);
+    });
+});
+
+describe('calculateSaleBatch', () => {
+    /**
+     * Converts a batch result back to plain numbers for comparison
+     */
+    function sellBatch(product, productPerSale, sellPrice) {
+        const batch = calculateSaleBatch(fromNumber(product), productPerSale, fromNumber(sellPrice));
+        return {
+            sales: toNumber(batch.sales),
+            revenue: toNumber(batch.revenue),
+            remainingProduct: toNumber(batch.remainingProduct)
+        };
+    }
+
+    test('sells every whole batch and keeps the remainder', () => {
+        assert.deepEqual(sellBatch(125, 10, 3), { sales: 12, revenue: 36, remainingProduct: 5 });
+    });
+
+    test('sells nothing below one batch', () => {
+        assert.deepEqual(sellBatch(9.5, 10, 100), { sales: 0, revenue: 0, remainingProduct: 9.5 });
+    });
+
+    test('sells exactly at the batch size', () => {
+        assert.deepEqual(sellBatch(10, 10, 7), { sales: 1, revenue: 7, remainingProduct: 0 });
+    });
+
+    test('matches selling one batch at a time', () => {
+        for (const product of [0, 3, 10, 99.75, 1234.5, 100000]) {
+            let remaining = product;
+            let sales = 0;
+            while (remaining >= 10) {
+                remaining -= 10;
+                sales++;
+            }
+
+            const batch = sellBatch(product, 10, 13);
+            assert.equal(batch.sales, sales);
+            assert.equal(batch.revenue, sales * 13);
+            assert.ok(Math.abs(batch.remainingProduct - remaining) < 1e-9);
+        }
+    });
+
+    test('handles millions of sales in one step', () => {
+        assert.deepEqual(sellBatch(5e12, 10, 100000), { sales: 5e11, revenue: 5e16, remainingProduct: 0 });
+    });
+
+    test('never leaves negative product past double precision', () => {
+        const batch = calculateSaleBatch({ mantissa: 1.2345, exponent: 400 }, 10, fromNumber(100000));
+
+        assert.equal(batch.sales.exponent, 399);
+        assert.equal(batch.revenue.exponent, 404);
+        assert.equal(batch.remainingProduct.mantissa >= 0, true);
+    });
+});
@@ -0,0 +1,206 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMemoryStorage } from './fixtures.js';
+
+const NOW = 1700000000000;
+const LOCK_KEY = 'ramClickerTabLock';
+
+const realTimers = { setTimeout, clearTimeout, setInterval, clearInterval, now: Date.now };
+const RealBroadcastChannel = globalThis.BroadcastChannel;
+
+let store;
+let clock;
+let tabCount = 0;
+
+/**
+ * Replaces the timers and Date.now with a clock that only moves when advanced
+ */
+function installFakeClock() {
+    const fake = { now: NOW, timers: new Map(), nextId: 1 };
+
+    const schedule = (callback, delay, interval) => {
+        const id = fake.nextId++;
+        fake.timers.set(id, { callback, at: fake.now + delay, interval });
+        return id;
+    };
+    globalThis.setTimeout = (callback, delay = 0) => schedule(callback, delay, null);
+    globalThis.setInterval = (callback, delay) => schedule(callback, delay, delay);
+    globalThis.clearTimeout = globalThis.clearInterval = (id) => fake.timers.delete(id);
+    Date.now = () => fake.now;
+
+    // Runs every timer due within ms, in order, moving the clock along with them
+    fake.advance = (ms) => {
+        const end = fake.now + ms;
+        for (;;) {
+            const due = [...fake.timers.entries()]
+                .filter(([, timer]) => timer.at <= end)
+                .sort(([, a], [, b]) => a.at - b.at)[0];
+            if (!due) break;
+
+            const [id, timer] = due;
+            fake.now = timer.at;
+            if (timer.interval === null) {
+                fake.timers.delete(id);
+            } else {
+                timer.at += timer.interval;
+            }
+            timer.callback();
+        }
+        fake.now = end;
+    };
+    return fake;
+}
+
+/**
+ * A BroadcastChannel stand-in that delivers to the other channels of the same name on the next timer turn
+ */
+class FakeBroadcastChannel {
+    static open = new Set();
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.open.add(this);
+    }
+
+    postMessage(data) {
+        for (const other of FakeBroadcastChannel.open) {
+            if (other === this || other.name !== this.name) continue;
+            setTimeout(() => other.onmessage && other.onmessage({ data }), 0);
+        }
+    }
+}
+
+/**
+ * Opens a tab: a fresh copy of tabs.js (its own tab ID and module state) with recorded callbacks
+ */
+async function openTab() {
+    const tabs = await import(`../js/tabs.js?tab=${++tabCount}`);
+    const events = [];
+    const isLeader = tabs.initTabCoordination({
+        onLeadershipLost: (handedOver) => events.push(handedOver ? 'handed over' : 'lost'),
+        onLeadershipGained: () => events.push('gained')
+    });
+    return { tabs, events, isLeader };
+}
+
+/**
+ * Writes a lock held by a tab that isn't running here
+ */
+function writeForeignLock(heartbeat) {
+    store.set(LOCK_KEY, JSON.stringify({ tabId: 'other-window', heartbeat }));
+}
+
+beforeEach(() => {
+    store = installMemoryStorage();
+    clock = installFakeClock();
+    FakeBroadcastChannel.open.clear();
+    globalThis.BroadcastChannel = FakeBroadcastChannel;
+});
+
+afterEach(() => {
+    Object.assign(globalThis, {
+        setTimeout: realTimers.setTimeout,
+        clearTimeout: realTimers.clearTimeout,
+        setInterval: realTimers.setInterval,
+        clearInterval: realTimers.clearInterval
+    });
+    Date.now = realTimers.now;
+    globalThis.BroadcastChannel = RealBroadcastChannel;
+});
+
+describe('tab coordination', () => {
+    test('gives the lock to the first tab and leaves later ones read-only', async () => {
+        const first = await openTab();
+        const second = await openTab();
+
+        assert.equal(first.isLeader, true);
+        assert.equal(second.isLeader, false);
+        assert.equal(first.tabs.isTabLeader(), true);
+        assert.equal(second.tabs.isTabLeader(), false);
+    });
+
+    test('keeps a running leader\'s lock fresh well past the timeout', async () => {
+        const first = await openTab();
+        clock.advance(60000);
+
+        const second = await openTab();
+        assert.equal(second.isLeader, false);
+        assert.equal(first.tabs.isTabLeader(), true);
+        assert.deepEqual(first.events, []);
+    });
+
+    test('takes over a lock its owner stopped refreshing, and only once it is stale', async () => {
+        writeForeignLock(NOW - 5000);
+        assert.equal((await openTab()).isLeader, false);
+
+        writeForeignLock(NOW - 7000);
+        assert.equal((await openTab()).isLeader, true);
+    });
+
+    test('hands the lock over when another tab asks for it', async () => {
+        const first = await openTab();
+        const second = await openTab();
+
+        second.tabs.requestTakeover();
+        clock.advance(0);
+
+        assert.deepEqual(first.events, ['handed over']);
+        assert.deepEqual(second.events, ['gained']);
+        assert.equal(first.tabs.isTabLeader(), false);
+        assert.equal(second.tabs.isTabLeader(), true);
+
+        // The old leader's heartbeat is gone, so it never writes the lock back
+        clock.advance(60000);
+        assert.equal(second.tabs.isTabLeader(), true);
+        assert.deepEqual(first.events, ['handed over']);
+    });
+
+    test('takes the lock after the timeout when the leader never answers', async () => {
+        const { tabs, events } = await openTab();
+        writeForeignLock(NOW);
+        assert.equal(tabs.isTabLeader(), false);
+
+        tabs.requestTakeover();
+        clock.advance(5999);
+        assert.equal(tabs.isTabLeader(), false);
+
+        clock.advance(1);
+        assert.equal(tabs.isTabLeader(), true);
+        assert.ok(events.includes('gained'));
+    });
+
+    test('steps down as soon as its heartbeat finds another tab in the lock', async () => {
+        const { tabs, events } = await openTab();
+        writeForeignLock(NOW);
+
+        clock.advance(2000);
+        assert.deepEqual(events, ['lost']);
+
+        clock.advance(10000);
+        assert.equal(JSON.parse(store.get(LOCK_KEY)).tabId, 'other-window');
+        assert.deepEqual(events, ['lost']);
+    });
+
+    test('takes over at once without a BroadcastChannel, and the old leader steps down', async () => {
+        globalThis.BroadcastChannel = undefined;
+        const first = await openTab();
+        const second = await openTab();
+
+        second.tabs.requestTakeover();
+        assert.equal(second.tabs.isTabLeader(), true);
+
+        clock.advance(2000);
+        assert.deepEqual(first.events, ['lost']);
+        assert.equal(first.tabs.isTabLeader(), false);
+    });
+
+    test('frees the lock on close so the next tab leads right away', async () => {
+        const first = await openTab();
+        first.tabs.releaseTabLeadership();
+
+        assert.equal(store.has(LOCK_KEY), false);
+        assert.equal((await openTab()).isLeader, true);
+    });
+});
@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatNumber } from '../js/ui.js';
+import { fromNumber, fromParts } from '../js/bignum.js';
+
+describe('formatNumber', () => {
+    test('formats zero', () => {
+        assert.equal(formatNumber(0), '0');
+    });
+
+    test('uses commas and whole numbers below 10,000', () => {
+        assert.equal(formatNumber(7), '7');
+        assert.equal(formatNumber(9.99), '9');
+        assert.equal(formatNumber(1234.5), '1,234');
+        assert.equal(formatNumber(9999), '9,999');
+    });
+
+    test('uses suffixes from 10,000 up', () => {
+        assert.equal(formatNumber(10000), '10.00K');
+        assert.equal(formatNumber(2500000), '2.50M');
+        assert.equal(formatNumber(1e9), '1.00B');
+        assert.equal(formatNumber(4.2e12), '4.20T');
+        assert.equal(formatNumber(1e15), '1.00Qa');
+    });
+
+    test('falls back to exponents past the last suffix', () => {
+        assert.equal(formatNumber(1e36), '1.00e36');
+    });
+
+    test('formats big numbers the same as plain numbers', () => {
+        for (const value of [0, 7, 1234.5, 9999, 10000, 2500000, 4.2e12, 1e36]) {
+            assert.equal(formatNumber(fromNumber(value)), formatNumber(value));
+        }
+    });
+
+    test('formats big numbers past the double range', () => {
+        assert.equal(formatNumber(fromParts(1.5, 400)), '15.00e399');
+        assert.equal(formatNumber(fromParts(-2.5, 1000)), '-25.00e999');
+    });
+
+    test('formats negative numbers', () => {
+        assert.equal(formatNumber(-5), '-5');
+        assert.equal(formatNumber(-25000), '-25.00K');
+    });
+});
@@ -0,0 +1,387 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateUpgradeCost,
+    calculateBulkUpgradeCost,
+    getUpgradeCosts,
+    getMaxAffordableQuantity,
+    resolvePurchaseQuantity,
+    canPurchaseUpgrade,
+    calculateProductionBonuses,
+    getExclusiveRivals,
+    getExcludingRival,
+    getEffectDescription,
+    scalesWithResources
+} from '../js/upgrades.js';
+import { fromNumber, toNumber } from '../js/bignum.js';
+import { loadUpgradeCatalog, loadStageCatalog, catalogUpgrade, maxOutEffectType } from './fixtures.js';
+
+let upgrades;
+
+before(() => {
+    loadStageCatalog();
+    upgrades = loadUpgradeCatalog();
+});
+
+describe('calculateUpgradeCost', () => {
+    test('first purchase costs the base cost', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        assert.equal(toNumber(calculateUpgradeCost(iron, 0)), iron.baseCost);
+    });
+
+    test('scales geometrically and floors', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        // 15 * 1.15^3 = 22.81...
+        assert.equal(toNumber(calculateUpgradeCost(iron, 3)), 22);
+        assert.equal(toNumber(calculateUpgradeCost(iron, 10)), Math.floor(15 * Math.pow(1.15, 10)));
+    });
+
+    test('stays finite far past the double range', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        const cost = calculateUpgradeCost(iron, 10000);
+
+        // 15 * 1.15^10000 is about 10^608
+        assert.equal(cost.exponent, Math.floor(Math.log10(15) + 10000 * Math.log10(1.15)));
+        assert.ok(cost.mantissa >= 1 && cost.mantissa < 10);
+    });
+
+    test('a scaling of 1 never changes the cost', () => {
+        const simulation = catalogUpgrade(upgrades, 'universal_simulation');
+        assert.equal(toNumber(calculateUpgradeCost(simulation, 5)), simulation.baseCost);
+    });
+});
+
+describe('getUpgradeCosts', () => {
+    test('lists the primary cost alone for single-resource upgrades', () => {
+        const repair = catalogUpgrade(upgrades, 'right_to_repair');
+        const costs = getUpgradeCosts(repair, 0, 0);
+
+        assert.deepEqual(costs.map(cost => cost.resource), ['computeUnits']);
+        assert.equal(toNumber(costs[0].amount), repair.baseCost);
+    });
+
+    test('scales and reduces every resource of a mixed cost', () => {
+        const farm = { ...catalogUpgrade(upgrades, 'server_farm'), costScaling: 2 };
+        const costs = getUpgradeCosts(farm, 3, 0.5);
+
+        assert.deepEqual(costs.map(cost => cost.resource), ['dollars', 'computeUnits']);
+        assert.equal(toNumber(costs[0].amount), farm.baseCost * 8 / 2);
+        assert.equal(toNumber(costs[1].amount), farm.secondaryCosts[0].baseCost * 8 / 2);
+    });
+
+    test('late-game costs are only priced in resources produced by then', () => {
+        const producers = {
+            computeUnits: 'passiveCompute',
+            intelligencePoints: 'passiveIntelligence',
+            consciousnessCycles: 'passiveConsciousness'
+        };
+
+        for (const upgrade of upgrades) {
+            for (const { resource } of getUpgradeCosts(upgrade, 0, 0)) {
+                if (resource === 'dollars') continue;
+
+                const producer = upgrades.find(candidate =>
+                    candidate.effectType === producers[resource]
+                    && candidate.stage <= upgrade.stage
+                    && candidate.id !== upgrade.id
+                    && getUpgradeCosts(candidate, 0, 0).every(cost => cost.resource !== resource)
+                );
+                assert.ok(producer, `${upgrade.id} costs ${resource}, which nothing earlier produces`);
+            }
+        }
+    });
+});
+
+describe('bulk purchases', () => {
+    test('a quantity of 1 costs exactly one level', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        for (const count of [0, 3, 17]) {
+            assert.deepEqual(calculateBulkUpgradeCost(iron, count, 1), calculateUpgradeCost(iron, count));
+        }
+    });
+
+    test('sums the geometric series over costScaling', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        let series = 0;
+        for (let level = 5; level < 15; level++) {
+            series += iron.baseCost * Math.pow(iron.costScaling, level);
+        }
+
+        assert.equal(toNumber(calculateBulkUpgradeCost(iron, 5, 10)), Math.floor(series));
+    });
+
+    test('multiplies a flat cost by the quantity', () => {
+        const flat = { ...catalogUpgrade(upgrades, 'hire_nephew'), costScaling: 1 };
+        assert.equal(toNumber(calculateBulkUpgradeCost(flat, 4, 10)), flat.baseCost * 10);
+    });
+
+    test('applies cost reduction to every resource of the bulk total', () => {
+        const farm = { ...catalogUpgrade(upgrades, 'server_farm'), costScaling: 2 };
+        const costs = getUpgradeCosts(farm, 0, 0.5, 3);
+
+        // 1 + 2 + 4 levels' worth, halved
+        assert.equal(toNumber(costs[0].amount), farm.baseCost * 7 / 2);
+        assert.equal(toNumber(costs[1].amount), farm.secondaryCosts[0].baseCost * 7 / 2);
+    });
+
+    test('buy-max finds the largest affordable quantity', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+
+        for (const dollars of [0, 14, 15, 100, 1000, 12345]) {
+            const resources = { dollars: fromNumber(dollars) };
+            const quantity = getMaxAffordableQuantity(iron, 2, resources, 0.1);
+
+            const cost = (levels) => toNumber(getUpgradeCosts(iron, 2, 0.1, levels)[0].amount);
+            if (quantity > 0) assert.ok(cost(quantity) <= dollars, `${dollars}: ${quantity}`);
+            assert.ok(cost(quantity + 1) > dollars, `${dollars}: ${quantity} + 1`);
+        }
+    });
+
+    test('buy-max stops at maxPurchases and at the scarcest resource', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        assert.equal(getMaxAffordableQuantity(iron, 45, { dollars: fromNumber(1e30) }), 5);
+        assert.equal(getMaxAffordableQuantity(iron, iron.maxPurchases, { dollars: fromNumber(1e30) }), 0);
+
+        const farm = catalogUpgrade(upgrades, 'server_farm');
+        const resources = { dollars: fromNumber(1e30), computeUnits: fromNumber(farm.secondaryCosts[0].baseCost) };
+        assert.equal(getMaxAffordableQuantity(farm, 0, resources), 1);
+    });
+
+    test('resolves the selector to the levels left, and at least one', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        const broke = { dollars: fromNumber(0) };
+
+        assert.equal(resolvePurchaseQuantity(iron, 0, 10, broke), 10);
+        assert.equal(resolvePurchaseQuantity(iron, 47, 100, broke), 3);
+        assert.equal(resolvePurchaseQuantity(iron, 0, 'max', broke), 1);
+        assert.equal(resolvePurchaseQuantity(iron, 0, 'max', { dollars: fromNumber(15 + 17) }), 2);
+    });
+});
+
+describe('canPurchaseUpgrade', () => {
+    const rich = { dollars: fromNumber(1e20) };
+
+    test('refuses maxed upgrades', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        const result = canPurchaseUpgrade(iron, iron.maxPurchases, rich, {}, 0);
+        assert.deepEqual(result, { canPurchase: false, reason: 'maxed' });
+    });
+
+    test('refuses quantities past maxPurchases', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        const rich = { dollars: fromNumber(1e30) };
+
+        assert.equal(canPurchaseUpgrade(iron, 45, rich, {}, 0, 5).canPurchase, true);
+        assert.equal(canPurchaseUpgrade(iron, 45, rich, {}, 0, 6).reason, 'maxed');
+    });
+
+    test('refuses upgrades whose prerequisite is missing', () => {
+        const tutorials = catalogUpgrade(upgrades, 'youtube_tutorials');
+        assert.equal(canPurchaseUpgrade(tutorials, 0, rich, {}, 0).reason, 'prerequisite');
+        assert.equal(canPurchaseUpgrade(tutorials, 0, rich, { better_soldering_iron: 1 }, 0).canPurchase, true);
+    });
+
+    test('reports the cost when the player cannot afford it', () => {
+        const nephew = catalogUpgrade(upgrades, 'hire_nephew');
+        const result = canPurchaseUpgrade(nephew, 0, { dollars: fromNumber(49) }, {}, 0);
+        assert.equal(result.canPurchase, false);
+        assert.equal(result.reason, 'insufficient');
+        assert.equal(toNumber(result.cost), 50);
+    });
+
+    test('applies cost reduction before checking affordability', () => {
+        const nephew = catalogUpgrade(upgrades, 'hire_nephew');
+        const result = canPurchaseUpgrade(nephew, 0, { dollars: fromNumber(40) }, {}, 0.2);
+        assert.equal(result.canPurchase, true);
+        assert.equal(toNumber(result.cost), 40);
+    });
+
+    test('requires every resource of a mixed cost', () => {
+        const farm = catalogUpgrade(upgrades, 'server_farm');
+        const computeCost = farm.secondaryCosts[0].baseCost;
+
+        const shortOfCompute = { dollars: fromNumber(1e12), computeUnits: fromNumber(computeCost - 1) };
+        const result = canPurchaseUpgrade(farm, 0, shortOfCompute, {}, 0);
+        assert.equal(result.reason, 'insufficient');
+        assert.equal(result.missingResource, 'computeUnits');
+
+        const enough = { dollars: fromNumber(farm.baseCost), computeUnits: fromNumber(computeCost) };
+        assert.equal(canPurchaseUpgrade(farm, 0, enough, {}, 0).canPurchase, true);
+    });
+
+    test('reads the upgrade cost resource', () => {
+        const nephew = { ...catalogUpgrade(upgrades, 'hire_nephew'), costResource: 'computeUnits' };
+        const dollarsOnly = { dollars: fromNumber(1e6), computeUnits: fromNumber(0) };
+        const computeOnly = { dollars: fromNumber(0), computeUnits: fromNumber(50) };
+        assert.equal(canPurchaseUpgrade(nephew, 0, dollarsOnly, {}, 0).canPurchase, false);
+        assert.equal(canPurchaseUpgrade(nephew, 0, computeOnly, {}, 0).canPurchase, true);
+    });
+
+    test('refuses upgrades a challenge disables, before anything else', () => {
+        const iron = catalogUpgrade(upgrades, 'better_soldering_iron');
+        const assemblyLine = catalogUpgrade(upgrades, 'assembly_line');
+        const restrictions = { disabledUpgradeStages: [1] };
+
+        assert.deepEqual(canPurchaseUpgrade(iron, 50, rich, {}, 0, 1, restrictions), { canPurchase: false, reason: 'restricted' });
+        assert.equal(canPurchaseUpgrade(assemblyLine, 0, rich, {}, 0, 1, restrictions).canPurchase, true);
+    });
+
+    test('locks out the other options of a choice node once one is bought', () => {
+        const offshore = catalogUpgrade(upgrades, 'offshore_manufacturing');
+        const union = catalogUpgrade(upgrades, 'union_workforce');
+
+        assert.equal(canPurchaseUpgrade(union, 0, rich, {}, 0).canPurchase, true);
+
+        const result = canPurchaseUpgrade(union, 0, rich, { offshore_manufacturing: 1 }, 0);
+        assert.equal(result.canPurchase, false);
+        assert.equal(result.reason, 'excluded');
+        assert.equal(result.rival, offshore);
+
+        // The chosen side keeps levelling up
+        assert.equal(canPurchaseUpgrade(offshore, 1, rich, { offshore_manufacturing: 1 }, 0).canPurchase, true);
+    });
+});
+
+describe('exclusive choices', () => {
+    test('every choice node offers at least two options from one stage with different effects', () => {
+        const groups = new Map();
+        for (const upgrade of upgrades.filter(upgrade => upgrade.exclusiveGroup)) {
+            groups.set(upgrade.exclusiveGroup, [...(groups.get(upgrade.exclusiveGroup) || []), upgrade]);
+        }
+        assert.ok(groups.size > 0);
+
+        for (const [group, options] of groups) {
+            assert.ok(options.length >= 2, `${group} has a single option`);
+            assert.equal(new Set(options.map(upgrade => upgrade.stage)).size, 1, `${group} spans stages`);
+            assert.equal(new Set(options.map(upgrade => upgrade.effectType)).size, options.length, `${group} repeats an effect`);
+        }
+    });
+
+    test('finds the rivals of a choice node', () => {
+        const offshore = catalogUpgrade(upgrades, 'offshore_manufacturing');
+        assert.deepEqual(getExclusiveRivals(offshore).map(upgrade => upgrade.id), ['union_workforce']);
+        assert.deepEqual(getExclusiveRivals(catalogUpgrade(upgrades, 'hire_nephew')), []);
+    });
+
+    test('names the rival that was bought, if any', () => {
+        const union = catalogUpgrade(upgrades, 'union_workforce');
+        assert.equal(getExcludingRival(union, {}), null);
+        assert.equal(getExcludingRival(union, { offshore_manufacturing: 0 }), null);
+        assert.equal(getExcludingRival(union, { offshore_manufacturing: 2 }).id, 'offshore_manufacturing');
+        assert.equal(getExcludingRival(union, { union_workforce: 2 }), null);
+    });
+});
+
+describe('calculateProductionBonuses', () => {
+    test('starts from base values with no upgrades', () => {
+        assert.deepEqual(calculateProductionBonuses({}), {
+            clickPower: 1,
+            passiveProduct: 0,
+            passiveProductByTier: {},
+            passiveDollars: 0,
+            passiveCompute: 0,
+            passiveIntelligence: 0,
+            passiveConsciousness: 0,
+            sellPriceMultiplier: 1,
+            costReduction: 0,
+            startingDollars: 0,
+            keptStageOneLevels: 0,
+            saleBatchReduction: 0,
+            offlineCapHours: 0
+        });
+    });
+
+    test('adds effectValue per purchased level', () => {
+        const bonuses = calculateProductionBonuses({
+            better_soldering_iron: 3,
+            hire_nephew: 4,
+            craigslist_channel: 2,
+            smaller_competitors: 1
+        });
+        assert.equal(bonuses.clickPower, 1 + 3);
+        assert.equal(bonuses.passiveProduct, 4 * 0.5);
+        assert.equal(bonuses.sellPriceMultiplier, 1 + 2 * 0.1);
+        assert.equal(bonuses.passiveCompute, 5);
+    });
+
+    test('caps cost reduction at 90% with every cost reduction upgrade maxed', () => {
+        const bonuses = calculateProductionBonuses(maxOutEffectType(upgrades, 'costReduction'));
+        assert.equal(bonuses.costReduction, 0.9);
+    });
+
+    test('does not cap cost reduction below 90%', () => {
+        const bonuses = calculateProductionBonuses({ bulk_capacitors: 10 });
+        assert.ok(Math.abs(bonuses.costReduction - 0.5) < 1e-9);
+    });
+
+    test('ignores unlockPrestige and unknown upgrades', () => {
+        const bonuses = calculateProductionBonuses({ universal_simulation: 1, not_an_upgrade: 5 });
+        assert.deepEqual(bonuses, calculateProductionBonuses({}));
+    });
+
+    test('leaves out upgrades and cost reduction a challenge rules out', () => {
+        const purchased = { hire_nephew: 4, bulk_capacitors: 5, automation_basics: 2 };
+
+        const noGarage = calculateProductionBonuses(purchased, {}, { disabledUpgradeStages: [1] });
+        assert.equal(noGarage.passiveProduct, 0);
+        assert.equal(noGarage.clickPower, 1 + 2 * catalogUpgrade(upgrades, 'automation_basics').effectValue);
+
+        assert.equal(calculateProductionBonuses(purchased, {}, { noCostReduction: true }).costReduction, 0);
+    });
+});
+
+describe('stacked effects', () => {
+    test('multipliers compound per level and apply after the flat totals', () => {
+        const flat = calculateProductionBonuses({ hire_nephew: 4, assembly_line: 1 }).passiveProduct;
+        const doubled = calculateProductionBonuses({ hire_nephew: 4, assembly_line: 1, lights_out_factory: 2 });
+        assert.equal(doubled.passiveProduct, flat * 2 * 2);
+        // Every product tier gets the multiplier
+        assert.deepEqual(doubled.passiveProductByTier, { 1: 4 * 0.5 * 4, 2: 10 * 4 });
+    });
+
+    test('synergies grow with the source upgrade\'s levels, unless a challenge disables it', () => {
+        const purchased = { better_soldering_iron: 9, hire_nephew: 20, nephew_mentorship: 2 };
+        assert.equal(calculateProductionBonuses(purchased).clickPower, 10 * (1 + 0.01 * 2 * 20));
+
+        // Stage 1's kept iron and nephews both sit out, leaving base click power
+        assert.equal(calculateProductionBonuses(purchased, {}, { disabledUpgradeStages: [1] }).clickPower, 1);
+    });
+
+    test('resource scaling adds its share per power of ten held', () => {
+        const purchased = { user_data_monetization: 1, compute_backed_securities: 2 };
+        const base = catalogUpgrade(upgrades, 'user_data_monetization').effectValue;
+
+        assert.equal(calculateProductionBonuses(purchased).passiveDollars, base);
+        assert.equal(calculateProductionBonuses(purchased, {}, {}, { computeUnits: fromNumber(0.5) }).passiveDollars, base);
+        const held = calculateProductionBonuses(purchased, {}, {}, { computeUnits: fromNumber(1000) }).passiveDollars;
+        assert.ok(Math.abs(held - base * (1 + 0.1 * 2 * 3)) < 1e-6);
+    });
+
+    test('conversions add a share of the multiplied source last', () => {
+        const bonuses = calculateProductionBonuses({ automated_logistics: 1, lights_out_factory: 1, conveyor_gloves: 4 });
+        assert.equal(bonuses.passiveProduct, 200 * 2);
+        assert.ok(Math.abs(bonuses.clickPower - (1 + 0.05 * 4 * 400)) < 1e-9);
+    });
+
+    test('only owned resource scaling makes bonuses depend on holdings', () => {
+        assert.equal(scalesWithResources({ lights_out_factory: 3 }), false);
+        assert.equal(scalesWithResources({ compute_backed_securities: 1 }), true);
+    });
+});
+
+describe('getEffectDescription', () => {
+    test('describes flat effects per level', () => {
+        assert.equal(getEffectDescription(catalogUpgrade(upgrades, 'hire_nephew')), '+0.5 RAM Sticks/sec');
+        assert.equal(getEffectDescription(catalogUpgrade(upgrades, 'assembly_line')), '+10 RAM Modules/sec');
+        assert.equal(getEffectDescription(catalogUpgrade(upgrades, 'bulk_capacitors')), '-5% upgrade costs');
+    });
+
+    test('names what stacked effects scale and what they scale with', () => {
+        const effectOf = id => getEffectDescription(catalogUpgrade(upgrades, id));
+        assert.equal(effectOf('lights_out_factory'), 'x2 product/sec');
+        assert.equal(effectOf('nephew_mentorship'), '+1% click power per Hire Your Nephew owned');
+        assert.equal(effectOf('compute_backed_securities'), '+10% $/sec per 10x Compute Units held');
+        assert.equal(effectOf('conveyor_gloves'), '+5% of product/sec added to click power');
+    });
+});
@@ -0,0 +1,65 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateGameState } from '../js/validate.js';
+import { toNumber } from '../js/bignum.js';
+import { loadStageCatalog, loadUpgradeCatalog, catalogUpgrade, createState } from './fixtures.js';
+
+let upgrades;
+
+before(() => {
+    loadStageCatalog();
+    upgrades = loadUpgradeCatalog();
+});
+
+describe('validateGameState', () => {
+    test('leaves a healthy save alone', () => {
+        const state = createState({ currentStage: 2, upgrades: { hire_nephew: 3 }, statistics: { totalEarned: 6000 } });
+        assert.deepEqual(validateGameState(state).fixes, []);
+    });
+
+    test('resets unreadable resources and zeroes negative ones', () => {
+        const saved = createState({ resources: { ramSticks: -5 } });
+        saved.resources.dollars = NaN;
+        const { state, fixes } = validateGameState(saved);
+
+        assert.equal(toNumber(state.resources.dollars), 0);
+        assert.equal(toNumber(state.resources.ramSticks), 0);
+        assert.deepEqual(fixes, [
+            'Resource "ramSticks" was negative (-5); set to 0.',
+            'Resource "dollars" was NaN; reset to 0.'
+        ]);
+    });
+
+    test('drops unknown resources', () => {
+        const { state, fixes } = validateGameState(createState({ resources: { gold: 5 } }));
+
+        assert.equal('gold' in state.resources, false);
+        assert.deepEqual(fixes, ['Resource "gold" is unknown; removed.']);
+    });
+
+    test('moves a stage that doesn\'t exist back to the furthest stage total earned unlocks', () => {
+        const rich = validateGameState(createState({ currentStage: 9, statistics: { totalEarned: 300000 } }));
+        assert.equal(rich.state.currentStage, 3);
+        assert.deepEqual(rich.fixes, ['Stage 9 doesn\'t exist; moved to stage 3.']);
+
+        const broke = validateGameState(createState({ currentStage: 9, statistics: { totalEarned: -1 } }));
+        assert.equal(broke.state.currentStage, 1);
+        assert.equal(toNumber(broke.state.statistics.totalEarned), 0);
+    });
+
+    test('drops purchases of upgrades missing from the catalog', () => {
+        const { state, fixes } = validateGameState(createState({ upgrades: { hire_nephew: 2, quantum_toaster: 4 } }));
+
+        assert.deepEqual(state.upgrades, { hire_nephew: 2 });
+        assert.deepEqual(fixes, ['Upgrade "quantum_toaster" no longer exists; removed.']);
+    });
+
+    test('caps purchase counts at maxPurchases', () => {
+        const nephew = catalogUpgrade(upgrades, 'hire_nephew');
+        const { state, fixes } = validateGameState(createState({ upgrades: { hire_nephew: nephew.maxPurchases + 10 } }));
+
+        assert.equal(state.upgrades.hire_nephew, nephew.maxPurchases);
+        assert.deepEqual(fixes, [`${nephew.name} was over its limit (${nephew.maxPurchases + 10}/${nephew.maxPurchases}); capped.`]);
+    });
+});